@@ -4,9 +4,12 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startBackgroundJobs } from "./jobs/index.server";
 
 export const streamTimeout = 5000;
 
+startBackgroundJobs();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
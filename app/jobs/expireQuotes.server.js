@@ -0,0 +1,47 @@
+import {
+  getExpiredQuoteRequests,
+  getQuoteRequestsDueForReminder,
+} from "../models/QuoteRequest.server";
+import { sendExpiryReminder } from "../lib/invoices.server";
+import { expireQuote } from "../lib/quoteExpiry.server";
+import { createLogger } from "../lib/logger.server";
+
+const log = createLogger("jobs");
+
+const BATCH_SIZE = 25;
+
+/**
+ * Reminds customers of quotes about to expire, then expires quotes whose
+ * validity window has passed. Both steps only pick up quotes they have not
+ * handled yet, so the job can run as often as needed. One quote's error does
+ * not stop the batch.
+ */
+export async function expireQuotes() {
+  for (const quoteRequest of await getQuoteRequestsDueForReminder(BATCH_SIZE)) {
+    try {
+      const reminded = await sendExpiryReminder(quoteRequest);
+      if (reminded) {
+        log.info("Sent expiry reminder", { quoteRequestId: quoteRequest.id });
+      }
+    } catch (error) {
+      log.error("Expiry reminder failed", {
+        quoteRequestId: quoteRequest.id,
+        error,
+      });
+    }
+  }
+
+  for (const quoteRequest of await getExpiredQuoteRequests(BATCH_SIZE)) {
+    try {
+      const expired = await expireQuote(quoteRequest);
+      if (expired) {
+        log.info("Expired quote request", { quoteRequestId: quoteRequest.id });
+      }
+    } catch (error) {
+      log.error("Quote expiry failed", {
+        quoteRequestId: quoteRequest.id,
+        error,
+      });
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from "vitest";
+import { expireQuotes } from "./expireQuotes.server";
+
+const { sendExpiryReminder, expireQuote, log } = vi.hoisted(() => ({
+  sendExpiryReminder: vi.fn(),
+  expireQuote: vi.fn(),
+  log: { info: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock("../models/QuoteRequest.server", () => ({
+  getQuoteRequestsDueForReminder: async () => [{ id: "r1" }, { id: "r2" }],
+  getExpiredQuoteRequests: async () => [{ id: "e1" }, { id: "e2" }],
+}));
+vi.mock("../lib/invoices.server", () => ({ sendExpiryReminder }));
+vi.mock("../lib/quoteExpiry.server", () => ({ expireQuote }));
+vi.mock("../lib/logger.server", () => ({ createLogger: () => log }));
+
+describe("expireQuotes", () => {
+  it("keeps going when one quote fails", async () => {
+    sendExpiryReminder
+      .mockRejectedValueOnce(new Error("Shopify unavailable"))
+      .mockResolvedValueOnce(true);
+    expireQuote
+      .mockRejectedValueOnce(new Error("Shopify unavailable"))
+      .mockResolvedValueOnce(true);
+
+    await expect(expireQuotes()).resolves.toBeUndefined();
+
+    expect(sendExpiryReminder).toHaveBeenCalledWith({ id: "r2" });
+    expect(expireQuote).toHaveBeenCalledWith({ id: "e2" });
+    expect(log.error).toHaveBeenCalledWith(
+      "Expiry reminder failed",
+      expect.objectContaining({ quoteRequestId: "r1" }),
+    );
+    expect(log.error).toHaveBeenCalledWith(
+      "Quote expiry failed",
+      expect.objectContaining({ quoteRequestId: "e1" }),
+    );
+  });
+});
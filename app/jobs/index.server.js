@@ -0,0 +1,76 @@
+import { retryFailedQuotes } from "./retryFailedQuotes.server";
+import { expireQuotes } from "./expireQuotes.server";
+import { purgeExpiredProxyNonces } from "../models/ProxyNonce.server";
+import { purgeFinishedWebhookDeliveries } from "../models/WebhookDelivery.server";
+import {
+  flushRejections,
+  purgeOldRejections,
+} from "../models/RequestRejection.server";
+import { deliverDueWebhooks } from "../lib/outboundWebhooks.server";
+import { createLogger } from "../lib/logger.server";
+
+const log = createLogger("jobs");
+
+// The app runs as a single Remix process, so recurring work is scheduled
+// in-process instead of through an external queue or cron.
+const JOBS = [
+  { name: "retry-failed-quotes", run: retryFailedQuotes, intervalMs: 60_000 },
+  {
+    name: "purge-proxy-nonces",
+    run: purgeExpiredProxyNonces,
+    intervalMs: 60 * 60_000,
+  },
+  { name: "expire-quotes", run: expireQuotes, intervalMs: 5 * 60_000 },
+  { name: "deliver-webhooks", run: deliverDueWebhooks, intervalMs: 10_000 },
+  {
+    name: "purge-webhook-deliveries",
+    run: purgeFinishedWebhookDeliveries,
+    intervalMs: 24 * 60 * 60_000,
+  },
+  {
+    name: "flush-request-rejections",
+    run: flushRejections,
+    intervalMs: 60_000,
+  },
+  {
+    name: "purge-request-rejections",
+    run: purgeOldRejections,
+    intervalMs: 24 * 60 * 60_000,
+  },
+];
+
+/**
+ * Runs a job on an interval, never overlapping with its own previous run
+ * @param {Object} job - The job definition
+ * @returns {NodeJS.Timeout} - The interval timer
+ */
+function schedule(job) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      log.error("Job failed", { job: job.name, error });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, job.intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Starts the background jobs once per process. Dev reloads re-import this
+ * module, so the started flag lives on the global object like the Prisma client.
+ */
+export function startBackgroundJobs() {
+  if (global.backgroundJobsStarted) return;
+  global.backgroundJobsStarted = true;
+
+  JOBS.forEach(schedule);
+}
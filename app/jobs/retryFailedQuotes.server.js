@@ -0,0 +1,38 @@
+import { getQuoteRequestsDueForRetry } from "../models/QuoteRequest.server";
+import { submitQuoteRequest } from "../lib/quoteSubmission.server";
+import { createLogger } from "../lib/logger.server";
+import {
+  queueQuoteWebhook,
+  submissionWebhookEvent,
+} from "../lib/outboundWebhooks.server";
+
+const log = createLogger("jobs");
+
+const BATCH_SIZE = 10;
+
+/**
+ * Re-submits quote requests whose draft order creation failed and whose
+ * backoff delay has passed. One quote's error does not stop the batch.
+ */
+export async function retryFailedQuotes() {
+  const due = await getQuoteRequestsDueForRetry(BATCH_SIZE);
+
+  for (const quoteRequest of due) {
+    try {
+      const result = await submitQuoteRequest(quoteRequest.id);
+      if (result) {
+        log.info("Retried quote request", {
+          quoteRequestId: quoteRequest.id,
+          status: result.status,
+          attempts: result.attempts,
+        });
+        await queueQuoteWebhook(submissionWebhookEvent(result), result);
+      }
+    } catch (error) {
+      log.error("Quote request retry failed", {
+        quoteRequestId: quoteRequest.id,
+        error,
+      });
+    }
+  }
+}
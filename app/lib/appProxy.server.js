@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import { consumeProxyNonce } from "../models/ProxyNonce.server";
+import {
+  recordRejection,
+  REJECTION_REASON,
+} from "../models/RequestRejection.server";
+import { countRecentQuoteRequests } from "../models/QuoteRequest.server";
+import { findBlockedSender } from "../models/BlockedSender.server";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("app-proxy");
+
+// Shopify signs the proxy timestamp; older requests are treated as replays
+export const PROXY_TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_QUOTES_PER_SHOP_PER_WINDOW = 200;
+const MAX_QUOTES_PER_EMAIL_PER_WINDOW = 5;
+const MAX_QUOTES_PER_IP_PER_WINDOW = 10;
+
+/**
+ * Reads the customer's IP address as forwarded by the app proxy. Every proxy
+ * appends the address it was reached from to X-Forwarded-For, and the client
+ * can send the header with any entries it likes, so only the entry added by
+ * the outermost trusted proxy is used. TRUSTED_PROXY_COUNT is the number of
+ * proxies in front of the app, Shopify's app proxy included. Without it the
+ * IP is unknown, so the per-IP limits and blocklist are skipped rather than
+ * applied to a proxy's address shared by every customer.
+ * @param {Request} request - The incoming request
+ * @param {number} [trustedProxies] - The number of proxies that append to the header
+ * @returns {string|null} - The client IP, or null if unknown
+ */
+export function clientIp(
+  request,
+  trustedProxies = Number(process.env.TRUSTED_PROXY_COUNT),
+) {
+  if (!Number.isInteger(trustedProxies) || trustedProxies < 1) return null;
+
+  const hops = (request.headers.get("x-forwarded-for") ?? "")
+    .split(",")
+    .map((hop) => hop.trim());
+  return hops[hops.length - trustedProxies] || null;
+}
+
+/**
+ * Verifies that a request comes from Shopify by validating the signature
+ * @param {URLSearchParams} searchParams - The query parameters from the request
+ * @param {string} sharedSecret - The app's shared secret
+ * @returns {boolean} - True if the request is verified, false otherwise
+ */
+export function verifyShopifyRequest(searchParams, sharedSecret) {
+  if (!sharedSecret) {
+    log.warn("SHOPIFY_API_SECRET not configured - rejecting request");
+    return false;
+  }
+
+  const signature = searchParams.get("signature");
+  if (!signature) {
+    log.debug("No signature parameter found in request");
+    return false;
+  }
+
+  // Create a copy of searchParams without the signature
+  const params = new URLSearchParams(searchParams);
+  params.delete("signature");
+
+  // Sort parameters alphabetically by key
+  const sortedParams = Array.from(params.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("");
+
+  // Compute HMAC-SHA256 signature
+  const computedSignature = crypto
+    .createHmac("sha256", sharedSecret)
+    .update(sortedParams)
+    .digest("hex");
+
+  // Compare in constant time so the signature cannot be guessed byte by byte
+  const expected = Buffer.from(computedSignature, "utf8");
+  const received = Buffer.from(signature, "utf8");
+  const isValid =
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+
+  // Signatures and the signed parameters stay out of the log: they are
+  // credentials and the parameters include the customer ID
+  if (!isValid) {
+    log.debug("Signature verification failed", {
+      shop: searchParams.get("shop"),
+    });
+  }
+
+  return isValid;
+}
+
+/**
+ * Checks that the signed proxy timestamp is within the accepted window
+ * @param {URLSearchParams} searchParams - The query parameters from the request
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {boolean} - True if the timestamp is present and recent
+ */
+export function isFreshProxyTimestamp(searchParams, now = Date.now()) {
+  const timestamp = Number(searchParams.get("timestamp"));
+  if (!Number.isFinite(timestamp) || timestamp <= 0) return false;
+
+  return Math.abs(now / 1000 - timestamp) <= PROXY_TIMESTAMP_TOLERANCE_SECONDS;
+}
+
+/**
+ * Authenticates a read-only app proxy request, such as a page view, by its
+ * signature and timestamp window. Pages may be reloaded, so the signed URL is
+ * not limited to a single use. Rejections are recorded.
+ * @param {Request} request - The incoming request
+ * @returns {Promise<Object|null>} - null when the request may proceed, otherwise { status, error, message }
+ */
+export async function guardProxyPageRequest(request) {
+  const { searchParams } = new URL(request.url);
+  const shop = searchParams.get("shop");
+  const ip = clientIp(request);
+
+  // The shop parameter is unsigned here, so the rejection is not filed
+  // under a shop anyone could name
+  if (!verifyShopifyRequest(searchParams, process.env.SHOPIFY_API_SECRET)) {
+    recordRejection({ reason: REJECTION_REASON.INVALID_SIGNATURE, ip });
+    return {
+      status: 401,
+      error: "Unauthorized",
+      message: "Request signature verification failed",
+    };
+  }
+
+  if (!isFreshProxyTimestamp(searchParams)) {
+    recordRejection({
+      reason: REJECTION_REASON.STALE_TIMESTAMP,
+      shop,
+      ip,
+      detail: `timestamp=${searchParams.get("timestamp")}`,
+    });
+    return {
+      status: 401,
+      error: "Unauthorized",
+      message: "Request timestamp is outside the accepted window",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Builds the replay nonce of a proxy request. Shopify's signature covers the
+ * query string only, which is the same for every anonymous customer of a shop
+ * within a second, so the body is part of the nonce.
+ * @param {string} signature - The verified proxy signature
+ * @param {string} body - The raw request body
+ * @returns {string} - A hex SHA-256 digest
+ */
+export function proxyRequestNonce(signature, body) {
+  return crypto
+    .createHash("sha256")
+    .update(signature)
+    .update("\n")
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * Authenticates an app proxy request: signature, timestamp window and
+ * single use of the signed request. Rejections are recorded.
+ * @param {Request} request - The incoming request; its body is read from a clone
+ * @returns {Promise<Object|null>} - null when the request may proceed, otherwise { status, error, message }
+ */
+export async function guardProxyRequest(request) {
+  const rejection = await guardProxyPageRequest(request);
+  if (rejection) return rejection;
+
+  const { searchParams } = new URL(request.url);
+  const shop = searchParams.get("shop");
+  const expiresAt = new Date(
+    (Number(searchParams.get("timestamp")) +
+      PROXY_TIMESTAMP_TOLERANCE_SECONDS) *
+      1000,
+  );
+  const isFirstUse = await consumeProxyNonce(
+    proxyRequestNonce(
+      searchParams.get("signature"),
+      await request.clone().text(),
+    ),
+    shop,
+    expiresAt,
+  );
+  if (!isFirstUse) {
+    recordRejection({
+      reason: REJECTION_REASON.REPLAYED,
+      shop,
+      ip: clientIp(request),
+    });
+    return {
+      status: 409,
+      error: "Conflict",
+      message: "This request has already been processed",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Turns away submissions from senders on the shop's blocklist. The message
+ * does not say which entry matched.
+ * @param {Object} context
+ * @param {string} context.shop - The shop domain
+ * @param {string} context.email - The customer email from the payload
+ * @param {string} [context.ip] - The client IP forwarded by the proxy
+ * @returns {Promise<Object|null>} - null when the sender is not blocked, otherwise { status, error, message }
+ */
+export async function checkBlockedSender({ shop, email, ip }) {
+  const blocked = await findBlockedSender(shop, { email, ip });
+  if (!blocked) return null;
+
+  recordRejection({
+    reason: REJECTION_REASON.BLOCKED,
+    shop,
+    email,
+    ip,
+    detail: `Matched ${blocked.type} ${blocked.value}`,
+  });
+  return {
+    status: 403,
+    error: "Forbidden",
+    message: "We can't accept quote requests from this sender.",
+  };
+}
+
+/**
+ * Applies the per-shop, per-customer-email and per-IP quote limits
+ * @param {Object} context
+ * @param {string} context.shop - The shop domain
+ * @param {string} context.email - The customer email from the payload
+ * @param {string} [context.ip] - The client IP; unknown IPs are not limited
+ * @returns {Promise<Object|null>} - null when within limits, otherwise { status, error, message, retryAfter }
+ */
+export async function checkQuoteRateLimits({ shop, email, ip }) {
+  const since = new Date(Date.now() - RATE_LIMIT_WINDOW_MS);
+  const retryAfter = RATE_LIMIT_WINDOW_MS / 1000;
+
+  const shopCount = await countRecentQuoteRequests({ shop, since });
+  if (shopCount >= MAX_QUOTES_PER_SHOP_PER_WINDOW) {
+    recordRejection({
+      reason: REJECTION_REASON.RATE_LIMITED_SHOP,
+      shop,
+      email,
+      ip,
+      detail: `${shopCount} quotes in the last hour`,
+    });
+    return {
+      status: 429,
+      error: "Too Many Requests",
+      message: "We are receiving too many quote requests. Please try later.",
+      retryAfter,
+    };
+  }
+
+  const emailCount = await countRecentQuoteRequests({ shop, email, since });
+  if (emailCount >= MAX_QUOTES_PER_EMAIL_PER_WINDOW) {
+    recordRejection({
+      reason: REJECTION_REASON.RATE_LIMITED_EMAIL,
+      shop,
+      email,
+      ip,
+      detail: `${emailCount} quotes in the last hour`,
+    });
+    return {
+      status: 429,
+      error: "Too Many Requests",
+      message:
+        "You have sent several quote requests recently. Please wait before sending another.",
+      retryAfter,
+    };
+  }
+
+  const ipCount = ip ? await countRecentQuoteRequests({ shop, ip, since }) : 0;
+  if (ipCount >= MAX_QUOTES_PER_IP_PER_WINDOW) {
+    recordRejection({
+      reason: REJECTION_REASON.RATE_LIMITED_IP,
+      shop,
+      email,
+      ip,
+      detail: `${ipCount} quotes in the last hour`,
+    });
+    return {
+      status: 429,
+      error: "Too Many Requests",
+      message:
+        "You have sent several quote requests recently. Please wait before sending another.",
+      retryAfter,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,175 @@
+import crypto from "crypto";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  clientIp,
+  guardProxyRequest,
+  isFreshProxyTimestamp,
+  proxyRequestNonce,
+  verifyShopifyRequest,
+} from "./appProxy.server";
+
+const { nonces } = vi.hoisted(() => ({ nonces: new Set() }));
+
+vi.mock("../db.server", () => ({
+  default: {
+    proxyNonce: {
+      create: async ({ data }) => {
+        if (nonces.has(data.nonce)) {
+          throw Object.assign(new Error("Unique constraint"), {
+            code: "P2002",
+          });
+        }
+        nonces.add(data.nonce);
+      },
+    },
+  },
+}));
+
+const requestFrom = (forwardedFor) =>
+  new Request("https://app.example.com/orders", {
+    headers: forwardedFor ? { "X-Forwarded-For": forwardedFor } : {},
+  });
+
+describe("clientIp", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("takes the entry Shopify's proxy added when it is the only proxy", () => {
+    expect(clientIp(requestFrom("203.0.113.7"), 1)).toBe("203.0.113.7");
+  });
+
+  it("ignores entries the client sent before the trusted hop", () => {
+    expect(clientIp(requestFrom("10.0.0.1, 203.0.113.7"), 1)).toBe(
+      "203.0.113.7",
+    );
+  });
+
+  it("skips the hosting edge's entry with two trusted proxies", () => {
+    expect(
+      clientIp(requestFrom("10.0.0.1, 203.0.113.7, 23.227.38.65"), 2),
+    ).toBe("203.0.113.7");
+  });
+
+  it("returns null when there are fewer entries than trusted proxies", () => {
+    expect(clientIp(requestFrom("23.227.38.65"), 2)).toBeNull();
+    expect(clientIp(requestFrom(null), 1)).toBeNull();
+  });
+
+  it("reads the proxy count from TRUSTED_PROXY_COUNT", () => {
+    vi.stubEnv("TRUSTED_PROXY_COUNT", "2");
+    expect(clientIp(requestFrom("203.0.113.7, 23.227.38.65"))).toBe(
+      "203.0.113.7",
+    );
+  });
+
+  it("returns null while TRUSTED_PROXY_COUNT is unset", () => {
+    vi.stubEnv("TRUSTED_PROXY_COUNT", "");
+    expect(clientIp(requestFrom("203.0.113.7"))).toBeNull();
+  });
+});
+
+const secret = "test-secret";
+
+const signed = (params) => {
+  const message = Object.entries(params)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("");
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(message)
+    .digest("hex");
+  return new URLSearchParams({ ...params, signature });
+};
+
+describe("verifyShopifyRequest", () => {
+  it("accepts parameters signed with the shared secret", () => {
+    const params = signed({ shop: "a.myshopify.com", timestamp: "1" });
+    expect(verifyShopifyRequest(params, secret)).toBe(true);
+  });
+
+  it("rejects changed parameters and missing secrets", () => {
+    const params = signed({ shop: "a.myshopify.com", timestamp: "1" });
+    params.set("shop", "b.myshopify.com");
+    expect(verifyShopifyRequest(params, secret)).toBe(false);
+    expect(verifyShopifyRequest(signed({ shop: "a" }), "")).toBe(false);
+  });
+});
+
+describe("isFreshProxyTimestamp", () => {
+  const now = 1_800_000_000_000;
+  const at = (seconds) => new URLSearchParams({ timestamp: String(seconds) });
+
+  it("accepts timestamps within five minutes either way", () => {
+    expect(isFreshProxyTimestamp(at(now / 1000 - 299), now)).toBe(true);
+    expect(isFreshProxyTimestamp(at(now / 1000 + 299), now)).toBe(true);
+  });
+
+  it("rejects old, missing and garbled timestamps", () => {
+    expect(isFreshProxyTimestamp(at(now / 1000 - 301), now)).toBe(false);
+    expect(isFreshProxyTimestamp(new URLSearchParams(), now)).toBe(false);
+    expect(isFreshProxyTimestamp(at("soon"), now)).toBe(false);
+  });
+});
+
+describe("guardProxyRequest", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    nonces.clear();
+  });
+
+  const submission = (query, body) =>
+    new Request(`https://app.example.com/orders?${query}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+
+  it("accepts different submissions signed in the same second", async () => {
+    vi.stubEnv("SHOPIFY_API_SECRET", secret);
+    const query = signed({
+      shop: "a.myshopify.com",
+      path_prefix: "/apps/int-quoter",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      logged_in_customer_id: "",
+    });
+
+    expect(await guardProxyRequest(submission(query, '{"a":1}'))).toBeNull();
+    expect(await guardProxyRequest(submission(query, '{"b":2}'))).toBeNull();
+  });
+
+  it("rejects the same submission sent twice", async () => {
+    vi.stubEnv("SHOPIFY_API_SECRET", secret);
+    const query = signed({
+      shop: "a.myshopify.com",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    });
+
+    expect(await guardProxyRequest(submission(query, '{"a":1}'))).toBeNull();
+    expect(await guardProxyRequest(submission(query, '{"a":1}'))).toMatchObject(
+      { status: 409 },
+    );
+  });
+
+  it("leaves the body readable for the route", async () => {
+    vi.stubEnv("SHOPIFY_API_SECRET", secret);
+    const query = signed({
+      shop: "a.myshopify.com",
+      timestamp: String(Math.floor(Date.now() / 1000)),
+    });
+    const request = submission(query, '{"a":1}');
+
+    await guardProxyRequest(request);
+    expect(await request.text()).toBe('{"a":1}');
+  });
+});
+
+describe("proxyRequestNonce", () => {
+  it("differs by body for the same signature", () => {
+    expect(proxyRequestNonce("abc", "x")).not.toBe(
+      proxyRequestNonce("abc", "y"),
+    );
+    expect(proxyRequestNonce("abc", "x")).toBe(proxyRequestNonce("abc", "x"));
+  });
+});
@@ -0,0 +1,345 @@
+const VARIANTS_QUERY = `#graphql
+  query quoteVariants($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        title
+        displayName
+        sku
+        price
+        image {
+          url
+          altText
+        }
+        product {
+          id
+          title
+          featuredMedia {
+            preview {
+              image {
+                url
+                altText
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Looks up product variants by their global IDs
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string[]} ids - ProductVariant global IDs
+ * @returns {Promise<Map<string, Object>>} - Variants keyed by ID; deleted variants are missing
+ */
+export async function getVariantsByIds(admin, ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  if (!uniqueIds.length) return new Map();
+
+  const response = await admin.graphql(VARIANTS_QUERY, {
+    variables: { ids: uniqueIds },
+  });
+  const { data } = await response.json();
+
+  return new Map(
+    (data?.nodes ?? [])
+      .filter((node) => node?.id)
+      .map((node) => [node.id, node]),
+  );
+}
+
+const AVAILABILITY_QUERY = `#graphql
+  query quoteVariantAvailability($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        availableForSale
+        inventoryPolicy
+        inventoryQuantity
+        inventoryItem {
+          tracked
+        }
+        product {
+          status
+        }
+      }
+    }
+  }
+`;
+
+// Why a requested line could not be sold as it was asked for
+export const UNAVAILABLE_REASON = {
+  NOT_FOUND: "not_found",
+  INACTIVE: "inactive",
+  NOT_FOR_SALE: "not_for_sale",
+  OUT_OF_STOCK: "out_of_stock",
+  INSUFFICIENT_STOCK: "insufficient_stock",
+};
+
+const PRODUCT_STATUS_LABELS = {
+  DRAFT: "Product is a draft",
+  ARCHIVED: "Product is archived",
+};
+
+/**
+ * Decides whether a variant can be sold in the quantity requested. Stock
+ * only limits variants whose inventory is tracked and that do not allow
+ * overselling.
+ * @param {Object|undefined} variant - The variant from AVAILABILITY_QUERY; undefined when deleted
+ * @param {number} quantity - The total quantity requested across the quote
+ * @returns {Object|null} - { reason, message, available }, or null when the line is fine
+ */
+function assessVariant(variant, quantity) {
+  if (!variant) {
+    return {
+      reason: UNAVAILABLE_REASON.NOT_FOUND,
+      message: "No longer exists",
+    };
+  }
+
+  if (variant.product?.status && variant.product.status !== "ACTIVE") {
+    return {
+      reason: UNAVAILABLE_REASON.INACTIVE,
+      message:
+        PRODUCT_STATUS_LABELS[variant.product.status] ?? "Product is inactive",
+    };
+  }
+
+  const limited =
+    variant.inventoryItem?.tracked && variant.inventoryPolicy === "DENY";
+  const available = variant.inventoryQuantity ?? 0;
+  if (limited && available <= 0) {
+    return {
+      reason: UNAVAILABLE_REASON.OUT_OF_STOCK,
+      message: "Out of stock",
+      available: 0,
+    };
+  }
+  if (limited && available < quantity) {
+    return {
+      reason: UNAVAILABLE_REASON.INSUFFICIENT_STOCK,
+      message: `Only ${available} in stock`,
+      available,
+    };
+  }
+
+  // Covers products that are not published to the online store
+  if (!variant.availableForSale) {
+    return {
+      reason: UNAVAILABLE_REASON.NOT_FOR_SALE,
+      message: "Not available for sale",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Checks that each catalog line of a quote exists, is active and has enough
+ * stock. Lines of the same variant are checked against their combined
+ * quantity. Custom lines are left alone.
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object[]} lineItems - Parsed line items
+ * @returns {Promise<Object[]>} - The line items, with `unavailable` set on each line that cannot be sold as requested
+ */
+export async function checkLineItemAvailability(admin, lineItems) {
+  const quantities = new Map();
+  for (const item of lineItems) {
+    if (!item.variantId) continue;
+    quantities.set(
+      item.variantId,
+      (quantities.get(item.variantId) ?? 0) + item.quantity,
+    );
+  }
+  if (!quantities.size) return lineItems;
+
+  const response = await admin.graphql(AVAILABILITY_QUERY, {
+    variables: { ids: [...quantities.keys()] },
+  });
+  const { data } = await response.json();
+  const variants = new Map(
+    (data?.nodes ?? [])
+      .filter((node) => node?.id)
+      .map((node) => [node.id, node]),
+  );
+
+  return lineItems.map((item) => {
+    if (!item.variantId) return item;
+    const unavailable = assessVariant(
+      variants.get(item.variantId),
+      quantities.get(item.variantId),
+    );
+    return unavailable ? { ...item, unavailable } : item;
+  });
+}
+
+const CART_LINE_VARIANT_FIELDS = `#graphql
+  fragment CartLineVariant on ProductVariant {
+    id
+    title
+    sku
+    price
+    selectedOptions {
+      value
+    }
+    product {
+      title
+    }
+  }
+`;
+
+const VARIANTS_BY_SKU_QUERY = `#graphql
+  ${CART_LINE_VARIANT_FIELDS}
+  query cartLineVariantsBySku($query: String!) {
+    productVariants(first: 10, query: $query) {
+      nodes {
+        ...CartLineVariant
+      }
+    }
+  }
+`;
+
+const PRODUCTS_BY_TITLE_QUERY = `#graphql
+  ${CART_LINE_VARIANT_FIELDS}
+  query cartLineProductsByTitle($query: String!) {
+    products(first: 5, query: $query) {
+      nodes {
+        variants(first: 100) {
+          nodes {
+            ...CartLineVariant
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Quotes a value for Shopify's search syntax
+ * @param {string} value - The raw search value
+ * @returns {string} - The value wrapped in double quotes with quotes escaped
+ */
+function searchTerm(value) {
+  return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Normalizes a title, option or SKU for case-insensitive comparison
+ * @param {string} value - The raw value
+ * @returns {string} - The trimmed, lower-cased value
+ */
+function normalize(value) {
+  return (value ?? "").trim().toLowerCase();
+}
+
+/**
+ * Picks the variant that best matches a parsed cart line
+ * @param {Object[]} candidates - Variants returned by the catalog search
+ * @param {Object} cartLine - The parsed cart line
+ * @returns {Object|null} - The matching variant, or null when it is ambiguous
+ */
+function pickVariant(candidates, cartLine) {
+  let matches = candidates.filter(
+    (variant) => normalize(variant.product.title) === normalize(cartLine.title),
+  );
+
+  if (cartLine.options.length) {
+    const wanted = cartLine.options.map(normalize);
+    matches = matches.filter((variant) => {
+      const values = variant.selectedOptions.map((option) =>
+        normalize(option.value),
+      );
+      return wanted.every((value) => values.includes(value));
+    });
+  }
+
+  // Several variants left (e.g. options were not printed): the price is the
+  // only remaining signal
+  if (matches.length > 1 && cartLine.price) {
+    const samePrice = matches.filter(
+      (variant) => Number(variant.price) === Number(cartLine.price),
+    );
+    if (samePrice.length) matches = samePrice;
+  }
+
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Finds the catalog variant for a cart line by SKU, then by product title
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} cartLine - The parsed cart line
+ * @returns {Promise<Object|null>} - The match and how it was found, or null
+ */
+async function findVariantForCartLine(admin, cartLine) {
+  if (cartLine.sku) {
+    const response = await admin.graphql(VARIANTS_BY_SKU_QUERY, {
+      variables: { query: `sku:${searchTerm(cartLine.sku)}` },
+    });
+    const { data } = await response.json();
+    const variant = (data?.productVariants?.nodes ?? []).find(
+      (candidate) => normalize(candidate.sku) === normalize(cartLine.sku),
+    );
+    if (variant) return { variant, matchedBy: "sku" };
+  }
+
+  if (cartLine.title) {
+    const response = await admin.graphql(PRODUCTS_BY_TITLE_QUERY, {
+      variables: { query: `title:${searchTerm(cartLine.title)}` },
+    });
+    const { data } = await response.json();
+    const candidates = (data?.products?.nodes ?? []).flatMap(
+      (product) => product.variants.nodes,
+    );
+    const variant = pickVariant(candidates, cartLine);
+    if (variant) return { variant, matchedBy: "title" };
+  }
+
+  return null;
+}
+
+/**
+ * Resolves free-text cart lines against the shop's catalog. Lines that match
+ * exactly one variant become variant line items; anything else becomes a
+ * custom line item with the original title and price, flagged for review.
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object[]} lineItems - Parsed line items, possibly containing cart text lines
+ * @returns {Promise<Object[]>} - Line items ready for the draft order
+ */
+export async function resolveCartLines(admin, lineItems) {
+  const resolved = [];
+
+  for (const item of lineItems) {
+    if (item.source !== "cart_text" || item.variantId || item.custom) {
+      resolved.push(item);
+      continue;
+    }
+
+    const match = await findVariantForCartLine(admin, item);
+    if (match) {
+      resolved.push({
+        variantId: match.variant.id,
+        quantity: item.quantity,
+        title: match.variant.product.title,
+        source: item.source,
+        line: item.line,
+        matchedBy: match.matchedBy,
+      });
+    } else {
+      resolved.push({
+        title: item.title || item.line,
+        price: item.price,
+        quantity: item.quantity,
+        source: item.source,
+        line: item.line,
+        custom: true,
+        needsReview: true,
+        reviewReason: "No unique catalog match for this cart line",
+      });
+    }
+  }
+
+  return resolved;
+}
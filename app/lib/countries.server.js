@@ -0,0 +1,234 @@
+// ISO 3166-1 alpha-2 codes accepted by Shopify's CountryCode enum
+const COUNTRY_CODES = `
+  AC AD AE AF AG AI AL AM AN AO AR AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ
+  BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR
+  CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FO FR GA
+  GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GW GY HK HM HN HR HT HU ID IE
+  IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY KZ LA LB
+  LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MK ML MM MN MO MQ MR MS MT MU
+  MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL
+  PM PN PS PT PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO
+  SR SS ST SV SX SY SZ TA TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA
+  UG UM US UY UZ VA VC VE VG VN VU WF WS XK YE YT ZA ZM ZW
+`
+  .trim()
+  .split(/\s+/);
+
+// Country names are matched in the languages our customers most often type
+// them in, so "Deutschland" or "Espana" resolve as well as "Germany"
+const NAME_LOCALES = [
+  "en",
+  "de",
+  "fr",
+  "es",
+  "it",
+  "nl",
+  "pt",
+  "sv",
+  "da",
+  "pl",
+];
+
+// Common names and abbreviations Intl.DisplayNames does not produce
+const COUNTRY_ALIASES = {
+  AE: ["UAE", "U.A.E."],
+  CI: ["Ivory Coast"],
+  CZ: ["Czech Republic"],
+  GB: [
+    "UK",
+    "U.K.",
+    "Great Britain",
+    "Britain",
+    "England",
+    "Scotland",
+    "Wales",
+    "Northern Ireland",
+  ],
+  KR: ["Korea", "Republic of Korea"],
+  MK: ["Macedonia"],
+  MM: ["Burma"],
+  NL: ["Holland", "The Netherlands"],
+  SZ: ["Swaziland"],
+  TR: ["Turkey", "Türkiye"],
+  US: ["USA", "U.S.A.", "U.S.", "United States of America", "America"],
+  VA: ["Vatican", "Vatican City"],
+};
+
+const countryCodesByName = new Map();
+for (const locale of NAME_LOCALES) {
+  const regionNames = new Intl.DisplayNames([locale], { type: "region" });
+  for (const code of COUNTRY_CODES) {
+    const name = normalizeName(regionNames.of(code));
+    if (name && !countryCodesByName.has(name)) {
+      countryCodesByName.set(name, code);
+    }
+  }
+}
+for (const [code, aliases] of Object.entries(COUNTRY_ALIASES)) {
+  for (const alias of aliases) {
+    countryCodesByName.set(normalizeName(alias), code);
+  }
+}
+
+// Subdivision codes for the countries whose addresses Shopify validates
+// against a province list. Other countries are sent without a provinceCode.
+const PROVINCES = {
+  AU: {
+    ACT: "Australian Capital Territory",
+    NSW: "New South Wales",
+    NT: "Northern Territory",
+    QLD: "Queensland",
+    SA: "South Australia",
+    TAS: "Tasmania",
+    VIC: "Victoria",
+    WA: "Western Australia",
+  },
+  CA: {
+    AB: "Alberta",
+    BC: "British Columbia",
+    MB: "Manitoba",
+    NB: "New Brunswick",
+    NL: "Newfoundland and Labrador",
+    NS: "Nova Scotia",
+    NT: "Northwest Territories",
+    NU: "Nunavut",
+    ON: "Ontario",
+    PE: "Prince Edward Island",
+    QC: "Quebec",
+    SK: "Saskatchewan",
+    YT: "Yukon",
+  },
+  US: {
+    AL: "Alabama",
+    AK: "Alaska",
+    AS: "American Samoa",
+    AZ: "Arizona",
+    AR: "Arkansas",
+    CA: "California",
+    CO: "Colorado",
+    CT: "Connecticut",
+    DE: "Delaware",
+    DC: "District of Columbia",
+    FL: "Florida",
+    GA: "Georgia",
+    GU: "Guam",
+    HI: "Hawaii",
+    ID: "Idaho",
+    IL: "Illinois",
+    IN: "Indiana",
+    IA: "Iowa",
+    KS: "Kansas",
+    KY: "Kentucky",
+    LA: "Louisiana",
+    ME: "Maine",
+    MD: "Maryland",
+    MA: "Massachusetts",
+    MI: "Michigan",
+    MN: "Minnesota",
+    MS: "Mississippi",
+    MO: "Missouri",
+    MT: "Montana",
+    NE: "Nebraska",
+    NV: "Nevada",
+    NH: "New Hampshire",
+    NJ: "New Jersey",
+    NM: "New Mexico",
+    NY: "New York",
+    NC: "North Carolina",
+    ND: "North Dakota",
+    MP: "Northern Mariana Islands",
+    OH: "Ohio",
+    OK: "Oklahoma",
+    OR: "Oregon",
+    PA: "Pennsylvania",
+    PR: "Puerto Rico",
+    RI: "Rhode Island",
+    SC: "South Carolina",
+    SD: "South Dakota",
+    TN: "Tennessee",
+    TX: "Texas",
+    UM: "United States Minor Outlying Islands",
+    VI: "U.S. Virgin Islands",
+    UT: "Utah",
+    VT: "Vermont",
+    VA: "Virginia",
+    WA: "Washington",
+    WV: "West Virginia",
+    WI: "Wisconsin",
+    WY: "Wyoming",
+    AA: "Armed Forces Americas",
+    AE: "Armed Forces Europe",
+    AP: "Armed Forces Pacific",
+  },
+};
+
+/**
+ * Normalizes a country name for lookup: case, accents and punctuation are ignored
+ * @param {string} name - The country name
+ * @returns {string} - The normalized name
+ */
+function normalizeName(name) {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Checks whether a value is a country code Shopify accepts
+ * @param {string} code - The candidate code
+ * @returns {boolean} - True for a known ISO 3166-1 alpha-2 code
+ */
+export function isCountryCode(code) {
+  return COUNTRY_CODES.includes(code);
+}
+
+/**
+ * Lists every supported country for pickers in the admin
+ * @returns {Array<{value: string, label: string}>} - Codes with English names, sorted by name
+ */
+export function getCountryOptions() {
+  const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+  return COUNTRY_CODES.map((code) => ({
+    value: code,
+    label: regionNames.of(code) ?? code,
+  })).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Resolves a country code, name or common alias to its ISO code
+ * @param {string} value - e.g. "DE", "Germany", "Deutschland" or "UK"
+ * @returns {string|null} - The ISO 3166-1 alpha-2 code, or null if unknown
+ */
+export function resolveCountryCode(value) {
+  if (!value || typeof value !== "string") return null;
+
+  const trimmed = value.trim();
+  if (isCountryCode(trimmed.toUpperCase()) && trimmed.length === 2) {
+    return trimmed.toUpperCase();
+  }
+
+  return countryCodesByName.get(normalizeName(trimmed)) ?? null;
+}
+
+/**
+ * Resolves a province, state or territory to its Shopify provinceCode
+ * @param {string} countryCode - The ISO code of the address's country
+ * @param {string} value - e.g. "ON", "Ontario" or "New South Wales"
+ * @returns {string|null} - The province code, or null when unknown or not needed
+ */
+export function resolveProvinceCode(countryCode, value) {
+  const provinces = PROVINCES[countryCode];
+  if (!provinces || !value || typeof value !== "string") return null;
+
+  const trimmed = value.trim();
+  if (provinces[trimmed.toUpperCase()]) return trimmed.toUpperCase();
+
+  const name = normalizeName(trimmed);
+  const match = Object.entries(provinces).find(
+    ([, provinceName]) => normalizeName(provinceName) === name,
+  );
+  return match?.[0] ?? null;
+}
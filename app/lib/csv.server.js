@@ -0,0 +1,29 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV cell. Customer input is never trusted: quotes, commas and
+ * line breaks are quoted, and formula-like text is prefixed with an
+ * apostrophe so opening the file in a spreadsheet cannot run it.
+ * @param {*} value - The cell value; dates are written as ISO 8601
+ * @returns {string} - The CSV cell
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one CSV row, ending in CRLF as RFC 4180 asks
+ * @param {Array} values - The cell values
+ * @returns {string} - The CSV line
+ */
+export function toCsvRow(values) {
+  return `${values.map(toCsvCell).join(",")}\r\n`;
+}
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { toCsvCell, toCsvRow } from "./csv.server";
+
+describe("toCsvCell", () => {
+  it.each([
+    ['=HYPERLINK("http://evil")', '"\'=HYPERLINK(""http://evil"")"'],
+    ["+1 555 0100", "'+1 555 0100"],
+    ["-2+3", "'-2+3"],
+    ["@SUM(A1)", "'@SUM(A1)"],
+    ["\t=1", "'\t=1"],
+    ["\r=1", '"\'\r=1"'],
+  ])("neutralizes the formula %j", (value, cell) => {
+    expect(toCsvCell(value)).toBe(cell);
+  });
+
+  it("quotes commas, quotes and line breaks", () => {
+    expect(toCsvCell("Lovelace, Ada")).toBe('"Lovelace, Ada"');
+    expect(toCsvCell('5" ruler')).toBe('"5"" ruler"');
+    expect(toCsvCell("line\nbreak")).toBe('"line\nbreak"');
+  });
+
+  it("writes numbers, dates and missing values as they are", () => {
+    expect(toCsvCell(-12.5)).toBe("-12.5");
+    expect(toCsvCell(new Date("2026-10-20T12:00:00Z"))).toBe(
+      "2026-10-20T12:00:00.000Z",
+    );
+    expect(toCsvCell(null)).toBe("");
+    expect(toCsvCell(undefined)).toBe("");
+  });
+});
+
+describe("toCsvRow", () => {
+  it("joins cells and ends in CRLF", () => {
+    expect(toCsvRow(["a", 1, null, "=1"])).toBe("a,1,,'=1\r\n");
+  });
+});
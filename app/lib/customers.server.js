@@ -0,0 +1,84 @@
+const CUSTOMER_BY_EMAIL_QUERY = `#graphql
+  query customerByEmail($query: String!) {
+    customers(first: 1, query: $query) {
+      nodes {
+        id
+        email
+      }
+    }
+  }
+`;
+
+const CUSTOMER_CREATE_MUTATION = `#graphql
+  mutation quoteCustomerCreate($input: CustomerInput!) {
+    customerCreate(input: $input) {
+      customer {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Creates a customer, retrying without the phone number if Shopify rejects it
+ * (phone numbers must be unique across customers)
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} input - The CustomerInput
+ * @returns {Promise<Object>} - The customerCreate payload ({ customer, userErrors })
+ */
+async function createCustomer(admin, input) {
+  const response = await admin.graphql(CUSTOMER_CREATE_MUTATION, {
+    variables: { input },
+  });
+  const { data } = await response.json();
+  const result = data?.customerCreate;
+
+  const phoneRejected = result?.userErrors?.some((error) =>
+    error.field?.includes("phone"),
+  );
+  if (!result?.customer && phoneRejected && input.phone) {
+    return createCustomer(admin, { ...input, phone: undefined });
+  }
+
+  return result;
+}
+
+/**
+ * Finds the customer with the quote's email address, creating one if the
+ * shop has none, so the draft order shows up under the right customer
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} orderData - The parsed order data
+ * @returns {Promise<Object>} - { customerId, created, userErrors }
+ */
+export async function findOrCreateCustomer(admin, orderData) {
+  const email = orderData.email?.trim();
+  if (!email) return { customerId: null, created: false, userErrors: [] };
+
+  const response = await admin.graphql(CUSTOMER_BY_EMAIL_QUERY, {
+    variables: { query: `email:"${email.replace(/"/g, '\\"')}"` },
+  });
+  const { data } = await response.json();
+  const existing = data?.customers?.nodes?.find(
+    (customer) => customer.email?.toLowerCase() === email.toLowerCase(),
+  );
+  if (existing) {
+    return { customerId: existing.id, created: false, userErrors: [] };
+  }
+
+  const result = await createCustomer(admin, {
+    email,
+    firstName: orderData.first_name,
+    lastName: orderData.last_name,
+    phone: orderData.phone || undefined,
+  });
+
+  return {
+    customerId: result?.customer?.id ?? null,
+    created: Boolean(result?.customer),
+    userErrors: result?.userErrors ?? [],
+  };
+}
@@ -0,0 +1,340 @@
+import { createLogger } from "./logger.server";
+import { quoteTemplateValues, renderTemplate } from "./templates.server";
+import { DEFAULT_SHOP_SETTINGS } from "../models/ShopSettings.server";
+
+const log = createLogger("draft-orders");
+
+/**
+ * Builds the tag that ties a draft order back to its quote request in the
+ * Shopify admin
+ * @param {string} quoteRequestId - The QuoteRequest ID
+ * @returns {string} - The draft order tag
+ */
+export function quoteRequestTag(quoteRequestId) {
+  return `Quote-${quoteRequestId}`;
+}
+
+// Metafield holding the quote request ID, so a retry can find a draft created
+// by an attempt whose response was lost
+const QUOTE_METAFIELD = { namespace: "int_quoter", key: "quote_request_id" };
+
+export const NEEDS_REVIEW_TAG = "Needs-Review";
+
+// Added to the draft order of a quote whose validity window has passed
+export const EXPIRED_TAG = "Quote-Expired";
+
+/**
+ * Maps a stored line item to a DraftOrderLineItemInput. Custom line items
+ * keep the title and price the customer saw.
+ * @param {Object} item - A parsed or resolved line item
+ * @returns {Object} - The draft order line item input
+ */
+export function toDraftOrderLineItem(item) {
+  const customAttributes = item.customAttributes ?? [];
+
+  if (item.variantId) {
+    return {
+      variantId: item.variantId,
+      quantity: item.quantity,
+      customAttributes,
+    };
+  }
+
+  return {
+    title: item.title,
+    originalUnitPrice: item.price ?? "0.00",
+    quantity: item.quantity,
+    requiresShipping: true,
+    customAttributes,
+  };
+}
+
+/**
+ * Builds a MailingAddressInput from the shipping_* or billing_* order fields
+ * @param {Object} orderData - The parsed order data
+ * @param {string} prefix - "shipping" or "billing"
+ * @returns {Object} - The mailing address input
+ */
+export function toMailingAddress(orderData, prefix) {
+  return {
+    firstName: orderData.first_name,
+    lastName: orderData.last_name,
+    company: orderData[`${prefix}_company`] || undefined,
+    address1: orderData[`${prefix}_address1`],
+    address2: orderData[`${prefix}_address2`] || undefined,
+    city: orderData[`${prefix}_city`],
+    provinceCode: orderData[`${prefix}_province_code`] ?? undefined,
+    countryCode: orderData[`${prefix}_country_code`] ?? undefined,
+    zip: orderData[`${prefix}_zip`],
+    phone: orderData.phone || undefined,
+  };
+}
+
+/**
+ * Builds the draft order fields that put it in the customer's currency and
+ * market. Both are left out when the storefront did not send them, so the
+ * draft order uses the shop's currency.
+ * @param {Object} orderData - The parsed order data
+ * @returns {Object} - { presentmentCurrencyCode, marketRegionCountryCode }
+ */
+export function toMarketInput(orderData) {
+  return {
+    presentmentCurrencyCode: orderData.presentment_currency_code ?? undefined,
+    marketRegionCountryCode: orderData.presentment_country_code ?? undefined,
+  };
+}
+
+const MARKET_INPUT_FIELDS = [
+  "presentmentCurrencyCode",
+  "marketRegionCountryCode",
+];
+
+/**
+ * Checks whether draftOrderCreate rejected the customer's currency or market,
+ * e.g. because the shop no longer sells in that currency
+ * @param {Object[]} userErrors - The mutation's user errors
+ * @returns {boolean} - True when an error points at a market field
+ */
+function isMarketError(userErrors) {
+  return (userErrors ?? []).some((error) =>
+    (error.field ?? []).some((field) => MARKET_INPUT_FIELDS.includes(field)),
+  );
+}
+
+const DRAFT_ORDER_FIELDS = `
+  id
+  name
+  invoiceUrl
+  status
+  presentmentCurrencyCode
+  lineItems(first: 5) {
+    edges {
+      node {
+        title
+        quantity
+        variant {
+          id
+          price
+        }
+      }
+    }
+  }
+`;
+
+const DRAFT_ORDER_MUTATION = `#graphql
+  mutation draftOrderCreate($input: DraftOrderInput!) {
+    draftOrderCreate(input: $input) {
+      draftOrder {
+        ${DRAFT_ORDER_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Creates a draft order using the Shopify GraphQL API
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} orderData - The parsed order data from the payload
+ * @param {string} quoteRequestId - The QuoteRequest the draft order belongs to
+ * @param {Object} [options]
+ * @param {string} [options.customerId] - The customer to attach the draft order to
+ * @param {Object} [options.settings] - The shop's settings, for the note template and extra tags
+ * @returns {Promise<Object>} - The draftOrderCreate payload ({ draftOrder, userErrors })
+ */
+export async function createDraftOrder(
+  admin,
+  orderData,
+  quoteRequestId,
+  { customerId, settings = DEFAULT_SHOP_SETTINGS } = {},
+) {
+  const variables = {
+    input: {
+      email: orderData.email,
+      phone: orderData.phone || undefined,
+      note:
+        renderTemplate(
+          settings.noteTemplate,
+          quoteTemplateValues(orderData, quoteRequestId),
+        ) || undefined,
+      customAttributes: orderData.cart_attributes ?? [],
+      shippingAddress: toMailingAddress(orderData, "shipping"),
+      billingAddress: orderData.billing_address1
+        ? toMailingAddress(orderData, "billing")
+        : undefined,
+      purchasingEntity: customerId ? { customerId } : undefined,
+      ...toMarketInput(orderData),
+      lineItems: (orderData.lineItems ?? []).map(toDraftOrderLineItem),
+      metafields: [
+        {
+          ...QUOTE_METAFIELD,
+          type: "single_line_text_field",
+          value: quoteRequestId,
+        },
+      ],
+      tags: [
+        "International-Quote",
+        quoteRequestTag(quoteRequestId),
+        ...(orderData.lineItems?.some(
+          (item) => item.needsReview || item.unavailable,
+        )
+          ? [NEEDS_REVIEW_TAG]
+          : []),
+        ...settings.extraTags,
+      ],
+    },
+  };
+
+  try {
+    const response = await admin.graphql(DRAFT_ORDER_MUTATION, { variables });
+    const { data } = await response.json();
+    const result = data?.draftOrderCreate;
+    if (!isMarketError(result?.userErrors)) return result;
+
+    // A quote in the shop's currency is better than no quote at all
+    log.warn("Customer currency rejected; using the shop currency", {
+      quoteRequestId,
+      presentmentCurrencyCode: variables.input.presentmentCurrencyCode,
+      marketRegionCountryCode: variables.input.marketRegionCountryCode,
+      userErrors: result.userErrors,
+    });
+    const retry = await admin.graphql(DRAFT_ORDER_MUTATION, {
+      variables: {
+        input: {
+          ...variables.input,
+          presentmentCurrencyCode: undefined,
+          marketRegionCountryCode: undefined,
+        },
+      },
+    });
+    const { data: retryData } = await retry.json();
+    return retryData?.draftOrderCreate;
+  } catch (error) {
+    log.error("Error creating draft order", { quoteRequestId, error });
+    throw error;
+  }
+}
+
+// Tag and metafield searches are served from an index that lags behind new
+// drafts, so the lookup pages through the unfiltered list instead
+const RECENT_DRAFT_ORDERS_QUERY = `#graphql
+  query recentDraftOrders($after: String) {
+    draftOrders(first: 50, after: $after, sortKey: ID, reverse: true) {
+      edges {
+        node {
+          ${DRAFT_ORDER_FIELDS}
+          createdAt
+          metafield(namespace: "${QUOTE_METAFIELD.namespace}", key: "${QUOTE_METAFIELD.key}") {
+            value
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Allows for the app's clock running ahead of Shopify's
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_LOOKUP_PAGES = 10;
+
+/**
+ * Finds a draft order previously created for a quote request by walking the
+ * shop's draft orders from the newest back to when the first one was requested
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} quoteRequestId - The QuoteRequest ID
+ * @param {Date} requestedAt - When a draft order was first requested for the quote
+ * @returns {Promise<Object|null>} - The draft order, or null if none exists
+ */
+export async function findDraftOrderForQuote(
+  admin,
+  quoteRequestId,
+  requestedAt,
+) {
+  const since = new Date(requestedAt).getTime() - CLOCK_SKEW_MS;
+  let after = null;
+
+  for (let page = 0; page < MAX_LOOKUP_PAGES; page++) {
+    const response = await admin.graphql(RECENT_DRAFT_ORDERS_QUERY, {
+      variables: { after },
+    });
+    const { data } = await response.json();
+    const connection = data?.draftOrders;
+    const drafts = (connection?.edges ?? []).map(({ node }) => node);
+
+    const match = drafts.find(
+      (draft) => draft.metafield?.value === quoteRequestId,
+    );
+    if (match) return match;
+
+    const reachedStart = drafts.some(
+      (draft) => new Date(draft.createdAt).getTime() < since,
+    );
+    if (reachedStart || !connection?.pageInfo?.hasNextPage) return null;
+    after = connection.pageInfo.endCursor;
+  }
+
+  log.warn("Draft order lookup stopped before reaching the first request", {
+    quoteRequestId,
+    pages: MAX_LOOKUP_PAGES,
+  });
+  return null;
+}
+
+const TAGS_ADD_MUTATION = `#graphql
+  mutation tagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Adds tags to a draft order
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @param {string[]} tags - The tags to add
+ * @returns {Promise<Object[]>} - The userErrors returned by Shopify
+ */
+export async function addDraftOrderTags(admin, draftOrderId, tags) {
+  const response = await admin.graphql(TAGS_ADD_MUTATION, {
+    variables: { id: draftOrderId, tags },
+  });
+  const { data } = await response.json();
+  return data?.tagsAdd?.userErrors ?? [];
+}
+
+const DELETE_MUTATION = `#graphql
+  mutation draftOrderDelete($input: DraftOrderDeleteInput!) {
+    draftOrderDelete(input: $input) {
+      deletedId
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Deletes a draft order
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @returns {Promise<Object[]>} - The userErrors returned by Shopify
+ */
+export async function deleteDraftOrder(admin, draftOrderId) {
+  const response = await admin.graphql(DELETE_MUTATION, {
+    variables: { input: { id: draftOrderId } },
+  });
+  const { data } = await response.json();
+  return data?.draftOrderDelete?.userErrors ?? [];
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it, vi } from "vitest";
+import { createDraftOrder, findDraftOrderForQuote } from "./draftOrders.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+/**
+ * Fakes an admin client that serves draft orders newest first, 50 per page
+ * @param {Object[]} drafts - Draft order nodes, newest first
+ * @returns {Object} - The client, with the variables of every call in `calls`
+ */
+function fakeAdmin(drafts) {
+  const calls = [];
+  return {
+    calls,
+    graphql: async (query, { variables }) => {
+      calls.push(variables);
+      const start = variables.after ? Number(variables.after) : 0;
+      const page = drafts.slice(start, start + 50);
+      return Response.json({
+        data: {
+          draftOrders: {
+            edges: page.map((node) => ({ node })),
+            pageInfo: {
+              hasNextPage: start + 50 < drafts.length,
+              endCursor: String(start + 50),
+            },
+          },
+        },
+      });
+    },
+  };
+}
+
+const requestedAt = new Date("2026-10-20T12:00:00Z");
+
+const draft = (index, quoteRequestId = null) => ({
+  id: `gid://shopify/DraftOrder/${1000 - index}`,
+  createdAt: new Date(requestedAt.getTime() + 60_000 - index * 1000),
+  metafield: quoteRequestId ? { value: quoteRequestId } : null,
+});
+
+describe("findDraftOrderForQuote", () => {
+  it("finds the draft by its quote metafield on a later page", async () => {
+    const drafts = Array.from({ length: 60 }, (_, index) =>
+      draft(index, index === 55 ? "quote-1" : "other"),
+    );
+    const admin = fakeAdmin(drafts);
+
+    const found = await findDraftOrderForQuote(admin, "quote-1", requestedAt);
+
+    expect(found.id).toBe(drafts[55].id);
+    expect(admin.calls).toEqual([{ after: null }, { after: "50" }]);
+  });
+
+  it("stops once drafts are older than the first request", async () => {
+    const drafts = Array.from({ length: 500 }, (_, index) => draft(index));
+    const admin = fakeAdmin(drafts);
+
+    expect(
+      await findDraftOrderForQuote(admin, "quote-1", requestedAt),
+    ).toBeNull();
+    expect(admin.calls.length).toBeLessThan(10);
+  });
+});
+
+describe("createDraftOrder", () => {
+  it("stores the quote request ID in a metafield", async () => {
+    let input;
+    const admin = {
+      graphql: async (query, { variables }) => {
+        input = variables.input;
+        return Response.json({
+          data: {
+            draftOrderCreate: { draftOrder: { id: "d" }, userErrors: [] },
+          },
+        });
+      },
+    };
+
+    await createDraftOrder(admin, { email: "a@example.com" }, "quote-1");
+
+    expect(input.metafields).toEqual([
+      expect.objectContaining({ key: "quote_request_id", value: "quote-1" }),
+    ]);
+  });
+});
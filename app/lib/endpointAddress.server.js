@@ -0,0 +1,114 @@
+import dns from "node:dns";
+import { BlockList, isIP } from "node:net";
+import { Agent } from "undici";
+
+// Loopback, private, link-local, shared and reserved ranges. Webhook payloads
+// are sent from the app's own network, so none of these may be an endpoint.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges too.
+const PRIVATE_RANGES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6"),
+);
+
+/**
+ * Checks whether an IP address is on a private or otherwise internal network
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} - True unless the address is public
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Checks that a webhook endpoint's host is on the public internet, so a shop
+ * cannot point the app at itself or at services next to it. Host names are
+ * resolved, and every address they resolve to must be public.
+ * @param {string} url - The endpoint URL
+ * @returns {Promise<string|null>} - Why the host is not allowed, or null when it is public
+ */
+export async function checkPublicEndpoint(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  } catch {
+    return "Enter a valid URL";
+  }
+
+  if (hostname === "localhost" || hostname.endsWith(".localhost")) {
+    return "The URL must point to a public host";
+  }
+
+  let addresses;
+  if (isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(
+        ({ address }) => address,
+      );
+    } catch {
+      return `The host ${hostname} could not be found`;
+    }
+  }
+
+  return addresses.some(isPrivateAddress)
+    ? "The URL must point to a public host"
+    : null;
+}
+
+/**
+ * Resolves a host name for a socket like dns.lookup, but fails when any of
+ * its addresses is not public. Checking at connect time means a host whose
+ * DNS record changes after checkPublicEndpoint still cannot reach the app's
+ * own network.
+ * @param {string} hostname - The host to resolve
+ * @param {Object} options - The lookup options net.connect passes
+ * @param {Function} callback - Called with (error, address, family), or (error, addresses) when options.all is set
+ */
+export function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const privateError = new Error(
+        `${hostname} resolves to the non-public address ${blocked.address}`,
+      );
+      privateError.code = "ENOTPUBLIC";
+      return callback(privateError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Connections opened through this dispatcher only reach public addresses.
+// IP literals skip the lookup, so callers still run checkPublicEndpoint first.
+export const publicEndpointDispatcher = new Agent({
+  connect: { lookup: publicAddressLookup },
+});
@@ -0,0 +1,117 @@
+import dns from "node:dns";
+import { createServer } from "node:http";
+import { fetch } from "undici";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import {
+  checkPublicEndpoint,
+  isPrivateAddress,
+  publicAddressLookup,
+  publicEndpointDispatcher,
+} from "./endpointAddress.server";
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "10.1.2.3",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.20.0.1",
+    "192.168.1.1",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "not an address",
+  ])("treats %s as private", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["8.8.8.8", "23.227.38.65", "2606:4700::1111", "::ffff:8.8.8.8"])(
+    "treats %s as public",
+    (address) => {
+      expect(isPrivateAddress(address)).toBe(false);
+    },
+  );
+});
+
+describe("checkPublicEndpoint", () => {
+  it("rejects local hosts and private IP literals", async () => {
+    expect(await checkPublicEndpoint("http://localhost:3000")).toMatch(
+      /public host/,
+    );
+    expect(await checkPublicEndpoint("http://[::1]/hook")).toMatch(
+      /public host/,
+    );
+    expect(await checkPublicEndpoint("http://10.0.0.5/hook")).toMatch(
+      /public host/,
+    );
+  });
+
+  it("accepts public IP literals", async () => {
+    expect(await checkPublicEndpoint("https://8.8.8.8/hook")).toBeNull();
+  });
+});
+
+describe("publicAddressLookup", () => {
+  const resolveTo = (addresses) =>
+    vi
+      .spyOn(dns, "lookup")
+      .mockImplementationOnce((hostname, options, callback) =>
+        callback(null, addresses),
+      );
+
+  const lookup = (options) =>
+    new Promise((resolve) =>
+      publicAddressLookup("hooks.example.com", options, (...args) =>
+        resolve(args),
+      ),
+    );
+
+  it("passes public addresses through in the form asked for", async () => {
+    const addresses = [{ address: "203.0.113.7", family: 4 }];
+
+    resolveTo(addresses);
+    expect(await lookup({})).toEqual([null, "203.0.113.7", 4]);
+    resolveTo(addresses);
+    expect(await lookup({ all: true })).toEqual([null, addresses]);
+  });
+
+  it("fails when any address is private", async () => {
+    resolveTo([
+      { address: "203.0.113.7", family: 4 },
+      { address: "10.0.0.5", family: 4 },
+    ]);
+
+    const [error] = await lookup({ all: true });
+    expect(error.code).toBe("ENOTPUBLIC");
+    expect(error.message).toContain("10.0.0.5");
+  });
+});
+
+describe("publicEndpointDispatcher", () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = createServer((request, response) => response.end("ok"));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(async () => {
+    await publicEndpointDispatcher.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("refuses to connect to a host that resolves to a private address", async () => {
+    const request = fetch(`http://localhost:${port}/`, {
+      dispatcher: publicEndpointDispatcher,
+    });
+
+    await expect(request).rejects.toMatchObject({
+      cause: { code: "ENOTPUBLIC" },
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  claimExpiryReminder,
+  fromJson,
+  markInvoiceSendStarted,
+  recordExpiryReminderFailed,
+  recordExpiryReminderSent,
+  recordInvoiceFailed,
+  recordInvoiceSent,
+} from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import {
+  canTransition,
+  QUOTE_STATUS,
+  QUOTE_STATUS_LABELS,
+} from "../models/quoteStatus";
+import { createLogger } from "./logger.server";
+import { parseOrderData } from "./orderData.server";
+import { formatExpiryDate, quoteExpiry } from "./quoteExpiry.server";
+import { quoteTemplateValues, renderTemplate } from "./templates.server";
+
+const log = createLogger("invoices");
+
+const INVOICE_SEND_MUTATION = `#graphql
+  mutation draftOrderInvoiceSend($id: ID!, $email: EmailInput) {
+    draftOrderInvoiceSend(id: $id, email: $email) {
+      draftOrder {
+        id
+        invoiceSentAt
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Emails a draft order's invoice to the customer through Shopify
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @param {Object} email - The EmailInput ({ to, subject, customMessage })
+ * @returns {Promise<Object>} - The draftOrderInvoiceSend payload ({ draftOrder, userErrors })
+ */
+export async function sendDraftOrderInvoice(admin, draftOrderId, email) {
+  const response = await admin.graphql(INVOICE_SEND_MUTATION, {
+    variables: { id: draftOrderId, email },
+  });
+  const { data } = await response.json();
+  return data?.draftOrderInvoiceSend;
+}
+
+/**
+ * Sends the invoice for a quote's draft order using the shop's subject and
+ * message templates, and records the outcome on the quote. Failures are
+ * recorded rather than thrown: the draft order is still valid without it.
+ * @param {Object} quoteRequest - The QuoteRequest record; must have a draft order
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - An admin GraphQL client; defaults to the shop's offline session
+ * @param {boolean} [options.automatic] - Whether the send was triggered by the auto-invoice setting
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function sendQuoteInvoice(
+  quoteRequest,
+  { admin, automatic = false } = {},
+) {
+  if (!quoteRequest.draftOrderId) {
+    return recordInvoiceFailed(quoteRequest.id, "The quote has no draft order");
+  }
+  if (!canTransition(quoteRequest.status, QUOTE_STATUS.INVOICE_SENT)) {
+    return recordInvoiceFailed(
+      quoteRequest.id,
+      `${QUOTE_STATUS_LABELS[quoteRequest.status]} quotes cannot be invoiced`,
+    );
+  }
+  if (!quoteRequest.email) {
+    return recordInvoiceFailed(quoteRequest.id, "The quote has no email");
+  }
+
+  try {
+    const client =
+      admin ?? (await unauthenticated.admin(quoteRequest.shop)).admin;
+    const settings = await getShopSettings(quoteRequest.shop);
+    const values = quoteTemplateValues(
+      parseOrderData(fromJson(quoteRequest.payload) ?? {}),
+      quoteRequest.id,
+    );
+    const subject = renderTemplate(settings.invoiceSubject, values);
+
+    await markInvoiceSendStarted(quoteRequest.id);
+    const result = await sendDraftOrderInvoice(
+      client,
+      quoteRequest.draftOrderId,
+      {
+        to: quoteRequest.email,
+        subject,
+        customMessage: renderTemplate(settings.invoiceMessage, values),
+      },
+    );
+
+    const userErrors = result?.userErrors ?? [];
+    if (!result?.draftOrder || userErrors.length) {
+      return recordInvoiceFailed(
+        quoteRequest.id,
+        userErrors[0]?.message ?? "Shopify did not send the invoice",
+        userErrors,
+      );
+    }
+
+    return recordInvoiceSent(quoteRequest.id, {
+      to: quoteRequest.email,
+      subject,
+      automatic,
+      expiry: quoteExpiry(settings),
+    });
+  } catch (error) {
+    log.error("Invoice send failed", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+    return recordInvoiceFailed(quoteRequest.id, error.message);
+  }
+}
+
+/**
+ * Resends the quote's invoice with a note that it is about to expire. The
+ * reminder is claimed first, so overlapping runs send it once.
+ * @param {Object} quoteRequest - An invoiced QuoteRequest record
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if another run took the reminder
+ */
+export async function sendExpiryReminder(quoteRequest) {
+  if (!(await claimExpiryReminder(quoteRequest.id))) return null;
+
+  try {
+    const { admin } = await unauthenticated.admin(quoteRequest.shop);
+    const settings = await getShopSettings(quoteRequest.shop);
+    const values = quoteTemplateValues(
+      parseOrderData(fromJson(quoteRequest.payload) ?? {}),
+      quoteRequest.id,
+    );
+    const subject = `Reminder: ${renderTemplate(settings.invoiceSubject, values)}`;
+
+    const result = await sendDraftOrderInvoice(
+      admin,
+      quoteRequest.draftOrderId,
+      {
+        to: quoteRequest.email,
+        subject,
+        customMessage: `Your quote is valid until ${formatExpiryDate(quoteRequest.expiresAt)}. After that, shipping rates may change and you'll need to request a new quote.`,
+      },
+    );
+
+    const userErrors = result?.userErrors ?? [];
+    if (!result?.draftOrder || userErrors.length) {
+      await recordExpiryReminderFailed(
+        quoteRequest.id,
+        userErrors[0]?.message ?? "Shopify did not send the invoice",
+      );
+      return null;
+    }
+
+    return recordExpiryReminderSent(quoteRequest.id, {
+      to: quoteRequest.email,
+      subject,
+    });
+  } catch (error) {
+    log.error("Expiry reminder failed", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+    await recordExpiryReminderFailed(quoteRequest.id, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_LEVEL = process.env.NODE_ENV === "production" ? "info" : "debug";
+
+// Keys whose values identify a customer or authenticate a request. Matched
+// case-insensitively anywhere in the key, so `shipping_address1`,
+// `billingAddress`, `shippingCountry` and `receivedSignature` are all covered.
+const REDACTED_KEY_PATTERN =
+  /email|address|signature|hmac|secret|token|password|phone|zip|postal|city|province|country|(first|last|full)_?name/i;
+
+// IP address keys. "ip" is part of many unrelated words, such as shipping and
+// recipients, so only `ip`, `client_ip` and `clientIp` style keys match.
+const IP_KEY_PATTERN = /^ip$|_ip$|[a-z]Ip$/;
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Reads the minimum level to write from LOG_LEVEL
+ * @returns {number} - The numeric threshold
+ */
+function threshold() {
+  const level = process.env.LOG_LEVEL?.toLowerCase();
+  return LEVELS[level] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Replaces customer and credential fields with a placeholder
+ * @param {*} value - The value to redact
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} - A copy that is safe to write to the log
+ */
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 5) return "[Truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      (REDACTED_KEY_PATTERN.test(key) || IP_KEY_PATTERN.test(key)) &&
+      item != null
+        ? REDACTED
+        : redact(item, depth + 1),
+    ]),
+  );
+}
+
+/**
+ * Reads the request ID set by the hosting proxy or Shopify, or generates one
+ * @param {Request} request - The incoming request
+ * @returns {string} - The request ID
+ */
+export function requestId(request) {
+  return (
+    request?.headers.get("x-request-id") ||
+    request?.headers.get("x-shopify-request-id") ||
+    request?.headers.get("x-shopify-webhook-id") ||
+    crypto.randomUUID()
+  );
+}
+
+/**
+ * Writes one JSON line for a log entry at or above LOG_LEVEL
+ * @param {string} level - One of debug, info, warn, error
+ * @param {Object} context - Fields bound to the logger
+ * @param {string} message - A short, PII-free description of the event
+ * @param {Object} [fields] - Extra structured data, redacted before writing
+ */
+function write(level, context, message, fields) {
+  if (LEVELS[level] < threshold()) return;
+
+  // Fields come first so a field named e.g. level or scope cannot overwrite
+  // the entry's own
+  const line = JSON.stringify({
+    ...redact(fields ?? {}),
+    ...context,
+    time: new Date().toISOString(),
+    level,
+    message,
+  });
+
+  if (level === "error" || level === "warn") {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+/**
+ * Creates a structured logger. Every entry carries the bound context, so a
+ * logger created per request tags all of its lines with the request ID.
+ * @param {string} scope - The module or route writing the logs
+ * @param {Object} [context] - Fields added to every entry, e.g. { requestId, shop }
+ * @returns {Object} - { debug, info, warn, error, child }
+ */
+export function createLogger(scope, context = {}) {
+  const bound = { scope, ...redact(context) };
+
+  return {
+    debug: (message, fields) => write("debug", bound, message, fields),
+    info: (message, fields) => write("info", bound, message, fields),
+    warn: (message, fields) => write("warn", bound, message, fields),
+    error: (message, fields) => write("error", bound, message, fields),
+    child: (fields) => createLogger(scope, { ...context, ...fields }),
+  };
+}
@@ -0,0 +1,79 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createLogger, redact } from "./logger.server";
+
+describe("redact", () => {
+  it("hides customer details and credentials, keeping other fields", () => {
+    expect(
+      redact({
+        quoteRequestId: "quote-1",
+        email: "ada@example.com",
+        shipping_address1: "1 Main St",
+        clientIp: "203.0.113.7",
+        recipients: 2,
+        nested: { accessToken: "secret" },
+      }),
+    ).toEqual({
+      quoteRequestId: "quote-1",
+      email: "[REDACTED]",
+      shipping_address1: "[REDACTED]",
+      clientIp: "[REDACTED]",
+      recipients: 2,
+      nested: { accessToken: "[REDACTED]" },
+    });
+  });
+
+  it("writes errors as their name, message and stack", () => {
+    expect(redact(new TypeError("boom"))).toMatchObject({
+      name: "TypeError",
+      message: "boom",
+    });
+  });
+});
+
+describe("createLogger", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+  });
+
+  const capture = () => {
+    const lines = [];
+    vi.spyOn(process.stdout, "write").mockImplementation((line) =>
+      lines.push(JSON.parse(line)),
+    );
+    return lines;
+  };
+
+  it("does not let fields overwrite the entry's time, level or context", () => {
+    vi.stubEnv("LOG_LEVEL", "info");
+    const lines = capture();
+
+    createLogger("orders", { requestId: "req-1" }).info("Quote received", {
+      level: "error",
+      time: "yesterday",
+      scope: "billing",
+      requestId: "forged",
+      message: "forged",
+      quoteRequestId: "quote-1",
+    });
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: "info",
+      scope: "orders",
+      requestId: "req-1",
+      message: "Quote received",
+      quoteRequestId: "quote-1",
+    });
+    expect(lines[0].time).not.toBe("yesterday");
+  });
+
+  it("skips entries below LOG_LEVEL", () => {
+    vi.stubEnv("LOG_LEVEL", "warn");
+    const lines = capture();
+
+    createLogger("orders").info("Quote received");
+
+    expect(lines).toHaveLength(0);
+  });
+});
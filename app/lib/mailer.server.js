@@ -0,0 +1,136 @@
+import nodemailer from "nodemailer";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("mailer");
+
+const HTTP_TIMEOUT_MS = 10_000;
+
+/**
+ * Thrown when a transport could not hand a message to the mail server or
+ * provider
+ */
+export class MailDeliveryError extends Error {
+  constructor(message, { transport, status } = {}) {
+    super(message);
+    this.name = "MailDeliveryError";
+    this.transport = transport;
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a transport that sends through an SMTP server. Any SMTP URL
+ * nodemailer understands works, including a local fake server in development,
+ * e.g. smtp://localhost:1025.
+ * @param {Object} config
+ * @param {string} config.url - The SMTP connection URL
+ * @returns {Object} - The transport ({ name, send })
+ */
+export function createSmtpTransport({ url }) {
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: "smtp",
+    async send(message) {
+      try {
+        await transporter.sendMail(message);
+      } catch (error) {
+        throw new MailDeliveryError(error.message, { transport: "smtp" });
+      }
+    },
+  };
+}
+
+/**
+ * Creates a transport that POSTs each message as JSON to an email provider's
+ * HTTP API, or to a small relay in front of one
+ * @param {Object} config
+ * @param {string} config.url - The endpoint to POST to
+ * @param {string} [config.token] - Sent as a bearer token when set
+ * @returns {Object} - The transport ({ name, send })
+ */
+export function createHttpTransport({ url, token }) {
+  return {
+    name: "http",
+    async send(message) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        throw new MailDeliveryError(
+          `Mail provider responded with ${response.status}`,
+          { transport: "http", status: response.status },
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Builds the transport configured through the environment:
+ * MAIL_TRANSPORT=smtp with SMTP_URL, or MAIL_TRANSPORT=http with
+ * MAIL_HTTP_URL and optionally MAIL_HTTP_TOKEN
+ * @param {Object} [env] - The environment variables
+ * @returns {Object|null} - The transport, or null when email is not set up
+ */
+export function createTransportFromEnv(env = process.env) {
+  switch (env.MAIL_TRANSPORT?.toLowerCase()) {
+    case "smtp":
+      return env.SMTP_URL ? createSmtpTransport({ url: env.SMTP_URL }) : null;
+    case "http":
+      return env.MAIL_HTTP_URL
+        ? createHttpTransport({
+            url: env.MAIL_HTTP_URL,
+            token: env.MAIL_HTTP_TOKEN,
+          })
+        : null;
+    default:
+      return null;
+  }
+}
+
+let transport;
+
+/**
+ * Replaces the transport used by sendMail, e.g. with a stub that keeps messages
+ * in memory while working on an email
+ * @param {Object|null} value - A transport ({ name, send }), or null to disable email
+ */
+export function setMailTransport(value) {
+  transport = value;
+}
+
+/**
+ * Sends an email through the configured transport
+ * @param {Object} message
+ * @param {string[]} message.to - The recipients
+ * @param {string} message.subject - The subject line
+ * @param {string} message.text - The plain text body
+ * @param {string} [message.html] - The HTML body
+ * @returns {Promise<boolean>} - False when no transport is configured
+ * @throws {MailDeliveryError} - When the transport rejects the message
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (transport === undefined) transport = createTransportFromEnv();
+  if (!transport) {
+    log.debug("Email not sent, no transport configured", { subject });
+    return false;
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "International Quote <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+  log.info("Email sent", { transport: transport.name, recipients: to.length });
+  return true;
+}
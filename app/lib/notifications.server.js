@@ -0,0 +1,155 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  fromJson,
+  QUOTE_EVENT,
+  QUOTE_STATUS,
+  recordQuoteEvent,
+} from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import { draftOrderWebUrl } from "../utils/shopifyAdmin";
+import { getVariantsByIds } from "./catalog.server";
+import { createLogger } from "./logger.server";
+import { sendMail } from "./mailer.server";
+
+const log = createLogger("notifications");
+
+/**
+ * Describes each requested item on one line. Variant names are looked up so
+ * staff see products rather than IDs; the IDs are used if that fails. Lines
+ * the availability check flagged say why.
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @returns {Promise<string[]>} - Lines like "2 × T-shirt - Blue (SKU TS-1)"
+ */
+async function describeItems(quoteRequest) {
+  const lineItems = fromJson(quoteRequest.lineItems) ?? [];
+
+  let variants = new Map();
+  try {
+    const { admin } = await unauthenticated.admin(quoteRequest.shop);
+    variants = await getVariantsByIds(
+      admin,
+      lineItems.map((item) => item.variantId).filter(Boolean),
+    );
+  } catch (error) {
+    log.warn("Failed to resolve notification line items", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+  }
+
+  return lineItems.map((item) => {
+    const variant = variants.get(item.variantId);
+    const name = variant?.displayName ?? item.title ?? item.variantId;
+    const sku = variant?.sku ?? item.sku;
+    return `${item.quantity} × ${name}${sku ? ` (SKU ${sku})` : ""}${
+      item.unavailable ? ` [unavailable: ${item.unavailable.message}]` : ""
+    }`;
+  });
+}
+
+/**
+ * Builds the staff email for a new quote request
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @param {string[]} items - The item lines from describeItems
+ * @returns {Object} - { subject, text }
+ */
+export function buildQuoteNotification(quoteRequest, items) {
+  const destination = [
+    quoteRequest.shippingCompany,
+    [quoteRequest.shippingAddress1, quoteRequest.shippingAddress2]
+      .filter(Boolean)
+      .join(", "),
+    [
+      quoteRequest.shippingCity,
+      quoteRequest.shippingProvince,
+      quoteRequest.shippingZip,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    quoteRequest.shippingCountry,
+  ].filter(Boolean);
+
+  const draftUrl = draftOrderWebUrl(
+    quoteRequest.shop,
+    quoteRequest.draftOrderId,
+  );
+  const draftName = fromJson(quoteRequest.draftOrderResponse)?.name;
+  // Failed quotes without a next attempt were rejected by Shopify or ran out
+  // of attempts, and wait for staff
+  const willRetry =
+    quoteRequest.status !== QUOTE_STATUS.FAILED ||
+    Boolean(quoteRequest.nextAttemptAt);
+
+  const lines = [
+    `A customer asked for an international shipping quote (${quoteRequest.id}).`,
+    "",
+    "Customer",
+    `  ${quoteRequest.fullName}`,
+    `  ${quoteRequest.email}`,
+    ...(quoteRequest.phone ? [`  ${quoteRequest.phone}`] : []),
+    "",
+    "Ship to",
+    ...destination.map((line) => `  ${line}`),
+    "",
+    `Items (${quoteRequest.itemCount})`,
+    ...(items.length ? items.map((item) => `  ${item}`) : ["  None listed"]),
+    ...(quoteRequest.hasUnavailableItems
+      ? [
+          "",
+          "Some items could not be sold as requested. Products that no longer exist were left off the draft order.",
+        ]
+      : []),
+    ...(quoteRequest.note ? ["", "Note", `  ${quoteRequest.note}`] : []),
+    "",
+    draftUrl
+      ? `Draft order${draftName ? ` ${draftName}` : ""}: ${draftUrl}`
+      : willRetry
+        ? "The draft order could not be created yet and will be retried automatically."
+        : "The draft order could not be created and will not be retried automatically. Fix the quote and retry it from the admin.",
+  ];
+
+  return {
+    subject: `New quote request from ${quoteRequest.fullName} (${quoteRequest.shippingCountry})`,
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * Emails the shop's staff about a quote request the storefront just sent.
+ * Failures are recorded on the quote rather than thrown, so a mail outage
+ * never affects the customer's request.
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @returns {Promise<boolean>} - True when the email was handed to the transport
+ */
+export async function notifyStaffOfQuote(quoteRequest) {
+  try {
+    const { notificationEmails } = await getShopSettings(quoteRequest.shop);
+    if (!notificationEmails.length) return false;
+
+    const items = await describeItems(quoteRequest);
+    const sent = await sendMail({
+      to: notificationEmails,
+      ...buildQuoteNotification(quoteRequest, items),
+    });
+    if (!sent) return false;
+
+    await recordQuoteEvent(
+      quoteRequest.id,
+      QUOTE_EVENT.STAFF_NOTIFIED,
+      "Staff were notified by email",
+      { recipients: notificationEmails.length },
+    );
+    return true;
+  } catch (error) {
+    log.error("Staff notification failed", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+    await recordQuoteEvent(
+      quoteRequest.id,
+      QUOTE_EVENT.STAFF_NOTIFICATION_FAILED,
+      `Staff notification failed: ${error.message}`,
+    );
+    return false;
+  }
+}
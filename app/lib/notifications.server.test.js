@@ -0,0 +1,136 @@
+import { SMTPServer } from "smtp-server";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { QUOTE_STATUS } from "../models/quoteStatus";
+import { createSmtpTransport, setMailTransport } from "./mailer.server";
+import {
+  buildQuoteNotification,
+  notifyStaffOfQuote,
+} from "./notifications.server";
+
+const { events } = vi.hoisted(() => ({ events: [] }));
+
+vi.mock("../db.server", () => ({
+  default: {
+    shopSettings: {
+      findUnique: async () => ({
+        notificationEmails: JSON.stringify(["orders@example.com"]),
+      }),
+    },
+    quoteEvent: { create: async ({ data }) => events.push(data) },
+  },
+}));
+vi.mock("../shopify.server", () => ({
+  unauthenticated: { admin: async () => ({ admin: {} }) },
+}));
+
+const quoteRequest = {
+  id: "quote-1",
+  shop: "a.myshopify.com",
+  fullName: "Ada Lovelace",
+  email: "ada@example.com",
+  shippingCountry: "Canada",
+  itemCount: 1,
+  draftOrderId: null,
+};
+
+describe("buildQuoteNotification", () => {
+  it("says a quote without a draft will be retried while a retry is due", () => {
+    const { text } = buildQuoteNotification(
+      {
+        ...quoteRequest,
+        status: QUOTE_STATUS.FAILED,
+        nextAttemptAt: new Date(),
+      },
+      [],
+    );
+    expect(text).toContain("will be retried automatically");
+  });
+
+  it("asks staff to retry when no automatic retry is scheduled", () => {
+    const { text } = buildQuoteNotification(
+      { ...quoteRequest, status: QUOTE_STATUS.FAILED, nextAttemptAt: null },
+      [],
+    );
+    expect(text).toContain("will not be retried automatically");
+    expect(text).toContain("retry it from the admin");
+  });
+
+  it("links the draft order once it exists", () => {
+    const { text } = buildQuoteNotification(
+      {
+        ...quoteRequest,
+        status: QUOTE_STATUS.DRAFT_CREATED,
+        draftOrderId: "gid://shopify/DraftOrder/42",
+        draftOrderResponse: JSON.stringify({ name: "#D42" }),
+      },
+      [],
+    );
+    expect(text).toMatch(/Draft order #D42: https:\/\/\S+\/42/);
+  });
+});
+
+// nodemailer sends the non-ASCII body as quoted-printable
+const decodeQuotedPrintable = (text) =>
+  Buffer.from(
+    text
+      .replace(/=\r?\n/g, "")
+      .replace(/=([0-9A-F]{2})/g, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16)),
+      ),
+    "latin1",
+  ).toString("utf8");
+
+describe("notifyStaffOfQuote", () => {
+  const received = [];
+  let server;
+
+  beforeAll(async () => {
+    server = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ["STARTTLS"],
+      logger: false,
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on("data", (chunk) => chunks.push(chunk));
+        stream.on("end", () => {
+          received.push({
+            recipients: session.envelope.rcptTo.map(({ address }) => address),
+            message: decodeQuotedPrintable(Buffer.concat(chunks).toString()),
+          });
+          callback();
+        });
+      },
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.server.address();
+    setMailTransport(createSmtpTransport({ url: `smtp://127.0.0.1:${port}` }));
+  });
+
+  afterAll(async () => {
+    setMailTransport(undefined);
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("sends the quote to the shop's staff through SMTP", async () => {
+    const sent = await notifyStaffOfQuote({
+      ...quoteRequest,
+      status: QUOTE_STATUS.DRAFT_CREATED,
+      draftOrderId: "gid://shopify/DraftOrder/42",
+      lineItems: JSON.stringify([{ quantity: 2, title: "Tea towel" }]),
+    });
+
+    expect(sent).toBe(true);
+    expect(received).toHaveLength(1);
+    const [{ recipients, message }] = received;
+    expect(recipients).toEqual(["orders@example.com"]);
+    expect(message).toContain(
+      "Subject: New quote request from Ada Lovelace (Canada)",
+    );
+    expect(message).toContain("ada@example.com");
+    expect(message).toContain("2 × Tea towel");
+    expect(message).toMatch(/Draft order: https:\/\/\S+\/42/);
+    expect(events).toContainEqual(
+      expect.objectContaining({ type: "staff_notified" }),
+    );
+  });
+});
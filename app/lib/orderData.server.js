@@ -0,0 +1,213 @@
+import { resolveCountryCode, resolveProvinceCode } from "./countries.server";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("orders");
+
+// The newest quote[cart_line_items] format; see docs/quote-payload.md
+export const CART_PAYLOAD_VERSION = 2;
+
+/**
+ * Normalizes attributes given as an object ({ Engraving: "A&B" }) or as a
+ * list of { key, value } pairs into the list Shopify expects
+ * @param {Object|Array} attributes - Cart attributes or line item properties
+ * @returns {Array<{key: string, value: string}>} - The custom attributes
+ */
+export function toCustomAttributes(attributes) {
+  if (!attributes) return [];
+
+  const pairs = Array.isArray(attributes)
+    ? attributes.map((attribute) => [attribute?.key, attribute?.value])
+    : Object.entries(attributes);
+
+  return pairs
+    .filter(([key, value]) => key && value !== undefined && value !== null)
+    .map(([key, value]) => ({ key: String(key), value: String(value) }));
+}
+
+/**
+ * Reads the quote[cart_line_items] JSON document in any supported version.
+ * Version 1 is a bare array of { variantId, quantity }; version 2 is an
+ * object with lineItems, note and attributes.
+ * @param {string} json - The raw JSON string
+ * @returns {Object} - { version, lineItems, note, attributes }
+ * @throws {Error} - If the JSON is malformed or the version is unsupported
+ */
+export function readCartDocument(json) {
+  const document = JSON.parse(json);
+
+  if (Array.isArray(document)) {
+    return { version: 1, lineItems: document, note: null, attributes: [] };
+  }
+
+  if (document?.version !== CART_PAYLOAD_VERSION) {
+    throw new Error(
+      `Unsupported cart_line_items version: ${document?.version ?? "missing"}`,
+    );
+  }
+
+  return {
+    version: document.version,
+    lineItems: Array.isArray(document.lineItems) ? document.lineItems : [],
+    note: document.note ?? null,
+    attributes: document.attributes ?? [],
+  };
+}
+
+/**
+ * Splits a full name into first and last name at the last space
+ * @param {string} fullName - e.g. "Anna Maria Schmidt"
+ * @returns {Array<string>} - e.g. ["Anna Maria", "Schmidt"]
+ */
+function splitFullName(fullName) {
+  const parts = (fullName ?? "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return [parts[0], undefined];
+  return [parts.slice(0, -1).join(" "), parts[parts.length - 1]];
+}
+
+/**
+ * Parse order data from the payload
+ * @param {Object} payload - The request payload
+ * @returns {Object} - Parsed order data
+ */
+export function parseOrderData(payload) {
+  // Extract customer information - handle both quote[] and contact[] prefixes
+  const orderData = {
+    email: payload["quote[email]"],
+    full_name: payload["quote[full_name]"],
+    first_name: payload["quote[first_name]"],
+    last_name: payload["quote[last_name]"],
+    phone: payload["quote[phone]"],
+    shipping_company: payload["quote[shipping_company]"],
+    shipping_address1: payload["quote[shipping_address1]"],
+    shipping_address2: payload["quote[shipping_address2]"],
+    shipping_city: payload["quote[shipping_city]"],
+    shipping_province: payload["quote[shipping_province]"],
+    shipping_country: payload["quote[shipping_country]"],
+    shipping_zip: payload["quote[shipping_zip]"],
+    billing_company: payload["quote[billing_company]"],
+    billing_address1: payload["quote[billing_address1]"],
+    billing_address2: payload["quote[billing_address2]"],
+    billing_city: payload["quote[billing_city]"],
+    billing_province: payload["quote[billing_province]"],
+    billing_country: payload["quote[billing_country]"],
+    billing_zip: payload["quote[billing_zip]"],
+    cart: payload["quote[Cart]"],
+    cart_line_items: payload["quote[cart_line_items]"],
+    cart_total: payload["quote[cart_total]"],
+    presentment_currency: payload["quote[presentment_currency]"],
+    presentment_country: payload["quote[presentment_country]"],
+    note: null,
+    cart_attributes: [],
+  };
+
+  if (!orderData.first_name && !orderData.last_name) {
+    [orderData.first_name, orderData.last_name] = splitFullName(
+      orderData.full_name,
+    );
+  }
+
+  // Free-text countries and provinces are mapped to the codes Shopify expects
+  for (const prefix of ["shipping", "billing"]) {
+    const countryCode = resolveCountryCode(orderData[`${prefix}_country`]);
+    orderData[`${prefix}_country_code`] = countryCode;
+    orderData[`${prefix}_province_code`] = resolveProvinceCode(
+      countryCode,
+      orderData[`${prefix}_province`],
+    );
+  }
+
+  // The currency and market the customer shopped in, so the draft order's
+  // invoice shows the prices they saw
+  orderData.presentment_currency_code =
+    orderData.presentment_currency?.trim().toUpperCase() || null;
+  orderData.presentment_country_code = resolveCountryCode(
+    orderData.presentment_country,
+  );
+
+  // Parse cart line items from JSON if available
+  if (orderData.cart_line_items) {
+    try {
+      const cart = readCartDocument(orderData.cart_line_items);
+      orderData.payload_version = cart.version;
+      orderData.note = cart.note;
+      orderData.cart_attributes = toCustomAttributes(cart.attributes);
+      orderData.lineItems = cart.lineItems.map((item) => ({
+        variantId: item.variantId,
+        quantity: Number(item.quantity),
+        customAttributes: toCustomAttributes(
+          item.customAttributes ?? item.properties,
+        ),
+      }));
+    } catch (error) {
+      // JSON.parse messages quote the input, so only the error type is kept
+      log.warn("Failed to parse cart_line_items JSON", { error: error.name });
+      // Fall back to cart text parsing
+      orderData.lineItems = parseCartText(orderData.cart);
+    }
+  } else if (orderData.cart) {
+    // Fall back to parsing cart text
+    orderData.lineItems = parseCartText(orderData.cart);
+  }
+
+  return orderData;
+}
+
+const PRICE_PATTERN = /\$\s*([\d,]+(?:\.\d+)?)/;
+const SKU_PATTERN = /\bSKU\s*[:#]?\s*([\w.-]+)/i;
+
+/**
+ * Parse one line of the free-text cart, e.g.
+ * "Engraved Ring - Gold / 7 (SKU: RING-G7) 2 × $120.00"
+ * @param {string} line - A cart line containing a quantity and a price
+ * @returns {Object} - The cart line's title, options, SKU, unit price and quantity
+ */
+export function parseCartLine(line) {
+  const quantityMatch = line.match(/(\d+)\s*×/) ?? line.match(/×\s*(\d+)/);
+  const priceMatch = line.match(PRICE_PATTERN);
+  const skuMatch = line.match(SKU_PATTERN);
+
+  // Whatever is left after removing quantity, price and SKU is the title
+  let text = line;
+  for (const match of [quantityMatch, skuMatch]) {
+    if (match) text = text.replace(match[0], " ");
+  }
+  text = text
+    .replace(new RegExp(PRICE_PATTERN.source, "g"), " ")
+    .replace(/[()[\]|×]/g, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s\-–:,]+|[\s\-–:,]+$/g, "");
+
+  // "Product - Option / Option" is how the storefront prints variants
+  const [title, ...variantParts] = text.split(/\s[-–]\s/);
+
+  return {
+    title,
+    options: variantParts
+      .join(" - ")
+      .split("/")
+      .map((option) => option.trim())
+      .filter(Boolean),
+    sku: skuMatch?.[1] ?? null,
+    price: priceMatch ? priceMatch[1].replace(/,/g, "") : null,
+    quantity: quantityMatch ? parseInt(quantityMatch[1], 10) : 1,
+  };
+}
+
+/**
+ * Parse cart text to extract line items. The lines still have to be matched
+ * against the catalog with resolveCartLines before a draft order is created.
+ * @param {string} cartText - The cart text content
+ * @returns {Array} - Array of unresolved cart lines
+ */
+export function parseCartText(cartText) {
+  if (!cartText) return [];
+
+  return cartText
+    .split("\n")
+    .filter((line) => line.includes("×") && line.includes("$"))
+    .map((line) => ({
+      ...parseCartLine(line),
+      source: "cart_text",
+      line: line.trim(),
+    }));
+}
@@ -0,0 +1,145 @@
+import {
+  findQuoteByDraftOrderId,
+  getQuoteRequest,
+  IllegalTransitionError,
+  recordDraftOrderDeleted,
+  recordQuoteOrder,
+  recordShopifyInvoiceSent,
+} from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import { QUOTE_STATUS } from "../models/quoteStatus";
+import { QUOTE_WEBHOOK_EVENT } from "../models/webhookEvents";
+import { queueQuoteWebhook } from "./outboundWebhooks.server";
+import { EXPIRED_TAG } from "./draftOrders.server";
+import { quoteExpiry } from "./quoteExpiry.server";
+
+const QUOTE_TAG_PATTERN = /^Quote-(\w+)$/;
+// How long after the app starts an invoice send Shopify's record of it may be
+// stamped; covers the Shopify call and clock differences
+const APP_INVOICE_SEND_WINDOW_MS = 60 * 1000;
+
+/**
+ * Reads the global ID from a REST webhook payload
+ * @param {Object} payload - The webhook payload
+ * @param {string} type - The GraphQL type, e.g. "DraftOrder"
+ * @returns {string} - The global ID
+ */
+function globalId(payload, type) {
+  return payload.admin_graphql_api_id ?? `gid://shopify/${type}/${payload.id}`;
+}
+
+/**
+ * Links an order to a quote and announces the quote's completion to
+ * subscribed endpoints the first time it happens
+ * @param {Object} quote - The QuoteRequest record
+ * @param {Object} order - { id, name }
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+async function linkQuoteOrder(quote, order) {
+  const updated = await recordQuoteOrder(quote.id, order);
+  if (
+    quote.status !== QUOTE_STATUS.COMPLETED &&
+    updated.status === QUOTE_STATUS.COMPLETED
+  ) {
+    await queueQuoteWebhook(QUOTE_WEBHOOK_EVENT.COMPLETED, updated);
+  }
+  return updated;
+}
+
+/**
+ * Tells whether an invoice send Shopify reports was made by the app rather
+ * than from the Shopify admin. The app notes when it starts a send before
+ * calling Shopify, so its own sends are recognized even when the webhook
+ * arrives before the send is recorded.
+ * @param {Object} quote - The QuoteRequest record
+ * @param {Date} sentAt - When Shopify sent the invoice
+ * @returns {boolean} - True when the send is already recorded or was started by the app
+ */
+function isAppInvoiceSend(quote, sentAt) {
+  if (quote.invoiceSentAt && sentAt <= quote.invoiceSentAt) return true;
+  return Boolean(
+    quote.invoiceSendStartedAt &&
+      sentAt - quote.invoiceSendStartedAt <= APP_INVOICE_SEND_WINDOW_MS,
+  );
+}
+
+/**
+ * Applies a draft_orders/update webhook to the matching quote: invoices sent
+ * from the Shopify admin and completed drafts update the quote's status
+ * @param {string} shop - The shop domain
+ * @param {Object} payload - The draft order webhook payload
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if nothing changed
+ */
+export async function syncDraftOrderUpdate(shop, payload) {
+  const quote = await findQuoteByDraftOrderId(
+    shop,
+    globalId(payload, "DraftOrder"),
+  );
+  if (!quote) return null;
+
+  if (payload.status === "completed" && payload.order_id) {
+    return linkQuoteOrder(quote, {
+      id: `gid://shopify/Order/${payload.order_id}`,
+    });
+  }
+
+  const sentAt = payload.invoice_sent_at && new Date(payload.invoice_sent_at);
+  if (sentAt && !isAppInvoiceSend(quote, sentAt)) {
+    const settings = await getShopSettings(shop);
+    try {
+      return await recordShopifyInvoiceSent(
+        quote.id,
+        sentAt,
+        quoteExpiry(settings, sentAt),
+      );
+    } catch (error) {
+      // Staff can resend the invoice of an expired or cancelled quote from
+      // the Shopify admin; the quote stays final
+      if (error instanceof IllegalTransitionError) return null;
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies a draft_orders/delete webhook to the matching quote
+ * @param {string} shop - The shop domain
+ * @param {Object} payload - The webhook payload ({ id })
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if nothing changed
+ */
+export async function syncDraftOrderDelete(shop, payload) {
+  const quote = await findQuoteByDraftOrderId(
+    shop,
+    globalId(payload, "DraftOrder"),
+  );
+  if (!quote) return null;
+
+  return recordDraftOrderDeleted(quote.id);
+}
+
+/**
+ * Links an order created from a quote's draft order. Completed drafts pass
+ * their tags on to the order, so the Quote-<id> tag identifies the quote.
+ * @param {string} shop - The shop domain
+ * @param {Object} payload - The orders/create webhook payload
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if the order is not from a quote
+ */
+export async function syncOrderCreate(shop, payload) {
+  const quoteId = (payload.tags ?? "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => tag !== EXPIRED_TAG)
+    .map((tag) => tag.match(QUOTE_TAG_PATTERN)?.[1])
+    .find(Boolean);
+  if (!quoteId) return null;
+
+  const quote = await getQuoteRequest(shop, quoteId);
+  if (!quote) return null;
+
+  return linkQuoteOrder(quote, {
+    id: globalId(payload, "Order"),
+    name: payload.name,
+  });
+}
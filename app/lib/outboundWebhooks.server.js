@@ -0,0 +1,191 @@
+import { createHmac } from "node:crypto";
+import { fetch } from "undici";
+import { fromJson, QUOTE_STATUS } from "../models/QuoteRequest.server";
+import { getSubscriptionsForEvent } from "../models/WebhookSubscription.server";
+import {
+  claimWebhookDelivery,
+  getDueWebhookDeliveries,
+  queueWebhookDeliveries,
+  recordWebhookDelivered,
+  recordWebhookFailed,
+} from "../models/WebhookDelivery.server";
+import { QUOTE_WEBHOOK_EVENT } from "../models/webhookEvents";
+import { createLogger } from "./logger.server";
+import {
+  checkPublicEndpoint,
+  publicEndpointDispatcher,
+} from "./endpointAddress.server";
+
+const log = createLogger("outbound-webhooks");
+
+const BATCH_SIZE = 20;
+const DELIVERY_TIMEOUT_MS = 10_000;
+
+/**
+ * Builds the JSON body sent for a quote event
+ * @param {string} event - One of QUOTE_WEBHOOK_EVENT
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @returns {Object} - The webhook payload
+ */
+export function buildQuotePayload(event, quoteRequest) {
+  return {
+    event,
+    occurredAt: new Date().toISOString(),
+    shop: quoteRequest.shop,
+    quote: {
+      id: quoteRequest.id,
+      status: quoteRequest.status,
+      createdAt: quoteRequest.createdAt,
+      email: quoteRequest.email,
+      fullName: quoteRequest.fullName,
+      phone: quoteRequest.phone,
+      shippingAddress: {
+        company: quoteRequest.shippingCompany,
+        address1: quoteRequest.shippingAddress1,
+        address2: quoteRequest.shippingAddress2,
+        city: quoteRequest.shippingCity,
+        province: quoteRequest.shippingProvince,
+        country: quoteRequest.shippingCountry,
+        countryCode: quoteRequest.shippingCountryCode,
+        zip: quoteRequest.shippingZip,
+      },
+      note: quoteRequest.note,
+      cartTotal: quoteRequest.cartTotal,
+      presentmentCurrency: quoteRequest.presentmentCurrency,
+      presentmentCountryCode: quoteRequest.presentmentCountryCode,
+      itemCount: quoteRequest.itemCount,
+      lineItems: fromJson(quoteRequest.lineItems) ?? [],
+      draftOrderId: quoteRequest.draftOrderId,
+      invoiceUrl: quoteRequest.invoiceUrl,
+      orderId: quoteRequest.orderId,
+      orderName: quoteRequest.orderName,
+      error: quoteRequest.error,
+      attempts: quoteRequest.attempts,
+      nextAttemptAt: quoteRequest.nextAttemptAt,
+    },
+  };
+}
+
+/**
+ * Picks the event describing the outcome of a draft order attempt
+ * @param {Object} quoteRequest - The QuoteRequest after submitQuoteRequest
+ * @returns {string|null} - One of QUOTE_WEBHOOK_EVENT, or null while still in progress
+ */
+export function submissionWebhookEvent(quoteRequest) {
+  if (quoteRequest.draftOrderId) return QUOTE_WEBHOOK_EVENT.DRAFT_CREATED;
+  if (quoteRequest.status === QUOTE_STATUS.FAILED) {
+    return QUOTE_WEBHOOK_EVENT.FAILED;
+  }
+  return null;
+}
+
+/**
+ * Queues an event for every endpoint of the quote's shop that subscribes to
+ * it. Delivery happens in the background job, so this never calls out.
+ * @param {string|null} event - One of QUOTE_WEBHOOK_EVENT; null is ignored
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @returns {Promise<number>} - The number of queued deliveries
+ */
+export async function queueQuoteWebhook(event, quoteRequest) {
+  if (!event) return 0;
+
+  const subscriptions = await getSubscriptionsForEvent(
+    quoteRequest.shop,
+    event,
+  );
+  return queueWebhookDeliveries(subscriptions, {
+    shop: quoteRequest.shop,
+    event,
+    quoteRequestId: quoteRequest.id,
+    payload: buildQuotePayload(event, quoteRequest),
+  });
+}
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC over
+ * "<timestamp>.<body>" with their endpoint's secret and compare.
+ * @param {string} secret - The subscription's signing secret
+ * @param {string} timestamp - Seconds since the epoch, as sent in the header
+ * @param {string} body - The exact request body
+ * @returns {string} - The base64 HMAC-SHA256 signature
+ */
+export function signWebhookBody(secret, timestamp, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("base64");
+}
+
+/**
+ * Sends one claimed delivery and records the result. The host is checked
+ * again before each attempt, and the connection itself only goes to public
+ * addresses, as its DNS records may change at any time.
+ * @param {Object} delivery - The WebhookDelivery record with its subscription
+ * @returns {Promise<Object>} - The updated WebhookDelivery record
+ */
+async function sendDelivery(delivery) {
+  const hostError = await checkPublicEndpoint(delivery.subscription.url);
+  if (hostError) {
+    return recordWebhookFailed(delivery.id, { error: hostError });
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const response = await fetch(delivery.subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Int-Quoter-Event": delivery.event,
+        "X-Int-Quoter-Delivery": delivery.id,
+        "X-Int-Quoter-Timestamp": timestamp,
+        "X-Int-Quoter-Signature": signWebhookBody(
+          delivery.subscription.secret,
+          timestamp,
+          delivery.payload,
+        ),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      dispatcher: publicEndpointDispatcher,
+    });
+
+    if (response.ok) {
+      return recordWebhookDelivered(delivery.id, response.status);
+    }
+    return recordWebhookFailed(delivery.id, {
+      error: `Endpoint responded with ${response.status}`,
+      responseStatus: response.status,
+    });
+  } catch (error) {
+    // fetch reports connection errors as "fetch failed", with the reason,
+    // e.g. a non-public address, as the cause
+    return recordWebhookFailed(delivery.id, {
+      error:
+        error.name === "TimeoutError"
+          ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`
+          : (error.cause?.message ?? error.message),
+    });
+  }
+}
+
+/**
+ * Sends the queued deliveries whose next attempt is due
+ */
+export async function deliverDueWebhooks() {
+  const due = await getDueWebhookDeliveries(BATCH_SIZE);
+
+  for (const delivery of due) {
+    if (!(await claimWebhookDelivery(delivery.id))) continue;
+
+    const result = await sendDelivery(delivery);
+    log.info("Webhook delivery attempted", {
+      deliveryId: delivery.id,
+      shop: delivery.shop,
+      event: delivery.event,
+      status: result.status,
+      responseStatus: result.responseStatus,
+      attempts: result.attempts,
+    });
+  }
+}
@@ -0,0 +1,439 @@
+// Custom attribute marking the line staff add for duties and handling, so it
+// can be told apart from the customer's own custom line items
+export const DUTIES_ATTRIBUTE = { key: "_quote_line", value: "duties" };
+
+export const DISCOUNT_TYPES = ["PERCENTAGE", "FIXED_AMOUNT"];
+
+const AMOUNT_PATTERN = /^\d{1,9}(\.\d{1,2})?$/;
+
+const MONEY_FIELDS = `
+  shopMoney {
+    amount
+    currencyCode
+  }
+  presentmentMoney {
+    amount
+    currencyCode
+  }
+`;
+
+const DISCOUNT_FIELDS = `
+  title
+  description
+  value
+  valueType
+`;
+
+// draftOrderUpdate replaces every line, so all of them are read, a page at a time
+const LINE_ITEMS_PAGE_SIZE = 100;
+
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  variantTitle
+  sku
+  quantity
+  custom
+  requiresShipping
+  taxable
+  variant {
+    id
+  }
+  customAttributes {
+    key
+    value
+  }
+  originalUnitPriceSet { ${MONEY_FIELDS} }
+  appliedDiscount { ${DISCOUNT_FIELDS} }
+`;
+
+const ADDRESS_FIELDS = `
+  firstName
+  lastName
+  company
+  address1
+  address2
+  city
+  provinceCode
+  countryCodeV2
+  zip
+  phone
+`;
+
+const TOTALS_FIELDS = `
+  subtotalPriceSet { ${MONEY_FIELDS} }
+  totalDiscountsSet { ${MONEY_FIELDS} }
+  totalShippingPriceSet { ${MONEY_FIELDS} }
+  totalTaxSet { ${MONEY_FIELDS} }
+  totalPriceSet { ${MONEY_FIELDS} }
+`;
+
+/**
+ * Checks whether a draft order line is the duties and handling line
+ * @param {Object} lineItem - A draft order line item
+ * @returns {boolean} - True for the line added from the pricing screen
+ */
+function isDutiesLine(lineItem) {
+  return (lineItem.customAttributes ?? []).some(
+    ({ key, value }) =>
+      key === DUTIES_ATTRIBUTE.key && value === DUTIES_ATTRIBUTE.value,
+  );
+}
+
+const LINE_ITEMS_QUERY = `#graphql
+  query draftOrderLineItems($id: ID!, $first: Int!, $after: String) {
+    draftOrder(id: $id) {
+      lineItems(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+    }
+  }
+`;
+
+/**
+ * Reads the draft order lines after the first page
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @param {Object} pageInfo - The first page's { hasNextPage, endCursor }
+ * @returns {Promise<Object[]>} - The remaining line items
+ */
+async function getRemainingLineItems(admin, draftOrderId, pageInfo) {
+  const lineItems = [];
+  let page = pageInfo;
+  while (page.hasNextPage) {
+    const response = await admin.graphql(LINE_ITEMS_QUERY, {
+      variables: {
+        id: draftOrderId,
+        first: LINE_ITEMS_PAGE_SIZE,
+        after: page.endCursor,
+      },
+    });
+    const { data } = await response.json();
+    const connection = data?.draftOrder?.lineItems;
+    if (!connection) {
+      throw new Error("Could not read all of the draft order's line items");
+    }
+    lineItems.push(...connection.nodes);
+    page = connection.pageInfo;
+  }
+  return lineItems;
+}
+
+const DRAFT_ORDER_QUERY = `#graphql
+  query draftOrderForPricing($id: ID!, $first: Int!) {
+    draftOrder(id: $id) {
+      id
+      name
+      status
+      currencyCode
+      presentmentCurrencyCode
+      invoiceSentAt
+      email
+      customer {
+        id
+      }
+      shippingAddress { ${ADDRESS_FIELDS} }
+      appliedDiscount { ${DISCOUNT_FIELDS} }
+      shippingLine {
+        title
+        originalPriceSet { ${MONEY_FIELDS} }
+      }
+      lineItems(first: $first) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+      ${TOTALS_FIELDS}
+    }
+  }
+`;
+
+/**
+ * Loads a draft order with everything the pricing screen edits
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @returns {Promise<Object|null>} - The draft order with lineItems split from the duties line
+ */
+export async function getDraftOrderForPricing(admin, draftOrderId) {
+  const response = await admin.graphql(DRAFT_ORDER_QUERY, {
+    variables: { id: draftOrderId, first: LINE_ITEMS_PAGE_SIZE },
+  });
+  const { data } = await response.json();
+  const draftOrder = data?.draftOrder;
+  if (!draftOrder) return null;
+
+  const lineItems = [
+    ...draftOrder.lineItems.nodes,
+    ...(await getRemainingLineItems(
+      admin,
+      draftOrderId,
+      draftOrder.lineItems.pageInfo,
+    )),
+  ];
+  return {
+    ...draftOrder,
+    lineItems: lineItems.filter((lineItem) => !isDutiesLine(lineItem)),
+    dutiesLine: lineItems.find(isDutiesLine) ?? null,
+  };
+}
+
+/**
+ * Validates the values submitted from the pricing screen
+ * @param {Object} pricing - { lines, shipping, duties, orderDiscount }
+ * @returns {Object} - Error messages keyed by field path; empty when valid
+ */
+export function validatePricing(pricing) {
+  const errors = {};
+
+  const checkAmount = (key, amount) => {
+    if (amount && !AMOUNT_PATTERN.test(amount)) {
+      errors[key] = "Enter an amount like 25 or 25.50";
+    }
+  };
+
+  const checkDiscount = (key, discount) => {
+    if (!discount?.value) return;
+    if (!DISCOUNT_TYPES.includes(discount.valueType)) {
+      errors[key] = "Choose a discount type";
+    } else if (!AMOUNT_PATTERN.test(discount.value)) {
+      errors[key] = "Enter a discount like 10 or 10.50";
+    } else if (
+      discount.valueType === "PERCENTAGE" &&
+      Number(discount.value) > 100
+    ) {
+      errors[key] = "A percentage discount can be at most 100";
+    }
+  };
+
+  checkAmount("shipping.price", pricing.shipping?.price);
+  if (pricing.shipping?.price && !pricing.shipping.title?.trim()) {
+    errors["shipping.title"] = "Enter a title for the shipping line";
+  }
+
+  checkAmount("duties.amount", pricing.duties?.amount);
+  if (pricing.duties?.amount && !pricing.duties.title?.trim()) {
+    errors["duties.title"] = "Enter a title for the duties line";
+  }
+
+  for (const [lineId, discount] of Object.entries(pricing.lines ?? {})) {
+    checkDiscount(`lines.${lineId}`, discount);
+  }
+  checkDiscount("orderDiscount", pricing.orderDiscount);
+
+  return errors;
+}
+
+/**
+ * Builds a DraftOrderAppliedDiscountInput from a submitted discount
+ * @param {Object} discount - { value, valueType, title }
+ * @param {string} fallbackTitle - The title used when staff left it blank
+ * @returns {Object|null} - The discount input, or null for no discount
+ */
+function toAppliedDiscount(discount, fallbackTitle) {
+  if (!discount?.value || Number(discount.value) === 0) return null;
+
+  return {
+    title: discount.title?.trim() || fallbackTitle,
+    value: Number(discount.value),
+    valueType: discount.valueType,
+  };
+}
+
+/**
+ * Builds the draft order input for the staff's pricing. draftOrderUpdate
+ * replaces every line item, so the existing lines are carried over with
+ * their new discounts.
+ * @param {Object} draftOrder - The draft order from getDraftOrderForPricing
+ * @param {Object} pricing - Validated values from the pricing screen
+ * @returns {Object} - { lineItems, shippingLine, appliedDiscount }
+ */
+export function buildPricingInput(draftOrder, pricing) {
+  const lineItems = draftOrder.lineItems.map((lineItem) => {
+    const appliedDiscount = toAppliedDiscount(
+      pricing.lines?.[lineItem.id],
+      "Quote discount",
+    );
+    const customAttributes = lineItem.customAttributes.map(
+      ({ key, value }) => ({ key, value }),
+    );
+
+    if (lineItem.variant) {
+      return {
+        variantId: lineItem.variant.id,
+        quantity: lineItem.quantity,
+        customAttributes,
+        appliedDiscount,
+      };
+    }
+
+    return {
+      title: lineItem.title,
+      sku: lineItem.sku || undefined,
+      originalUnitPrice: lineItem.originalUnitPriceSet.shopMoney.amount,
+      quantity: lineItem.quantity,
+      requiresShipping: lineItem.requiresShipping,
+      taxable: lineItem.taxable,
+      customAttributes,
+      appliedDiscount,
+    };
+  });
+
+  if (pricing.duties?.amount && Number(pricing.duties.amount) > 0) {
+    lineItems.push({
+      title: pricing.duties.title.trim(),
+      originalUnitPrice: pricing.duties.amount,
+      quantity: 1,
+      requiresShipping: false,
+      taxable: false,
+      customAttributes: [DUTIES_ATTRIBUTE],
+    });
+  }
+
+  return {
+    lineItems,
+    shippingLine: pricing.shipping?.price
+      ? { title: pricing.shipping.title.trim(), price: pricing.shipping.price }
+      : null,
+    appliedDiscount: toAppliedDiscount(pricing.orderDiscount, "Order discount"),
+  };
+}
+
+/**
+ * Reads one currency's totals from a draft order
+ * @param {Object} draft - An object with the *PriceSet totals fields
+ * @param {string} money - "shopMoney" or "presentmentMoney"
+ * @returns {Object} - Amounts keyed by total, plus the currency code
+ */
+function readTotalsIn(draft, money) {
+  return {
+    currencyCode: draft.totalPriceSet[money].currencyCode,
+    subtotal: draft.subtotalPriceSet[money].amount,
+    discounts: draft.totalDiscountsSet[money].amount,
+    shipping: draft.totalShippingPriceSet[money].amount,
+    tax: draft.totalTaxSet[money].amount,
+    total: draft.totalPriceSet[money].amount,
+  };
+}
+
+/**
+ * Reads the totals from a draft order or calculated draft order. When the
+ * customer is quoted in another currency, its totals are added as
+ * presentment.
+ * @param {Object} draft - An object with the *PriceSet totals fields
+ * @returns {Object} - Shop currency amounts keyed by total, the currency code and presentment totals or null
+ */
+export function readDraftOrderTotals(draft) {
+  const totals = readTotalsIn(draft, "shopMoney");
+  const presentment = draft.totalPriceSet.presentmentMoney
+    ? readTotalsIn(draft, "presentmentMoney")
+    : null;
+
+  return {
+    ...totals,
+    presentment:
+      presentment && presentment.currencyCode !== totals.currencyCode
+        ? presentment
+        : null,
+  };
+}
+
+const CALCULATE_MUTATION = `#graphql
+  mutation draftOrderCalculate($input: DraftOrderInput!) {
+    draftOrderCalculate(input: $input) {
+      calculatedDraftOrder {
+        ${TOTALS_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Maps a draft order's MailingAddress back to a MailingAddressInput
+ * @param {Object|null} address - The draft order's address
+ * @returns {Object|undefined} - The address input, or undefined when there is no address
+ */
+function toAddressInput(address) {
+  if (!address) return undefined;
+
+  const { countryCodeV2, ...fields } = address;
+  return { ...fields, countryCode: countryCodeV2 };
+}
+
+/**
+ * Previews the totals for a pricing without changing the draft order. The
+ * destination, currency and customer are read from the draft order, as staff
+ * may have changed them since the quote arrived.
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} draftOrder - The draft order from getDraftOrderForPricing
+ * @param {Object} input - The pricing input from buildPricingInput
+ * @returns {Promise<Object>} - { totals, userErrors }
+ */
+export async function calculateDraftOrder(admin, draftOrder, input) {
+  const response = await admin.graphql(CALCULATE_MUTATION, {
+    variables: {
+      input: {
+        ...input,
+        email: draftOrder.email ?? undefined,
+        shippingAddress: toAddressInput(draftOrder.shippingAddress),
+        purchasingEntity: draftOrder.customer
+          ? { customerId: draftOrder.customer.id }
+          : undefined,
+        presentmentCurrencyCode: draftOrder.presentmentCurrencyCode,
+      },
+    },
+  });
+  const { data } = await response.json();
+  const result = data?.draftOrderCalculate;
+
+  return {
+    totals: result?.calculatedDraftOrder
+      ? readDraftOrderTotals(result.calculatedDraftOrder)
+      : null,
+    userErrors: result?.userErrors ?? [],
+  };
+}
+
+const UPDATE_MUTATION = `#graphql
+  mutation draftOrderUpdate($id: ID!, $input: DraftOrderInput!) {
+    draftOrderUpdate(id: $id, input: $input) {
+      draftOrder {
+        id
+        ${TOTALS_FIELDS}
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Saves the staff's pricing to the draft order
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} draftOrderId - The draft order's global ID
+ * @param {Object} input - The pricing input from buildPricingInput
+ * @returns {Promise<Object>} - { totals, userErrors }
+ */
+export async function updateDraftOrderPricing(admin, draftOrderId, input) {
+  const response = await admin.graphql(UPDATE_MUTATION, {
+    variables: { id: draftOrderId, input },
+  });
+  const { data } = await response.json();
+  const result = data?.draftOrderUpdate;
+
+  return {
+    totals: result?.draftOrder ? readDraftOrderTotals(result.draftOrder) : null,
+    userErrors: result?.userErrors ?? [],
+  };
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { calculateDraftOrder } from "./pricing.server";
+
+describe("calculateDraftOrder", () => {
+  it("previews against the draft order's destination and currency", async () => {
+    let variables;
+    const admin = {
+      graphql: async (query, options) => {
+        ({ variables } = options);
+        return Response.json({
+          data: { draftOrderCalculate: { userErrors: [] } },
+        });
+      },
+    };
+
+    await calculateDraftOrder(
+      admin,
+      {
+        email: "ada@example.com",
+        customer: { id: "gid://shopify/Customer/1" },
+        presentmentCurrencyCode: "EUR",
+        shippingAddress: {
+          firstName: "Ada",
+          lastName: "Lovelace",
+          address1: "1 Rue de Rivoli",
+          city: "Paris",
+          provinceCode: null,
+          countryCodeV2: "FR",
+          zip: "75001",
+        },
+      },
+      { lineItems: [] },
+    );
+
+    expect(variables.input).toMatchObject({
+      lineItems: [],
+      email: "ada@example.com",
+      purchasingEntity: { customerId: "gid://shopify/Customer/1" },
+      presentmentCurrencyCode: "EUR",
+      shippingAddress: { city: "Paris", countryCode: "FR" },
+    });
+    expect(variables.input.shippingAddress).not.toHaveProperty("countryCodeV2");
+  });
+});
@@ -0,0 +1,186 @@
+import db from "../db.server";
+import {
+  cancelUndraftedQuoteRequests,
+  deleteCustomerQuoteRequests,
+  findCustomerQuoteRequests,
+  fromJson,
+} from "../models/QuoteRequest.server";
+import { deleteBlockedEmail } from "../models/BlockedSender.server";
+import {
+  deleteCustomerDataRequests,
+  recordCustomerDataRequest,
+} from "../models/CustomerDataRequest.server";
+import { deleteRejectionsByEmail } from "../models/RequestRejection.server";
+import { deleteQuoteWebhookDeliveries } from "../models/WebhookDelivery.server";
+
+/**
+ * Reads the customer a compliance webhook is about
+ * @param {Object} payload - The customers/data_request or customers/redact payload
+ * @returns {Object} - { customerId, email, orderIds } with Shopify global IDs
+ */
+function readCustomer(payload) {
+  const customer = payload.customer ?? {};
+  const orders = payload.orders_requested ?? payload.orders_to_redact ?? [];
+
+  return {
+    customerId: customer.id ? `gid://shopify/Customer/${customer.id}` : null,
+    email: customer.email?.trim() || null,
+    orderIds: orders.map((id) => `gid://shopify/Order/${id}`),
+  };
+}
+
+/**
+ * Picks the customer's own data from a quote request, leaving out internal
+ * bookkeeping such as retry state and raw Shopify responses
+ * @param {Object} quote - A QuoteRequest record with its events
+ * @returns {Object} - The exportable quote data
+ */
+function toExport(quote) {
+  return {
+    id: quote.id,
+    createdAt: quote.createdAt,
+    status: quote.status,
+    email: quote.email,
+    fullName: quote.fullName,
+    phone: quote.phone,
+    clientIp: quote.clientIp,
+    shippingAddress: {
+      company: quote.shippingCompany,
+      address1: quote.shippingAddress1,
+      address2: quote.shippingAddress2,
+      city: quote.shippingCity,
+      province: quote.shippingProvince,
+      country: quote.shippingCountry,
+      zip: quote.shippingZip,
+    },
+    billingAddress: fromJson(quote.billingAddress),
+    note: quote.note,
+    cartAttributes: fromJson(quote.cartAttributes),
+    cartTotal: quote.cartTotal,
+    presentmentCurrency: quote.presentmentCurrency,
+    presentmentCountryCode: quote.presentmentCountryCode,
+    lineItems: fromJson(quote.lineItems),
+    draftOrderId: quote.draftOrderId,
+    orderName: quote.orderName,
+    history: quote.events.map(({ createdAt, message }) => ({
+      createdAt,
+      message,
+    })),
+  };
+}
+
+/**
+ * Handles customers/data_request by collecting the customer's quotes into an
+ * export staff can send on
+ * @param {string} shop - The shop domain
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object>} - The created CustomerDataRequest record
+ */
+export async function exportCustomerData(shop, payload) {
+  const customer = readCustomer(payload);
+  const quotes = await findCustomerQuoteRequests(shop, customer);
+
+  return recordCustomerDataRequest({
+    shop,
+    dataRequestId: payload.data_request?.id?.toString(),
+    customerId: customer.customerId,
+    email: customer.email,
+    quotes: quotes.map(toExport),
+  });
+}
+
+/**
+ * Handles customers/redact by deleting the customer's quotes, the webhooks
+ * queued about them, earlier data request exports, and the rejected requests
+ * and blocklist entry for their email
+ * @param {string} shop - The shop domain
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object>} - The number of deleted records by kind
+ */
+export async function redactCustomerData(shop, payload) {
+  const customer = readCustomer(payload);
+  const quoteIds = (await findCustomerQuoteRequests(shop, customer)).map(
+    (quote) => quote.id,
+  );
+
+  const [webhookDeliveries, quotes, dataRequests, rejections, blockedSenders] =
+    await Promise.all([
+      deleteQuoteWebhookDeliveries(shop, quoteIds),
+      deleteCustomerQuoteRequests(shop, customer),
+      deleteCustomerDataRequests(shop, customer),
+      customer.email ? deleteRejectionsByEmail(shop, customer.email) : 0,
+      customer.email ? deleteBlockedEmail(shop, customer.email) : 0,
+    ]);
+
+  return {
+    quotes,
+    dataRequests,
+    rejections,
+    blockedSenders,
+    webhookDeliveries,
+  };
+}
+
+/**
+ * Handles shop/redact by deleting everything the app stores for a shop
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The number of deleted records by kind
+ */
+export async function purgeShopData(shop) {
+  const where = { shop };
+
+  // Quote events and webhook deliveries are removed with their parents
+  const [
+    quotes,
+    settings,
+    rejections,
+    blockedSenders,
+    dataRequests,
+    webhookSubscriptions,
+    nonces,
+    sessions,
+  ] = await db.$transaction([
+    db.quoteRequest.deleteMany({ where }),
+    db.shopSettings.deleteMany({ where }),
+    db.requestRejection.deleteMany({ where }),
+    db.blockedSender.deleteMany({ where }),
+    db.customerDataRequest.deleteMany({ where }),
+    db.webhookSubscription.deleteMany({ where }),
+    db.proxyNonce.deleteMany({ where }),
+    db.session.deleteMany({ where }),
+  ]);
+
+  return {
+    quotes: quotes.count,
+    settings: settings.count,
+    rejections: rejections.count,
+    blockedSenders: blockedSenders.count,
+    dataRequests: dataRequests.count,
+    webhookSubscriptions: webhookSubscriptions.count,
+    nonces: nonces.count,
+    sessions: sessions.count,
+  };
+}
+
+/**
+ * Handles app/uninstalled. Quotes and settings are kept until shop/redact
+ * arrives 48 hours later, so a quick reinstall loses nothing; everything
+ * that only works while installed is removed now.
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The number of changed records by kind
+ */
+export async function cleanUpUninstalledShop(shop) {
+  const where = { shop };
+
+  const [sessions, nonces] = await db.$transaction([
+    db.session.deleteMany({ where }),
+    db.proxyNonce.deleteMany({ where }),
+  ]);
+  const cancelledQuotes = await cancelUndraftedQuoteRequests(shop);
+
+  return {
+    sessions: sessions.count,
+    nonces: nonces.count,
+    cancelledQuotes,
+  };
+}
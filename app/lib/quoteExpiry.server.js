@@ -0,0 +1,100 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  IllegalTransitionError,
+  QUOTE_EVENT,
+  recordQuoteEvent,
+  recordQuoteExpired,
+} from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import {
+  addDraftOrderTags,
+  deleteDraftOrder,
+  EXPIRED_TAG,
+} from "./draftOrders.server";
+import { createLogger } from "./logger.server";
+
+const log = createLogger("expiry");
+
+const DAY_MS = 24 * 60 * 60_000;
+
+/**
+ * Works out the validity window an invoice sent now starts
+ * @param {Object} settings - The shop's settings
+ * @param {Date} [sentAt] - When the invoice was sent
+ * @returns {Object} - { expiresAt, remindAt }; both null when the shop's quotes do not expire
+ */
+export function quoteExpiry(settings, sentAt = new Date()) {
+  if (!settings.quoteValidityDays) return { expiresAt: null, remindAt: null };
+
+  const expiresAt = new Date(
+    sentAt.getTime() + settings.quoteValidityDays * DAY_MS,
+  );
+  return {
+    expiresAt,
+    remindAt: settings.reminderDaysBefore
+      ? new Date(expiresAt.getTime() - settings.reminderDaysBefore * DAY_MS)
+      : null,
+  };
+}
+
+/**
+ * Formats the expiry date for the customer
+ * @param {Date} date - The expiry date
+ * @returns {string} - e.g. "November 19, 2026"
+ */
+export function formatExpiryDate(date) {
+  return new Date(date).toLocaleDateString("en-US", {
+    dateStyle: "long",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Expires a quote and then tags or deletes its draft order, as the shop
+ * chose. The quote is expired first: it is final afterwards, so a failed
+ * Shopify call is recorded for staff instead of being retried.
+ * @param {Object} quoteRequest - A QuoteRequest whose validity window has passed
+ * @returns {Promise<Object|null>} - The expired QuoteRequest, or null if it was paid or cancelled meanwhile
+ */
+export async function expireQuote(quoteRequest) {
+  let expired;
+  try {
+    expired = await recordQuoteExpired(quoteRequest.id);
+  } catch (error) {
+    if (error instanceof IllegalTransitionError) return null;
+    throw error;
+  }
+
+  if (!expired.draftOrderId) return expired;
+
+  const { expiredDraftAction } = await getShopSettings(expired.shop);
+  const deleting = expiredDraftAction === "delete";
+
+  try {
+    const { admin } = await unauthenticated.admin(expired.shop);
+    const userErrors = deleting
+      ? await deleteDraftOrder(admin, expired.draftOrderId)
+      : await addDraftOrderTags(admin, expired.draftOrderId, [EXPIRED_TAG]);
+    if (userErrors.length) throw new Error(userErrors[0].message);
+
+    await recordQuoteEvent(
+      expired.id,
+      QUOTE_EVENT.DRAFT_EXPIRED,
+      deleting
+        ? "The expired quote's draft order was deleted"
+        : `The expired quote's draft order was tagged ${EXPIRED_TAG}`,
+    );
+  } catch (error) {
+    log.error("Failed to update the expired draft order", {
+      quoteRequestId: expired.id,
+      error,
+    });
+    await recordQuoteEvent(
+      expired.id,
+      QUOTE_EVENT.ERROR,
+      `The expired quote's draft order could not be ${deleting ? "deleted" : "tagged"}: ${error.message}`,
+    );
+  }
+
+  return expired;
+}
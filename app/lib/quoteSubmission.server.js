@@ -0,0 +1,204 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  claimQuoteRequest,
+  fromJson,
+  getQuoteRequest,
+  IllegalTransitionError,
+  markDraftRequested,
+  markQuoteRequestFailed,
+  QUOTE_EVENT,
+  recordDraftOrderResult,
+  recordQuoteCustomer,
+  recordQuoteEvent,
+  recordResolvedLineItems,
+} from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import { INVOICE_STATUS, QUOTE_STATUS } from "../models/quoteStatus";
+import { createLogger } from "./logger.server";
+import { parseOrderData } from "./orderData.server";
+import { resolveCartLines, UNAVAILABLE_REASON } from "./catalog.server";
+import { createDraftOrder, findDraftOrderForQuote } from "./draftOrders.server";
+import { findOrCreateCustomer } from "./customers.server";
+import { sendQuoteInvoice } from "./invoices.server";
+
+const log = createLogger("quotes");
+
+/**
+ * Looks up or creates the quote's customer once and remembers it. A missing
+ * customer should never block the quote, so failures only leave a note.
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @param {Object} orderData - The parsed order data
+ * @returns {Promise<string|null>} - The customer ID, or null
+ */
+async function resolveCustomer(admin, quoteRequest, orderData) {
+  if (quoteRequest.customerId) return quoteRequest.customerId;
+
+  try {
+    const { customerId, created, userErrors } = await findOrCreateCustomer(
+      admin,
+      orderData,
+    );
+    if (customerId) {
+      await recordQuoteCustomer(quoteRequest.id, customerId, created);
+    } else if (userErrors.length) {
+      await recordQuoteEvent(
+        quoteRequest.id,
+        QUOTE_EVENT.CUSTOMER_FAILED,
+        "Could not create a customer for this quote",
+        userErrors,
+      );
+    }
+    return customerId;
+  } catch (error) {
+    log.warn("Customer lookup failed", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+    await recordQuoteEvent(
+      quoteRequest.id,
+      QUOTE_EVENT.CUSTOMER_FAILED,
+      `Customer lookup failed: ${error.message}`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Copies the availability flags stored when the quote was received onto line
+ * items parsed again from its payload
+ * @param {Object} quoteRequest - The QuoteRequest record
+ * @param {Object[]} lineItems - Line items parsed from the payload
+ * @returns {Object[]} - The line items with `unavailable` restored
+ */
+function restoreAvailability(quoteRequest, lineItems) {
+  const flags = new Map(
+    (fromJson(quoteRequest.lineItems) ?? [])
+      .filter((item) => item.variantId && item.unavailable)
+      .map((item) => [item.variantId, item.unavailable]),
+  );
+  if (!flags.size) return lineItems;
+
+  return lineItems.map((item) =>
+    flags.has(item.variantId)
+      ? { ...item, unavailable: flags.get(item.variantId) }
+      : item,
+  );
+}
+
+/**
+ * Leaves a quote as it is when it was cancelled while its draft was being
+ * created, and returns its current state
+ * @param {Object} quoteRequest - The claimed QuoteRequest record
+ * @param {IllegalTransitionError} error - The rejected transition
+ * @returns {Promise<Object>} - The current QuoteRequest record
+ */
+async function discardAttempt(quoteRequest, error) {
+  log.warn("Draft order result discarded", {
+    quoteRequestId: quoteRequest.id,
+    error: error.message,
+  });
+  return getQuoteRequest(quoteRequest.shop, quoteRequest.id);
+}
+
+/**
+ * Creates or adopts the draft order for a claimed quote request
+ * @param {Object} quoteRequest - The claimed QuoteRequest record
+ * @param {Object} [admin] - An admin GraphQL client; defaults to the shop's offline session
+ * @param {Object} settings - The shop's settings
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+async function createQuoteDraft(quoteRequest, admin, settings) {
+  try {
+    const client =
+      admin ?? (await unauthenticated.admin(quoteRequest.shop)).admin;
+
+    if (quoteRequest.draftRequestedAt) {
+      const existing = await findDraftOrderForQuote(
+        client,
+        quoteRequest.id,
+        quoteRequest.draftRequestedAt,
+      );
+      if (existing) {
+        return await recordDraftOrderResult(
+          quoteRequest.id,
+          { draftOrder: existing, userErrors: [] },
+          { adopted: true },
+        );
+      }
+    }
+
+    const orderData = parseOrderData(fromJson(quoteRequest.payload) ?? {});
+    orderData.lineItems = restoreAvailability(
+      quoteRequest,
+      orderData.lineItems ?? [],
+    );
+    if (orderData.lineItems?.some((item) => item.source === "cart_text")) {
+      orderData.lineItems = await resolveCartLines(client, orderData.lineItems);
+      await recordResolvedLineItems(quoteRequest.id, orderData.lineItems);
+    }
+
+    const customerId = await resolveCustomer(client, quoteRequest, orderData);
+    // Shopify rejects the whole draft for a single deleted variant, so those
+    // lines are left off; staff see them on the quote
+    const draftData = {
+      ...orderData,
+      lineItems: orderData.lineItems.filter(
+        (item) => item.unavailable?.reason !== UNAVAILABLE_REASON.NOT_FOUND,
+      ),
+    };
+    await markDraftRequested(quoteRequest);
+    const result = await createDraftOrder(client, draftData, quoteRequest.id, {
+      customerId,
+      settings,
+    });
+
+    return await recordDraftOrderResult(quoteRequest.id, result);
+  } catch (error) {
+    if (error instanceof IllegalTransitionError) {
+      return discardAttempt(quoteRequest, error);
+    }
+
+    log.error("Draft order attempt failed", {
+      quoteRequestId: quoteRequest.id,
+      error,
+    });
+    try {
+      return await markQuoteRequestFailed(quoteRequest.id, error);
+    } catch (failError) {
+      if (failError instanceof IllegalTransitionError) {
+        return discardAttempt(quoteRequest, failError);
+      }
+      throw failError;
+    }
+  }
+}
+
+/**
+ * Creates the Shopify draft order for a stored quote request. Safe to call
+ * repeatedly: the quote is locked while a draft is created, and a draft
+ * left behind by an earlier attempt is reused instead of duplicated.
+ * Shops with auto-invoice on get the invoice emailed once the draft exists.
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} [options]
+ * @param {Object} [options.admin] - An admin GraphQL client; defaults to the shop's offline session
+ * @param {boolean} [options.manual] - Whether staff requested this attempt
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if it was not claimable
+ */
+export async function submitQuoteRequest(id, { admin, manual = false } = {}) {
+  const quoteRequest = await claimQuoteRequest(id, { manual });
+  if (!quoteRequest) return null;
+
+  const settings = await getShopSettings(quoteRequest.shop);
+  const submitted = await createQuoteDraft(quoteRequest, admin, settings);
+
+  if (
+    settings.autoInvoice &&
+    submitted.status === QUOTE_STATUS.DRAFT_CREATED &&
+    submitted.invoiceStatus !== INVOICE_STATUS.SENT
+  ) {
+    return sendQuoteInvoice(submitted, { admin, automatic: true });
+  }
+
+  return submitted;
+}
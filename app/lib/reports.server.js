@@ -0,0 +1,243 @@
+import { fromJson, getQuoteReportRows } from "../models/QuoteRequest.server";
+import { QUOTE_STATUS } from "../models/quoteStatus";
+import { getCountryOptions } from "./countries.server";
+
+const DAY_MS = 24 * 60 * 60_000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reports are aggregated in memory; beyond this many quotes only the newest
+// are counted and the page says so
+export const MAX_REPORT_QUOTES = 20_000;
+
+export const DEFAULT_REPORT_DAYS = 90;
+
+const TOP_LIMIT = 10;
+
+// Spam held in or rejected from quarantine would skew the figures
+const EXCLUDED_STATUSES = [QUOTE_STATUS.QUARANTINED, QUOTE_STATUS.REJECTED];
+
+/**
+ * Reads a YYYY-MM-DD date as midnight UTC
+ * @param {string|null} value - The date from the URL
+ * @returns {Date|null} - The date, or null when missing or invalid
+ */
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value ?? "")) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in UTC
+ * @param {Date} date - The date
+ * @returns {string} - e.g. "2026-10-19"
+ */
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads the quote list filters from a URL's search params. Dates are whole
+ * days: "to" includes the whole day it names.
+ * @param {URLSearchParams} searchParams - The request's search params
+ * @returns {Object} - { status, country, from, to } for buildQuoteWhere
+ */
+export function readQuoteFilters(searchParams) {
+  const to = parseDate(searchParams.get("to"));
+
+  return {
+    status: searchParams.getAll("status"),
+    country: searchParams.getAll("country"),
+    from: parseDate(searchParams.get("from")),
+    to: to && new Date(to.getTime() + DAY_MS),
+  };
+}
+
+/**
+ * Picks the period length for the volume chart so it has a readable number
+ * of bars
+ * @param {Date} from - The start of the range
+ * @param {Date} to - The end of the range
+ * @returns {string} - "day", "week" or "month"
+ */
+function chooseInterval(from, to) {
+  const days = (to - from) / DAY_MS;
+  if (days <= 31) return "day";
+  if (days <= 190) return "week";
+  return "month";
+}
+
+/**
+ * Finds the start of the period a date falls in. Weeks start on Monday.
+ * @param {Date} date - The date
+ * @param {string} interval - "day", "week" or "month"
+ * @returns {Date} - The period's first day at midnight UTC
+ */
+function periodStart(date, interval) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()),
+  );
+  if (interval === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+/**
+ * Moves to the start of the following period
+ * @param {Date} start - A period's first day
+ * @param {string} interval - "day", "week" or "month"
+ * @returns {Date} - The next period's first day
+ */
+function nextPeriod(start, interval) {
+  const next = new Date(start);
+  if (interval === "month") {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === "week" ? 7 : 1));
+  }
+  return next;
+}
+
+/**
+ * Counts quotes and paid quotes per period, including empty periods
+ * @param {Object[]} rows - Report rows
+ * @param {Date} from - The start of the range
+ * @param {Date} to - The end of the range
+ * @returns {Object} - { interval, periods: [{ start, quotes, completed }] }
+ */
+function buildVolume(rows, from, to) {
+  const interval = chooseInterval(from, to);
+  const periods = new Map();
+
+  for (
+    let start = periodStart(from, interval);
+    start < to;
+    start = nextPeriod(start, interval)
+  ) {
+    periods.set(toDateString(start), { quotes: 0, completed: 0 });
+  }
+
+  for (const row of rows) {
+    const period = periods.get(
+      toDateString(periodStart(row.createdAt, interval)),
+    );
+    if (!period) continue;
+    period.quotes += 1;
+    if (row.status === QUOTE_STATUS.COMPLETED) period.completed += 1;
+  }
+
+  return {
+    interval,
+    periods: [...periods].map(([start, counts]) => ({ start, ...counts })),
+  };
+}
+
+/**
+ * Counts quotes per destination country
+ * @param {Object[]} rows - Report rows
+ * @returns {Object[]} - [{ country, quotes, completed }], most quotes first
+ */
+function buildTopCountries(rows) {
+  const names = new Map(
+    getCountryOptions().map(({ value, label }) => [value, label]),
+  );
+  const countries = new Map();
+
+  for (const row of rows) {
+    const country =
+      names.get(row.shippingCountryCode) ?? row.shippingCountry ?? "Unknown";
+    const counts = countries.get(country) ?? { quotes: 0, completed: 0 };
+    counts.quotes += 1;
+    if (row.status === QUOTE_STATUS.COMPLETED) counts.completed += 1;
+    countries.set(country, counts);
+  }
+
+  return [...countries]
+    .map(([country, counts]) => ({ country, ...counts }))
+    .sort((a, b) => b.quotes - a.quotes)
+    .slice(0, TOP_LIMIT);
+}
+
+/**
+ * Counts how often each product was requested. Catalog items are keyed by
+ * variant; custom lines from the free-text cart by their title.
+ * @param {Object[]} rows - Report rows
+ * @returns {Object[]} - [{ variantId, title, quotes, quantity }], most requested first
+ */
+function buildTopProducts(rows) {
+  const products = new Map();
+
+  for (const row of rows) {
+    const seen = new Set();
+    for (const item of fromJson(row.lineItems) ?? []) {
+      const key = item.variantId ?? item.title;
+      if (!key) continue;
+
+      const product = products.get(key) ?? {
+        variantId: item.variantId ?? null,
+        title: item.title ?? null,
+        quotes: 0,
+        quantity: 0,
+      };
+      if (!seen.has(key)) product.quotes += 1;
+      product.quantity += Number(item.quantity) || 0;
+      products.set(key, product);
+      seen.add(key);
+    }
+  }
+
+  return [...products.values()]
+    .sort((a, b) => b.quotes - a.quotes || b.quantity - a.quantity)
+    .slice(0, TOP_LIMIT);
+}
+
+/**
+ * Builds the reports page for a shop's quotes in a date range. Quarantined
+ * and rejected quotes are left out unless a status filter asks for them.
+ * @param {string} shop - The shop domain
+ * @param {Object} filters - Filters from readQuoteFilters
+ * @param {Date} [now] - The current time, for the default range
+ * @returns {Promise<Object>} - Totals, conversion rates, volume and top lists
+ */
+export async function getQuoteReport(shop, filters, now = new Date()) {
+  const to = filters.to ?? new Date(periodStart(now, "day").getTime() + DAY_MS);
+  const from =
+    filters.from ?? new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+
+  const status = filters.status?.length
+    ? filters.status
+    : Object.values(QUOTE_STATUS).filter(
+        (value) => !EXCLUDED_STATUSES.includes(value),
+      );
+
+  const rows = await getQuoteReportRows(
+    shop,
+    { ...filters, status, from, to },
+    MAX_REPORT_QUOTES,
+  );
+
+  const isCompleted = (row) => row.status === QUOTE_STATUS.COMPLETED;
+  const invoiced = rows.filter((row) => row.invoiceSentAt);
+  const completed = rows.filter(isCompleted).length;
+
+  return {
+    from: toDateString(from),
+    to: toDateString(new Date(to.getTime() - DAY_MS)),
+    truncated: rows.length === MAX_REPORT_QUOTES,
+    totals: {
+      quotes: rows.length,
+      invoiced: invoiced.length,
+      completed,
+      conversionRate: rows.length ? completed / rows.length : null,
+      invoiceConversionRate: invoiced.length
+        ? invoiced.filter(isCompleted).length / invoiced.length
+        : null,
+    },
+    volume: buildVolume(rows, from, to),
+    topCountries: buildTopCountries(rows),
+    topProducts: buildTopProducts(rows),
+  };
+}
@@ -0,0 +1,65 @@
+import { SPAM_SIGNAL } from "../models/spamSignal";
+import { DISPOSABLE_EMAIL_DOMAINS } from "./disposableDomains.server";
+
+// A text field hidden from people; only bots fill it in
+export const HONEYPOT_FIELD = "quote[website]";
+
+// When Shopify rendered the storefront form, in seconds since the epoch. It
+// comes from the server rather than the browser, so a customer's wrong clock
+// cannot trip the check; a cached page only makes the form look older.
+export const STARTED_AT_FIELD = "quote[form_started_at]";
+
+// Nobody fills in a name and an address this quickly
+export const MIN_SUBMIT_SECONDS = 3;
+
+/**
+ * Checks whether an email address belongs to a throwaway provider,
+ * including its subdomains
+ * @param {string} email - The email address
+ * @returns {boolean} - True for a disposable address
+ */
+export function isDisposableEmail(email) {
+  const labels = String(email ?? "")
+    .trim()
+    .toLowerCase()
+    .split("@")
+    .pop()
+    .split(".");
+
+  return labels.some((_, index) =>
+    DISPOSABLE_EMAIL_DOMAINS.has(labels.slice(index).join(".")),
+  );
+}
+
+/**
+ * Looks for signs that a storefront submission was made by a bot. A bot
+ * could skip the timing check by leaving out the start time, so a missing
+ * start time is a signal too.
+ * @param {Object} payload - The validated request payload
+ * @param {Object} orderData - The parsed order data
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {string[]} - SPAM_SIGNAL values; empty when nothing looks wrong
+ */
+export function findSpamSignals(payload, orderData, now = Date.now()) {
+  const signals = [];
+
+  const honeypot = payload[HONEYPOT_FIELD];
+  if (typeof honeypot === "string" && honeypot.trim()) {
+    signals.push(SPAM_SIGNAL.HONEYPOT);
+  }
+
+  const startedAt = payload[STARTED_AT_FIELD];
+  if (startedAt === undefined || startedAt === "") {
+    signals.push(SPAM_SIGNAL.NO_START_TIME);
+  } else {
+    const elapsed = now / 1000 - Number(startedAt);
+    // A garbled or future start time is as telling as a fast one
+    if (!(elapsed >= MIN_SUBMIT_SECONDS)) signals.push(SPAM_SIGNAL.TOO_FAST);
+  }
+
+  if (isDisposableEmail(orderData.email)) {
+    signals.push(SPAM_SIGNAL.DISPOSABLE_EMAIL);
+  }
+
+  return signals;
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { SPAM_SIGNAL } from "../models/spamSignal";
+import {
+  findSpamSignals,
+  HONEYPOT_FIELD,
+  isDisposableEmail,
+  MIN_SUBMIT_SECONDS,
+  STARTED_AT_FIELD,
+} from "./spamChecks.server";
+
+const now = 1_800_000_000_000;
+const startedSecondsAgo = (seconds) => ({
+  [STARTED_AT_FIELD]: String(now / 1000 - seconds),
+});
+const customer = { email: "ada@example.com" };
+
+describe("isDisposableEmail", () => {
+  it("matches throwaway domains and their subdomains", () => {
+    expect(isDisposableEmail("bot@10minutemail.com")).toBe(true);
+    expect(isDisposableEmail(" Bot@Mail.10MinuteMail.com ")).toBe(true);
+    expect(isDisposableEmail("ada@example.com")).toBe(false);
+    expect(isDisposableEmail(undefined)).toBe(false);
+  });
+});
+
+describe("findSpamSignals", () => {
+  it("finds nothing in a form filled in at a human pace", () => {
+    expect(findSpamSignals(startedSecondsAgo(60), customer, now)).toEqual([]);
+  });
+
+  it("flags a filled-in honeypot", () => {
+    const payload = { ...startedSecondsAgo(60), [HONEYPOT_FIELD]: "spam.biz" };
+    expect(findSpamSignals(payload, customer, now)).toEqual([
+      SPAM_SIGNAL.HONEYPOT,
+    ]);
+  });
+
+  it("flags a missing start time", () => {
+    expect(findSpamSignals({}, customer, now)).toEqual([
+      SPAM_SIGNAL.NO_START_TIME,
+    ]);
+    expect(findSpamSignals({ [STARTED_AT_FIELD]: "" }, customer, now)).toEqual([
+      SPAM_SIGNAL.NO_START_TIME,
+    ]);
+  });
+
+  it.each([
+    ["too fast", startedSecondsAgo(MIN_SUBMIT_SECONDS - 1)],
+    ["in the future", startedSecondsAgo(-60)],
+    ["garbled", { [STARTED_AT_FIELD]: "soon" }],
+  ])("flags a start time that is %s", (_, payload) => {
+    expect(findSpamSignals(payload, customer, now)).toEqual([
+      SPAM_SIGNAL.TOO_FAST,
+    ]);
+  });
+
+  it("flags a disposable email", () => {
+    expect(
+      findSpamSignals(
+        startedSecondsAgo(60),
+        { email: "bot@10minutemail.com" },
+        now,
+      ),
+    ).toEqual([SPAM_SIGNAL.DISPOSABLE_EMAIL]);
+  });
+});
@@ -0,0 +1,144 @@
+import { QUOTE_STATUS } from "../models/quoteStatus";
+import { formatExpiryDate } from "./quoteExpiry.server";
+
+// What each status means for the customer, who never sees draft orders.
+// Quarantine looks like any received request, so bots learn nothing.
+const CUSTOMER_STATUS = {
+  [QUOTE_STATUS.QUARANTINED]: {
+    title: "Request received",
+    message: "We have your request and are preparing your quote.",
+  },
+  [QUOTE_STATUS.RECEIVED]: {
+    title: "Request received",
+    message: "We have your request and are preparing your quote.",
+  },
+  [QUOTE_STATUS.FAILED]: {
+    title: "Request received",
+    message: "We have your request and are preparing your quote.",
+  },
+  [QUOTE_STATUS.DRAFT_CREATED]: {
+    title: "Preparing your quote",
+    message:
+      "We're working out shipping and any duties for your destination. We'll email you when your quote is ready.",
+  },
+  [QUOTE_STATUS.PRICED]: {
+    title: "Preparing your quote",
+    message:
+      "We're working out shipping and any duties for your destination. We'll email you when your quote is ready.",
+  },
+  [QUOTE_STATUS.INVOICE_SENT]: {
+    title: "Your quote is ready",
+    message:
+      "We've emailed you an invoice with shipping included. You can pay it below.",
+  },
+  [QUOTE_STATUS.COMPLETED]: {
+    title: "Paid",
+    message: "Thanks for your order! We'll let you know when it ships.",
+  },
+  [QUOTE_STATUS.EXPIRED]: {
+    title: "Expired",
+    message:
+      "This quote has expired. Send a new request from your cart if you'd still like to order.",
+  },
+  [QUOTE_STATUS.CANCELLED]: {
+    title: "Cancelled",
+    message: "This quote was cancelled. Contact us if you have any questions.",
+  },
+  [QUOTE_STATUS.REJECTED]: {
+    title: "Closed",
+    message:
+      "We couldn't accept this request. Contact us if you have any questions.",
+  },
+};
+
+const PAYABLE_STATUSES = [QUOTE_STATUS.PRICED, QUOTE_STATUS.INVOICE_SENT];
+
+const DEFAULT_PROXY_PREFIX = "/apps/int-quoter";
+
+/**
+ * Builds the storefront path of a quote's status page
+ * @param {string|null} pathPrefix - The proxy's path_prefix parameter, e.g. "/apps/int-quoter"
+ * @param {string} accessToken - The quote's access token
+ * @returns {string} - e.g. "/apps/int-quoter/quote/<token>"
+ */
+export function quoteStatusPath(pathPrefix, accessToken) {
+  return `${pathPrefix || DEFAULT_PROXY_PREFIX}/quote/${accessToken}`;
+}
+
+/**
+ * Escapes text for the page. Shopify renders the page as Liquid, so braces
+ * are escaped too, or a customer's input could run as Liquid code.
+ * @param {*} value - The value to print
+ * @returns {string} - The escaped text
+ */
+export function escapeLiquid(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/\{/g, "&#123;")
+    .replace(/\}/g, "&#125;")
+    .replace(/%/g, "&#37;");
+}
+
+/**
+ * Renders the customer's quote status page as Liquid for the app proxy, so
+ * it appears inside the shop's theme
+ * @param {Object} quote - The QuoteRequest record
+ * @param {Object[]} items - { title, quantity } for each requested item
+ * @returns {string} - The Liquid page
+ */
+export function renderQuoteStatusPage(quote, items) {
+  const status =
+    CUSTOMER_STATUS[quote.status] ?? CUSTOMER_STATUS[QUOTE_STATUS.RECEIVED];
+  const canPay =
+    PAYABLE_STATUSES.includes(quote.status) &&
+    quote.invoiceSentAt &&
+    quote.invoiceUrl;
+
+  const itemRows = items
+    .map(
+      (item) =>
+        `<tr><td>${escapeLiquid(item.title)}</td><td style="text-align: right">${escapeLiquid(item.quantity)}</td></tr>`,
+    )
+    .join("");
+
+  const destination = [
+    quote.shippingCity,
+    quote.shippingProvince,
+    quote.shippingCountry,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+  return `<div class="page-width" style="max-width: 72rem; margin: 4rem auto">
+  <h1>${escapeLiquid(status.title)}</h1>
+  <p>${escapeLiquid(status.message)}</p>
+  ${
+    canPay
+      ? `<p><a class="button" href="${escapeLiquid(quote.invoiceUrl)}">Review and pay your invoice</a></p>${
+          quote.expiresAt
+            ? `<p>This quote is valid until ${escapeLiquid(formatExpiryDate(quote.expiresAt))}.</p>`
+            : ""
+        }`
+      : ""
+  }
+  ${
+    quote.status === QUOTE_STATUS.COMPLETED && quote.orderName
+      ? `<p>Order ${escapeLiquid(quote.orderName)}</p>`
+      : ""
+  }
+  <h2>Your request</h2>
+  <p>Requested on ${escapeLiquid(quote.createdAt.toISOString().slice(0, 10))}${
+    destination ? ` for shipping to ${escapeLiquid(destination)}` : ""
+  }.</p>
+  <table style="width: 100%">
+    <thead><tr><th style="text-align: left">Item</th><th style="text-align: right">Quantity</th></tr></thead>
+    <tbody>${itemRows}</tbody>
+  </table>
+  <p style="margin-top: 2rem"><small>Reference: ${escapeLiquid(quote.id)}</small></p>
+</div>
+`;
+}
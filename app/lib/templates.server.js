@@ -0,0 +1,62 @@
+// Placeholders staff can use in note and message templates, with the
+// description shown next to the template fields
+export const TEMPLATE_PLACEHOLDERS = {
+  quote_id: "The quote request ID",
+  full_name: "The customer's full name",
+  email: "The customer's email address",
+  phone: "The customer's phone number",
+  country: "The shipping destination country",
+  cart_total: "The cart total sent by the storefront",
+  item_count: "The number of items requested",
+  note: "The customer's cart note",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Lists placeholders in a template that are not in TEMPLATE_PLACEHOLDERS
+ * @param {string} template - The template text
+ * @returns {string[]} - The unknown placeholder names
+ */
+export function unknownPlaceholders(template) {
+  return [...(template ?? "").matchAll(PLACEHOLDER_PATTERN)]
+    .map(([, name]) => name)
+    .filter((name) => !(name in TEMPLATE_PLACEHOLDERS));
+}
+
+/**
+ * Collects the placeholder values for a quote
+ * @param {Object} orderData - The parsed order data
+ * @param {string} quoteRequestId - The QuoteRequest ID
+ * @returns {Object} - Values keyed by placeholder name
+ */
+export function quoteTemplateValues(orderData, quoteRequestId) {
+  return {
+    quote_id: quoteRequestId,
+    full_name: orderData.full_name,
+    email: orderData.email,
+    phone: orderData.phone,
+    country: orderData.shipping_country,
+    cart_total: orderData.cart_total,
+    item_count: (orderData.lineItems ?? []).reduce(
+      (total, item) => total + (Number(item.quantity) || 0),
+      0,
+    ),
+    note: orderData.note,
+  };
+}
+
+/**
+ * Fills {{placeholder}} tokens in a template. Unknown placeholders are left
+ * as written so a typo is visible in the result instead of silently dropped.
+ * @param {string} template - The template text
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} - The rendered text, trimmed
+ */
+export function renderTemplate(template, values) {
+  return (template ?? "")
+    .replace(PLACEHOLDER_PATTERN, (token, name) =>
+      name in TEMPLATE_PLACEHOLDERS ? String(values[name] ?? "") : token,
+    )
+    .trim();
+}
@@ -0,0 +1,251 @@
+import { resolveCountryCode } from "./countries.server";
+import { readCartDocument, toCustomAttributes } from "./orderData.server";
+import { DEFAULT_SHOP_SETTINGS } from "../models/ShopSettings.server";
+
+export const MAX_PAYLOAD_BYTES = 64 * 1024;
+export const MAX_LINE_ITEMS = 100;
+const MAX_ATTRIBUTES = 25;
+const MAX_ATTRIBUTE_KEY_LENGTH = 100;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 5000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const VARIANT_GID_PATTERN = /^gid:\/\/shopify\/ProductVariant\/\d+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]{5,25}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/i;
+
+/**
+ * Checks whether a string looks like a deliverable email address
+ * @param {string} email - The email address
+ * @returns {boolean} - True for a plausible address
+ */
+export function isValidEmail(email) {
+  return EMAIL_PATTERN.test(email.trim());
+}
+
+// The billing address is optional, but complete once any part of it is sent
+const BILLING_REQUIRED = [
+  "quote[billing_address1]",
+  "quote[billing_city]",
+  "quote[billing_country]",
+  "quote[billing_zip]",
+];
+
+// Storefront fields and the longest value each may hold. Shops can require
+// more of them through ShopSettings.requiredFields.
+const FIELDS = {
+  "quote[email]": { required: true, maxLength: 254 },
+  "quote[full_name]": { required: true, maxLength: 255 },
+  "quote[first_name]": { required: false, maxLength: 255 },
+  "quote[last_name]": { required: false, maxLength: 255 },
+  "quote[phone]": { required: false, maxLength: 30 },
+  "quote[shipping_company]": { required: false, maxLength: 255 },
+  "quote[shipping_address1]": { required: true, maxLength: 255 },
+  "quote[shipping_address2]": { required: false, maxLength: 255 },
+  "quote[shipping_city]": { required: true, maxLength: 255 },
+  "quote[shipping_province]": { required: false, maxLength: 255 },
+  "quote[shipping_country]": { required: true, maxLength: 100 },
+  "quote[shipping_zip]": { required: false, maxLength: 20 },
+  "quote[billing_company]": { required: false, maxLength: 255 },
+  "quote[billing_address1]": { required: false, maxLength: 255 },
+  "quote[billing_address2]": { required: false, maxLength: 255 },
+  "quote[billing_city]": { required: false, maxLength: 255 },
+  "quote[billing_province]": { required: false, maxLength: 255 },
+  "quote[billing_country]": { required: false, maxLength: 100 },
+  "quote[billing_zip]": { required: false, maxLength: 20 },
+  "quote[cart_total]": { required: false, maxLength: 50 },
+  "quote[presentment_currency]": { required: false, maxLength: 3 },
+  "quote[presentment_country]": { required: false, maxLength: 100 },
+  "quote[Cart]": { required: false, maxLength: 20000 },
+  "quote[cart_line_items]": { required: false, maxLength: 50000 },
+};
+
+/**
+ * Validates cart attributes or line item properties
+ * @param {Object|Array} attributes - The attributes as sent by the storefront
+ * @param {string} label - What the attributes belong to, for the error message
+ * @returns {string|null} - An error message, or null when valid
+ */
+function validateAttributes(attributes, label) {
+  if (attributes === undefined || attributes === null) return null;
+  if (typeof attributes !== "object") {
+    return `${label} must be an object or a list of { key, value } pairs`;
+  }
+
+  const customAttributes = toCustomAttributes(attributes);
+  if (customAttributes.length > MAX_ATTRIBUTES) {
+    return `${label} can have at most ${MAX_ATTRIBUTES} entries`;
+  }
+
+  const tooLong = customAttributes.find(
+    ({ key, value }) =>
+      key.length > MAX_ATTRIBUTE_KEY_LENGTH ||
+      value.length > MAX_ATTRIBUTE_VALUE_LENGTH,
+  );
+  if (tooLong) {
+    return `${label} entry "${tooLong.key.slice(0, 40)}" is too long`;
+  }
+
+  return null;
+}
+
+/**
+ * Validates the quote[cart_line_items] JSON document
+ * @param {string} value - The raw JSON string
+ * @returns {string|null} - An error message, or null when valid
+ */
+function validateLineItems(value) {
+  let cart;
+  try {
+    cart = readCartDocument(value);
+  } catch (error) {
+    return error instanceof SyntaxError
+      ? "Line items must be valid JSON"
+      : error.message;
+  }
+
+  const { lineItems } = cart;
+  if (lineItems.length === 0) {
+    return "Add at least one line item";
+  }
+  if (lineItems.length > MAX_LINE_ITEMS) {
+    return `A quote can contain at most ${MAX_LINE_ITEMS} line items`;
+  }
+
+  for (const [index, item] of lineItems.entries()) {
+    if (!VARIANT_GID_PATTERN.test(item?.variantId ?? "")) {
+      return `Line item ${index + 1} has an invalid variant ID`;
+    }
+    if (!/^\d+$/.test(String(item.quantity)) || Number(item.quantity) < 1) {
+      return `Line item ${index + 1} needs a quantity of at least 1`;
+    }
+
+    const attributesError = validateAttributes(
+      item.customAttributes ?? item.properties,
+      `Line item ${index + 1} properties`,
+    );
+    if (attributesError) return attributesError;
+  }
+
+  if (cart.note !== null && typeof cart.note !== "string") {
+    return "The cart note must be text";
+  }
+  if (cart.note?.length > MAX_NOTE_LENGTH) {
+    return `The cart note must be ${MAX_NOTE_LENGTH} characters or fewer`;
+  }
+
+  return validateAttributes(cart.attributes, "Cart attributes");
+}
+
+/**
+ * Validates a storefront quote payload before anything is stored
+ * @param {Object|string} payload - The parsed request payload
+ * @param {Object} [settings] - The shop's settings
+ * @param {string[]} [settings.requiredFields] - Extra fields the shop requires
+ * @param {string[]} [settings.allowedCountries] - Destination country codes the shop quotes for; empty allows all
+ * @returns {Object} - Field-level error messages keyed by form field name; empty when valid
+ */
+export function validateQuotePayload(
+  payload,
+  {
+    requiredFields = DEFAULT_SHOP_SETTINGS.requiredFields,
+    allowedCountries = DEFAULT_SHOP_SETTINGS.allowedCountries,
+  } = {},
+) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { payload: "Send the quote as a form or JSON object" };
+  }
+
+  const errors = {};
+
+  for (const [field, rules] of Object.entries(FIELDS)) {
+    const value = payload[field];
+
+    if (value !== undefined && typeof value !== "string") {
+      errors[field] = "Must be text";
+    } else if (!value?.trim()) {
+      const shopRequired = requiredFields.includes(
+        field.slice("quote[".length, -1),
+      );
+      if (rules.required || shopRequired) {
+        errors[field] = "This field is required";
+      }
+    } else if (value.length > rules.maxLength) {
+      errors[field] = `Must be ${rules.maxLength} characters or fewer`;
+    }
+  }
+
+  const email = payload["quote[email]"];
+  if (!errors["quote[email]"] && !isValidEmail(email)) {
+    errors["quote[email]"] = "Enter a valid email address";
+  }
+
+  const phone = payload["quote[phone]"];
+  if (!errors["quote[phone]"] && phone?.trim() && !PHONE_PATTERN.test(phone)) {
+    errors["quote[phone]"] = "Enter a valid phone number";
+  }
+
+  const country = payload["quote[shipping_country]"];
+  const countryCode = resolveCountryCode(country);
+  if (!errors["quote[shipping_country]"] && !countryCode) {
+    errors["quote[shipping_country]"] = "Enter a valid country";
+  } else if (
+    countryCode &&
+    allowedCountries.length &&
+    !allowedCountries.includes(countryCode)
+  ) {
+    errors["quote[shipping_country]"] =
+      "We can't currently quote shipping to this country";
+  }
+
+  const currency = payload["quote[presentment_currency]"];
+  if (
+    !errors["quote[presentment_currency]"] &&
+    currency?.trim() &&
+    !CURRENCY_PATTERN.test(currency.trim())
+  ) {
+    errors["quote[presentment_currency]"] =
+      "Enter a three-letter ISO currency code";
+  }
+
+  const presentmentCountry = payload["quote[presentment_country]"];
+  if (
+    !errors["quote[presentment_country]"] &&
+    presentmentCountry?.trim() &&
+    !resolveCountryCode(presentmentCountry)
+  ) {
+    errors["quote[presentment_country]"] = "Enter a valid country";
+  }
+
+  const hasBilling = Object.keys(FIELDS).some(
+    (field) => field.startsWith("quote[billing_") && payload[field]?.trim?.(),
+  );
+  if (hasBilling) {
+    for (const field of BILLING_REQUIRED) {
+      if (!errors[field] && !payload[field]?.trim()) {
+        errors[field] = "This field is required";
+      }
+    }
+
+    const billingCountry = payload["quote[billing_country]"];
+    if (
+      !errors["quote[billing_country]"] &&
+      !resolveCountryCode(billingCountry)
+    ) {
+      errors["quote[billing_country]"] = "Enter a valid country";
+    }
+  }
+
+  const lineItems = payload["quote[cart_line_items]"];
+  const cart = payload["quote[Cart]"];
+  if (!errors["quote[cart_line_items]"] && !errors["quote[Cart]"]) {
+    if (lineItems?.trim()) {
+      const lineItemsError = validateLineItems(lineItems);
+      if (lineItemsError) errors["quote[cart_line_items]"] = lineItemsError;
+    } else if (!cart?.trim()) {
+      errors["quote[cart_line_items]"] = "The quote has no items";
+    }
+  }
+
+  return errors;
+}
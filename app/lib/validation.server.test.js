@@ -0,0 +1,130 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  isValidEmail,
+  MAX_LINE_ITEMS,
+  validateQuotePayload,
+} from "./validation.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+const lineItem = (variantId = 1, quantity = 1) => ({
+  variantId: `gid://shopify/ProductVariant/${variantId}`,
+  quantity,
+});
+
+const validPayload = (fields = {}) => ({
+  "quote[email]": "ada@example.com",
+  "quote[full_name]": "Ada Lovelace",
+  "quote[shipping_address1]": "1 Rue de Rivoli",
+  "quote[shipping_city]": "Paris",
+  "quote[shipping_country]": "France",
+  "quote[shipping_zip]": "75001",
+  "quote[cart_line_items]": JSON.stringify([lineItem()]),
+  ...fields,
+});
+
+describe("isValidEmail", () => {
+  it("accepts plausible addresses and rejects the rest", () => {
+    expect(isValidEmail(" ada@example.com ")).toBe(true);
+    expect(isValidEmail("ada@example")).toBe(false);
+    expect(isValidEmail("ada example@example.com")).toBe(false);
+  });
+});
+
+describe("validateQuotePayload", () => {
+  it("accepts a complete quote", () => {
+    expect(validateQuotePayload(validPayload())).toEqual({});
+  });
+
+  it("rejects payloads that are not objects", () => {
+    expect(validateQuotePayload([])).toHaveProperty("payload");
+    expect(validateQuotePayload("quote")).toHaveProperty("payload");
+  });
+
+  it("reports missing, mistyped and overlong fields by name", () => {
+    expect(
+      validateQuotePayload(
+        validPayload({
+          "quote[email]": "",
+          "quote[full_name]": ["Ada"],
+          "quote[shipping_city]": "x".repeat(256),
+        }),
+      ),
+    ).toEqual({
+      "quote[email]": "This field is required",
+      "quote[full_name]": "Must be text",
+      "quote[shipping_city]": "Must be 255 characters or fewer",
+    });
+  });
+
+  it("applies the shop's required fields and allowed countries", () => {
+    const payload = validPayload({ "quote[phone]": "" });
+
+    expect(
+      validateQuotePayload(payload, {
+        requiredFields: ["phone"],
+        allowedCountries: ["DE"],
+      }),
+    ).toEqual({
+      "quote[phone]": "This field is required",
+      "quote[shipping_country]":
+        "We can't currently quote shipping to this country",
+    });
+  });
+
+  it("requires a complete billing address once any part is sent", () => {
+    const errors = validateQuotePayload(
+      validPayload({ "quote[billing_address1]": "2 Main St" }),
+    );
+
+    expect(Object.keys(errors)).toEqual([
+      "quote[billing_city]",
+      "quote[billing_country]",
+      "quote[billing_zip]",
+    ]);
+  });
+
+  it.each([
+    ["not json", "Line items must be valid JSON"],
+    [
+      JSON.stringify({ version: 99 }),
+      "Unsupported cart_line_items version: 99",
+    ],
+    [JSON.stringify([]), "Add at least one line item"],
+    [
+      JSON.stringify([{ variantId: "123", quantity: 1 }]),
+      "Line item 1 has an invalid variant ID",
+    ],
+    [
+      JSON.stringify([lineItem(1, 0)]),
+      "Line item 1 needs a quantity of at least 1",
+    ],
+    [
+      JSON.stringify(
+        Array.from({ length: MAX_LINE_ITEMS + 1 }, (_, i) => lineItem(i)),
+      ),
+      `A quote can contain at most ${MAX_LINE_ITEMS} line items`,
+    ],
+  ])("rejects the line items %#", (lineItems, message) => {
+    expect(
+      validateQuotePayload(
+        validPayload({ "quote[cart_line_items]": lineItems }),
+      ),
+    ).toEqual({ "quote[cart_line_items]": message });
+  });
+
+  it("accepts versioned carts with a note and attributes", () => {
+    const cart = {
+      version: 2,
+      lineItems: [{ ...lineItem(), properties: { Engraving: "AL" } }],
+      note: "Leave at the door",
+      attributes: { gift: "yes" },
+    };
+
+    expect(
+      validateQuotePayload(
+        validPayload({ "quote[cart_line_items]": JSON.stringify(cart) }),
+      ),
+    ).toEqual({});
+  });
+});
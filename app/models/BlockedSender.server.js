@@ -0,0 +1,146 @@
+import { isIP } from "net";
+import db from "../db.server";
+import { BLOCKED_SENDER_TYPE } from "./blockedSender";
+import { isValidEmail } from "../lib/validation.server";
+
+export { BLOCKED_SENDER_TYPE };
+
+const MAX_NOTE_LENGTH = 255;
+const DOMAIN_PATTERN = /^([a-z0-9-]+\.)+[a-z]{2,}$/;
+
+/**
+ * Brings a blocklist value into the form it is stored and matched in
+ * @param {string} type - One of BLOCKED_SENDER_TYPE
+ * @param {string} value - The value staff entered
+ * @returns {string} - Emails and domains lowercased, domains without a leading "@"
+ */
+export function normalizeBlockedValue(type, value) {
+  const trimmed = String(value ?? "").trim();
+  if (type === BLOCKED_SENDER_TYPE.IP) return trimmed;
+
+  const lowercased = trimmed.toLowerCase();
+  return type === BLOCKED_SENDER_TYPE.DOMAIN
+    ? lowercased.replace(/^@/, "")
+    : lowercased;
+}
+
+/**
+ * Lists the domains an email address belongs to, so blocking a domain also
+ * blocks its subdomains
+ * @param {string} email - The email address
+ * @returns {string[]} - e.g. ["mail.example.com", "example.com"]
+ */
+function emailDomains(email) {
+  const labels = email.slice(email.lastIndexOf("@") + 1).split(".");
+  return labels.slice(0, -1).map((_, index) => labels.slice(index).join("."));
+}
+
+/**
+ * Checks a blocklist entry submitted from the admin before it is saved
+ * @param {Object} entry - { type, value, note }, with the value normalized
+ * @returns {Object} - Error messages keyed by field name; empty when valid
+ */
+export function validateBlockedSender({ type, value, note }) {
+  const errors = {};
+
+  if (!Object.values(BLOCKED_SENDER_TYPE).includes(type)) {
+    errors.type = "Choose what to block";
+  } else if (!value) {
+    errors.value = "Enter a value to block";
+  } else if (type === BLOCKED_SENDER_TYPE.EMAIL && !isValidEmail(value)) {
+    errors.value = "Enter a valid email address";
+  } else if (
+    type === BLOCKED_SENDER_TYPE.DOMAIN &&
+    !DOMAIN_PATTERN.test(value)
+  ) {
+    errors.value = "Enter a domain such as example.com";
+  } else if (type === BLOCKED_SENDER_TYPE.IP && !isIP(value)) {
+    errors.value = "Enter an IPv4 or IPv6 address";
+  }
+
+  if (note?.length > MAX_NOTE_LENGTH) {
+    errors.note = `Must be ${MAX_NOTE_LENGTH} characters or fewer`;
+  }
+
+  return errors;
+}
+
+/**
+ * Adds an entry to a shop's blocklist; adding an existing entry updates its note
+ * @param {string} shop - The shop domain
+ * @param {Object} entry - A validated { type, value, note }
+ * @returns {Promise<Object>} - The BlockedSender record
+ */
+export async function addBlockedSender(shop, { type, value, note }) {
+  return db.blockedSender.upsert({
+    where: { shop_type_value: { shop, type, value } },
+    create: { shop, type, value, note: note || null },
+    update: { note: note || null },
+  });
+}
+
+/**
+ * Removes an entry from a shop's blocklist
+ * @param {string} shop - The shop domain
+ * @param {string} id - The BlockedSender ID
+ * @returns {Promise<number>} - The number of removed entries
+ */
+export async function removeBlockedSender(shop, id) {
+  const { count } = await db.blockedSender.deleteMany({ where: { shop, id } });
+  return count;
+}
+
+/**
+ * Lists a shop's blocklist
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object[]>} - BlockedSender records, newest first
+ */
+export async function getBlockedSenders(shop) {
+  return db.blockedSender.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Finds the blocklist entry a storefront submission matches, if any
+ * @param {string} shop - The shop domain
+ * @param {Object} sender
+ * @param {string} [sender.email] - The customer email from the payload
+ * @param {string} [sender.ip] - The client IP forwarded by the proxy
+ * @returns {Promise<Object|null>} - The matching BlockedSender record, or null
+ */
+export async function findBlockedSender(shop, { email, ip }) {
+  const OR = [];
+  if (email) {
+    const normalized = normalizeBlockedValue(BLOCKED_SENDER_TYPE.EMAIL, email);
+    OR.push(
+      { type: BLOCKED_SENDER_TYPE.EMAIL, value: normalized },
+      {
+        type: BLOCKED_SENDER_TYPE.DOMAIN,
+        value: { in: emailDomains(normalized) },
+      },
+    );
+  }
+  if (ip) OR.push({ type: BLOCKED_SENDER_TYPE.IP, value: ip });
+  if (!OR.length) return null;
+
+  return db.blockedSender.findFirst({ where: { shop, OR } });
+}
+
+/**
+ * Deletes a shop's blocklist entry for one email, for customer redaction
+ * @param {string} shop - The shop domain
+ * @param {string} email - The customer email
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function deleteBlockedEmail(shop, email) {
+  const { count } = await db.blockedSender.deleteMany({
+    where: {
+      shop,
+      type: BLOCKED_SENDER_TYPE.EMAIL,
+      value: normalizeBlockedValue(BLOCKED_SENDER_TYPE.EMAIL, email),
+    },
+  });
+  return count;
+}
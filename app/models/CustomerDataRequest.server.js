@@ -0,0 +1,67 @@
+import db from "../db.server";
+import { normalizeEmail } from "./QuoteRequest.server";
+
+/**
+ * Stores the export prepared for a customers/data_request webhook, so staff
+ * can pass it on to the customer
+ * @param {Object} request
+ * @param {string} request.shop - The shop domain
+ * @param {string} [request.dataRequestId] - Shopify's ID for the data request
+ * @param {string} [request.customerId] - The customer's global ID
+ * @param {string} [request.email] - The customer's email
+ * @param {Object[]} request.quotes - The exported quote data
+ * @returns {Promise<Object>} - The created CustomerDataRequest record
+ */
+export async function recordCustomerDataRequest({
+  shop,
+  dataRequestId,
+  customerId,
+  email,
+  quotes,
+}) {
+  return db.customerDataRequest.create({
+    data: {
+      shop,
+      dataRequestId,
+      customerId,
+      email: normalizeEmail(email),
+      quoteCount: quotes.length,
+      data: JSON.stringify(quotes),
+    },
+  });
+}
+
+/**
+ * Lists a shop's most recent customer data requests
+ * @param {string} shop - The shop domain
+ * @param {number} [limit] - The maximum number of records to return
+ * @returns {Promise<Object[]>} - CustomerDataRequest records, newest first
+ */
+export async function getCustomerDataRequests(shop, limit = 50) {
+  return db.customerDataRequest.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Deletes a shop's stored data request exports for one customer, for
+ * customer redaction. The exports hold the customer's full quote data.
+ * @param {string} shop - The shop domain
+ * @param {Object} customer
+ * @param {string} [customer.customerId] - The customer's global ID
+ * @param {string} [customer.email] - The customer's email
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function deleteCustomerDataRequests(shop, { customerId, email }) {
+  const OR = [];
+  if (customerId) OR.push({ customerId });
+  if (email) OR.push({ email: normalizeEmail(email) });
+  if (!OR.length) return 0;
+
+  const { count } = await db.customerDataRequest.deleteMany({
+    where: { shop, OR },
+  });
+  return count;
+}
@@ -0,0 +1,30 @@
+import db from "../db.server";
+
+/**
+ * Records a proxy request's nonce so the same request cannot be processed twice
+ * @param {string} nonce - The request's nonce, from proxyRequestNonce
+ * @param {string} shop - The shop domain
+ * @param {Date} expiresAt - When the signature falls outside the timestamp window
+ * @returns {Promise<boolean>} - False if the nonce was already used
+ */
+export async function consumeProxyNonce(nonce, shop, expiresAt) {
+  try {
+    await db.proxyNonce.create({ data: { nonce, shop, expiresAt } });
+    return true;
+  } catch (error) {
+    // P2002: unique constraint failed, i.e. the request was seen before
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+}
+
+/**
+ * Deletes nonces that are too old to pass the timestamp check anyway
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function purgeExpiredProxyNonces() {
+  const { count } = await db.proxyNonce.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return count;
+}
@@ -0,0 +1,1251 @@
+import { randomBytes } from "node:crypto";
+import db from "../db.server";
+import {
+  canTransition,
+  INVOICE_STATUS,
+  QUOTE_STATUS,
+  QUOTE_STATUS_LABELS,
+} from "./quoteStatus";
+import { SPAM_SIGNAL_LABELS } from "./spamSignal";
+
+export { INVOICE_STATUS, QUOTE_STATUS };
+
+export const QUOTE_PAGE_SIZE = 25;
+
+export const QUOTE_EVENT = {
+  RECEIVED: "received",
+  DRAFT_CREATED: "draft_created",
+  DRAFT_ADOPTED: "draft_adopted",
+  DRAFT_REJECTED: "draft_rejected",
+  ERROR: "error",
+  RETRY_SCHEDULED: "retry_scheduled",
+  RETRY_EXHAUSTED: "retry_exhausted",
+  RETRY_REQUESTED: "retry_requested",
+  CART_RESOLVED: "cart_resolved",
+  CUSTOMER_LINKED: "customer_linked",
+  CUSTOMER_FAILED: "customer_failed",
+  PRICED: "priced",
+  INVOICE_SENT: "invoice_sent",
+  INVOICE_FAILED: "invoice_failed",
+  STATUS_CHANGED: "status_changed",
+  ORDER_LINKED: "order_linked",
+  DRAFT_DELETED: "draft_deleted",
+  APP_UNINSTALLED: "app_uninstalled",
+  STAFF_NOTIFIED: "staff_notified",
+  STAFF_NOTIFICATION_FAILED: "staff_notification_failed",
+  EXPIRY_REMINDER_SENT: "expiry_reminder_sent",
+  EXPIRY_REMINDER_FAILED: "expiry_reminder_failed",
+  EXPIRED: "expired",
+  DRAFT_EXPIRED: "draft_expired",
+  ITEMS_UNAVAILABLE: "items_unavailable",
+  QUARANTINED: "quarantined",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+// Who or what moved a quote to a new status, kept in the audit history
+export const TRANSITION_SOURCE = {
+  STOREFRONT: "storefront",
+  ADMIN: "admin",
+  WEBHOOK: "webhook",
+  JOB: "job",
+};
+
+/**
+ * Thrown when a quote is asked to move to a status its current status does
+ * not allow, e.g. pricing a cancelled quote
+ */
+export class IllegalTransitionError extends Error {
+  constructor(id, from, to) {
+    super(
+      `Quote request ${id} cannot move from ${QUOTE_STATUS_LABELS[from] ?? from} to ${QUOTE_STATUS_LABELS[to] ?? to}`,
+    );
+    this.name = "IllegalTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// Automatic retries back off exponentially: 1, 2, 4 and 8 minutes
+export const MAX_DRAFT_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// How long a submission may hold a quote before another worker can take over
+const SUBMISSION_LOCK_MS = 2 * 60 * 1000;
+
+// Requests left "received" this long after their last change were interrupted
+// mid-submission. Quotes released from quarantine count from their release.
+// Failed requests are interrupted once their submission lock has run out.
+const STALE_RECEIVED_MS = 5 * 60 * 1000;
+
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "fullName",
+  "email",
+  "shippingCountry",
+  "itemCount",
+  "status",
+];
+
+/**
+ * Serializes a value for storage in a TEXT column
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string|null} - The JSON string, or null when there is no value
+ */
+function toJson(value) {
+  if (value === undefined || value === null) return null;
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Parses a TEXT column written by toJson
+ * @param {string|null} value - The stored JSON string
+ * @returns {*} - The parsed value, or the raw string if it is not JSON
+ */
+export function fromJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Brings an email address into the form it is stored and matched in.
+ * SQLite compares text case-sensitively, so every stored email is trimmed
+ * and lowercased.
+ * @param {string|null} email - The email address
+ * @returns {string|null} - The normalized address, or null when empty
+ */
+export function normalizeEmail(email) {
+  return email?.trim().toLowerCase() || null;
+}
+
+/**
+ * Sums the quantities of parsed line items
+ * @param {Array} lineItems - The parsed line items
+ * @returns {number} - The total number of items requested
+ */
+function countItems(lineItems) {
+  if (!Array.isArray(lineItems)) return 0;
+  return lineItems.reduce(
+    (total, item) => total + (parseInt(item.quantity, 10) || 0),
+    0,
+  );
+}
+
+/**
+ * Moves a quote to a new status, together with any other changes and
+ * timeline events, and records the transition in the audit history. The
+ * update only applies if the status is still the one that was checked, so
+ * concurrent transitions cannot skip the rules.
+ * @param {string} id - The QuoteRequest ID
+ * @param {string} to - One of QUOTE_STATUS
+ * @param {Object} [options]
+ * @param {Object} [options.data] - Other fields to update in the same write
+ * @param {Object[]} [options.events] - Timeline events to add, besides the status change
+ * @param {string} [options.source] - One of TRANSITION_SOURCE
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the current status does not allow the move
+ */
+export async function transitionQuote(
+  id,
+  to,
+  { data = {}, events = [], source = TRANSITION_SOURCE.JOB } = {},
+) {
+  const { status: from } = await db.quoteRequest.findUniqueOrThrow({
+    where: { id },
+    select: { status: true },
+  });
+
+  if (!canTransition(from, to)) {
+    throw new IllegalTransitionError(id, from, to);
+  }
+
+  const statusEvent =
+    from === to
+      ? []
+      : [
+          {
+            type: QUOTE_EVENT.STATUS_CHANGED,
+            message: `Status changed from ${QUOTE_STATUS_LABELS[from]} to ${QUOTE_STATUS_LABELS[to]}`,
+            data: toJson({ from, to, source }),
+          },
+        ];
+
+  try {
+    return await db.quoteRequest.update({
+      where: { id, status: from },
+      data: {
+        ...data,
+        status: to,
+        events: { create: [...events, ...statusEvent] },
+      },
+    });
+  } catch (error) {
+    // P2025: another transition changed the status since it was read
+    if (error.code === "P2025") {
+      const current = await db.quoteRequest.findUnique({ where: { id } });
+      throw new IllegalTransitionError(id, current?.status, to);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stores an incoming quote request before any Shopify call is made. Each
+ * quote gets an unguessable token for the customer's status page. Lines the
+ * availability check flagged mark the quote and are listed in its history.
+ * Submissions with spam signals are quarantined until staff approve them.
+ * @param {string} shop - The shop domain the request was sent to
+ * @param {Object|string} payload - The raw request payload
+ * @param {Object} orderData - The parsed order data from the payload
+ * @param {Object} [options]
+ * @param {string} [options.clientIp] - The client IP, for per-IP rate limits
+ * @param {string[]} [options.spamSignals] - SPAM_SIGNAL values found in the submission
+ * @returns {Promise<Object>} - The created QuoteRequest record
+ */
+export async function createQuoteRequest(
+  shop,
+  payload,
+  orderData,
+  { clientIp, spamSignals = [] } = {},
+) {
+  const unavailable = (orderData.lineItems ?? []).filter(
+    (item) => item.unavailable,
+  );
+
+  return db.quoteRequest.create({
+    data: {
+      shop,
+      status: spamSignals.length
+        ? QUOTE_STATUS.QUARANTINED
+        : QUOTE_STATUS.RECEIVED,
+      clientIp,
+      spamSignals: spamSignals.length ? toJson(spamSignals) : null,
+      accessToken: randomBytes(24).toString("base64url"),
+      email: normalizeEmail(orderData.email),
+      fullName: orderData.full_name,
+      phone: orderData.phone,
+      shippingCompany: orderData.shipping_company,
+      shippingAddress1: orderData.shipping_address1,
+      shippingAddress2: orderData.shipping_address2,
+      shippingCity: orderData.shipping_city,
+      shippingProvince: orderData.shipping_province,
+      shippingCountry: orderData.shipping_country,
+      shippingCountryCode: orderData.shipping_country_code,
+      shippingZip: orderData.shipping_zip,
+      billingAddress: orderData.billing_address1
+        ? toJson({
+            company: orderData.billing_company,
+            address1: orderData.billing_address1,
+            address2: orderData.billing_address2,
+            city: orderData.billing_city,
+            province: orderData.billing_province,
+            country: orderData.billing_country,
+            zip: orderData.billing_zip,
+          })
+        : null,
+      cartTotal: orderData.cart_total,
+      presentmentCurrency: orderData.presentment_currency_code,
+      presentmentCountryCode: orderData.presentment_country_code,
+      note: orderData.note,
+      cartAttributes: orderData.cart_attributes?.length
+        ? toJson(orderData.cart_attributes)
+        : null,
+      payload: toJson(payload) ?? "",
+      lineItems: toJson(orderData.lineItems),
+      itemCount: countItems(orderData.lineItems),
+      hasUnavailableItems: unavailable.length > 0,
+      events: {
+        create: [
+          {
+            type: QUOTE_EVENT.RECEIVED,
+            message: "Quote request received from the storefront",
+          },
+          ...(unavailable.length
+            ? [
+                {
+                  type: QUOTE_EVENT.ITEMS_UNAVAILABLE,
+                  message: `${unavailable.length} line(s) could not be sold as requested`,
+                  data: toJson(
+                    unavailable.map((item) => ({
+                      variantId: item.variantId,
+                      quantity: item.quantity,
+                      ...item.unavailable,
+                    })),
+                  ),
+                },
+              ]
+            : []),
+          ...(spamSignals.length
+            ? [
+                {
+                  type: QUOTE_EVENT.QUARANTINED,
+                  message: `Quarantined for review: ${spamSignals
+                    .map((signal) => SPAM_SIGNAL_LABELS[signal] ?? signal)
+                    .join("; ")}`,
+                  data: toJson(spamSignals),
+                },
+              ]
+            : []),
+        ],
+      },
+    },
+  });
+}
+
+/**
+ * Releases a quarantined quote so its draft order can be created
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote is no longer quarantined
+ */
+export async function approveQuoteRequest(id) {
+  return transitionQuote(id, QUOTE_STATUS.RECEIVED, {
+    events: [
+      {
+        type: QUOTE_EVENT.APPROVED,
+        message: "Approved from quarantine",
+      },
+    ],
+    source: TRANSITION_SOURCE.ADMIN,
+  });
+}
+
+/**
+ * Rejects a quarantined quote as spam. No draft order is created.
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote is no longer quarantined
+ */
+export async function rejectQuoteRequest(id) {
+  return transitionQuote(id, QUOTE_STATUS.REJECTED, {
+    events: [
+      {
+        type: QUOTE_EVENT.REJECTED,
+        message: "Rejected as spam",
+      },
+    ],
+    source: TRANSITION_SOURCE.ADMIN,
+  });
+}
+
+/**
+ * Stores cart text lines after they were matched against the catalog
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object[]} lineItems - The resolved line items
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordResolvedLineItems(id, lineItems) {
+  const unmatched = lineItems.filter((item) => item.needsReview);
+
+  return db.quoteRequest.update({
+    where: { id },
+    data: {
+      lineItems: toJson(lineItems),
+      itemCount: countItems(lineItems),
+      needsReview: unmatched.length > 0,
+      events: {
+        create: {
+          type: QUOTE_EVENT.CART_RESOLVED,
+          message: unmatched.length
+            ? `Matched cart text against the catalog; ${unmatched.length} line(s) added as custom items for review`
+            : "Matched all cart text lines against the catalog",
+          data: unmatched.length
+            ? toJson(unmatched.map((item) => item.line))
+            : null,
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Remembers the Shopify customer a quote request belongs to
+ * @param {string} id - The QuoteRequest ID
+ * @param {string} customerId - The customer's global ID
+ * @param {boolean} created - Whether the customer was created for this quote
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordQuoteCustomer(id, customerId, created) {
+  return db.quoteRequest.update({
+    where: { id },
+    data: {
+      customerId,
+      events: {
+        create: {
+          type: QUOTE_EVENT.CUSTOMER_LINKED,
+          message: created
+            ? "Created a new customer from the quote email"
+            : "Linked the quote to an existing customer",
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Records the result of a draftOrderCreate mutation on the quote request
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} result - The draftOrderCreate payload ({ draftOrder, userErrors })
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordDraftOrderResult(id, result, { adopted } = {}) {
+  const draftOrder = result?.draftOrder;
+  const userErrors = result?.userErrors ?? [];
+
+  // Shopify refuses the same input again, so rejected drafts wait for staff
+  if (!draftOrder?.id) {
+    return failQuoteRequest(id, {
+      retry: !userErrors.length,
+      error: null,
+      draftOrderResponse: toJson(result),
+      userErrors: toJson(userErrors),
+      event: {
+        type: QUOTE_EVENT.DRAFT_REJECTED,
+        message: "Shopify rejected the draft order",
+        data: toJson(userErrors),
+      },
+    });
+  }
+
+  return transitionQuote(id, QUOTE_STATUS.DRAFT_CREATED, {
+    data: {
+      draftOrderId: draftOrder.id,
+      invoiceUrl: draftOrder.invoiceUrl ?? null,
+      draftOrderResponse: toJson(result),
+      userErrors: null,
+      error: null,
+      nextAttemptAt: null,
+      lockedUntil: null,
+    },
+    events: [
+      adopted
+        ? {
+            type: QUOTE_EVENT.DRAFT_ADOPTED,
+            message: `Found existing draft order ${draftOrder.name ?? draftOrder.id} from an earlier attempt`,
+          }
+        : {
+            type: QUOTE_EVENT.DRAFT_CREATED,
+            message: `Draft order ${draftOrder.name ?? draftOrder.id} created`,
+          },
+    ],
+  });
+}
+
+/**
+ * Records that staff saved shipping, duties and discounts on the draft order
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} totals - The draft order totals after the update
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordQuotePricing(id, totals) {
+  return transitionQuote(id, QUOTE_STATUS.PRICED, {
+    data: { pricedAt: new Date(), quotedTotals: toJson(totals) },
+    events: [
+      {
+        type: QUOTE_EVENT.PRICED,
+        message: `Pricing saved; total ${totals.total} ${totals.currencyCode}${
+          totals.presentment
+            ? ` (${totals.presentment.total} ${totals.presentment.currencyCode})`
+            : ""
+        }`,
+        data: toJson(totals),
+      },
+    ],
+    source: TRANSITION_SOURCE.ADMIN,
+  });
+}
+
+/**
+ * Builds the validity window fields for an invoice send. Every invoice starts
+ * a new window, so a resent quote gets a new reminder too.
+ * @param {Object} expiry - { expiresAt, remindAt }; missing when quotes do not expire
+ * @returns {Object} - The QuoteRequest fields
+ */
+function toExpiryData({ expiresAt = null, remindAt = null }) {
+  return { expiresAt, remindAt, reminderSentAt: null };
+}
+
+/**
+ * Notes that the app is about to ask Shopify to send a quote's invoice. It is
+ * written before the Shopify call, so the draft order webhook for the send can
+ * tell it apart from one made in the Shopify admin even if it arrives first.
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function markInvoiceSendStarted(id) {
+  return db.quoteRequest.update({
+    where: { id },
+    data: { invoiceSendStartedAt: new Date() },
+  });
+}
+
+/**
+ * Records that the draft order invoice was emailed to the customer
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} details
+ * @param {string} details.to - The address the invoice was sent to
+ * @param {string} details.subject - The rendered email subject
+ * @param {boolean} [details.automatic] - Whether it was sent without staff action
+ * @param {Object} [details.expiry] - { expiresAt, remindAt } for the validity window the invoice starts
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordInvoiceSent(
+  id,
+  { to, subject, automatic, expiry = {} },
+) {
+  return transitionQuote(id, QUOTE_STATUS.INVOICE_SENT, {
+    data: {
+      invoiceStatus: INVOICE_STATUS.SENT,
+      invoiceSentAt: new Date(),
+      invoiceError: null,
+      ...toExpiryData(expiry),
+    },
+    events: [
+      {
+        type: QUOTE_EVENT.INVOICE_SENT,
+        message: automatic
+          ? "Invoice emailed to the customer automatically"
+          : "Invoice emailed to the customer",
+        data: toJson({ to, subject }),
+      },
+    ],
+    source: automatic ? TRANSITION_SOURCE.JOB : TRANSITION_SOURCE.ADMIN,
+  });
+}
+
+/**
+ * Records an invoice that staff sent from the Shopify admin instead of the app
+ * @param {string} id - The QuoteRequest ID
+ * @param {Date} sentAt - When Shopify sent the invoice
+ * @param {Object} [expiry] - { expiresAt, remindAt } for the validity window the invoice starts
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordShopifyInvoiceSent(id, sentAt, expiry = {}) {
+  return transitionQuote(id, QUOTE_STATUS.INVOICE_SENT, {
+    data: {
+      invoiceStatus: INVOICE_STATUS.SENT,
+      invoiceSentAt: sentAt,
+      invoiceError: null,
+      ...toExpiryData(expiry),
+    },
+    events: [
+      {
+        type: QUOTE_EVENT.INVOICE_SENT,
+        message: "Invoice sent from the Shopify admin",
+      },
+    ],
+    source: TRANSITION_SOURCE.WEBHOOK,
+  });
+}
+
+/**
+ * Records a failed attempt to email the draft order invoice. The draft order
+ * itself is unaffected, so the quote keeps its status.
+ * @param {string} id - The QuoteRequest ID
+ * @param {string} error - Why the invoice could not be sent
+ * @param {Array} [userErrors] - userErrors returned by Shopify
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordInvoiceFailed(id, error, userErrors) {
+  return db.quoteRequest.update({
+    where: { id },
+    data: {
+      invoiceStatus: INVOICE_STATUS.FAILED,
+      invoiceError: error,
+      events: {
+        create: {
+          type: QUOTE_EVENT.INVOICE_FAILED,
+          message: `Invoice could not be sent: ${error}`,
+          data: toJson(userErrors?.length ? userErrors : null),
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Marks a quote request as failed, keeping it for later recovery
+ * @param {string} id - The QuoteRequest ID
+ * @param {Error|string} error - The error that stopped draft order creation
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote was cancelled during the attempt
+ */
+export async function markQuoteRequestFailed(id, error) {
+  const message = error instanceof Error ? error.message : String(error);
+
+  return failQuoteRequest(id, {
+    error: message,
+    event: {
+      type: QUOTE_EVENT.ERROR,
+      message: `Draft order creation failed: ${message}`,
+    },
+  });
+}
+
+/**
+ * Stores a failed attempt and schedules the next automatic retry
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} options - The failure details
+ * @param {Object} options.event - The timeline event describing the failure
+ * @param {boolean} [options.retry] - Whether the attempt may be retried automatically
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote was cancelled during the attempt
+ */
+async function failQuoteRequest(id, { event, retry = true, ...fields }) {
+  const { attempts } = await db.quoteRequest.findUniqueOrThrow({
+    where: { id },
+    select: { attempts: true },
+  });
+
+  const exhausted = attempts >= MAX_DRAFT_ATTEMPTS;
+  const nextAttemptAt =
+    exhausted || !retry
+      ? null
+      : new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+  return transitionQuote(id, QUOTE_STATUS.FAILED, {
+    data: { ...fields, nextAttemptAt, lockedUntil: null },
+    events: [
+      event,
+      !nextAttemptAt
+        ? {
+            type: QUOTE_EVENT.RETRY_EXHAUSTED,
+            message: exhausted
+              ? `Gave up after ${attempts} attempts; retry manually from the admin`
+              : "Not retried automatically; fix the quote and retry from the admin",
+          }
+        : {
+            type: QUOTE_EVENT.RETRY_SCHEDULED,
+            message: `Automatic retry scheduled for ${nextAttemptAt.toISOString()}`,
+          },
+    ],
+  });
+}
+
+/**
+ * Marks a quote as paid and links the order Shopify created from its draft.
+ * Webhooks can report the same order more than once, so repeats are ignored.
+ * A quote that was already cancelled or expired keeps its status, but the
+ * order is still linked so staff can see the customer paid.
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} order
+ * @param {string} order.id - The order's global ID
+ * @param {string} [order.name] - The order name, e.g. "#1001"
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordQuoteOrder(id, { id: orderId, name }) {
+  const quote = await db.quoteRequest.findUniqueOrThrow({ where: { id } });
+  if (quote.orderId === orderId) {
+    return name && !quote.orderName
+      ? db.quoteRequest.update({ where: { id }, data: { orderName: name } })
+      : quote;
+  }
+
+  const data = { orderId, orderName: name ?? null, completedAt: new Date() };
+  const event = {
+    type: QUOTE_EVENT.ORDER_LINKED,
+    message: `Invoice paid; order ${name ?? orderId} created`,
+    data: toJson({ orderId, name }),
+  };
+
+  if (!canTransition(quote.status, QUOTE_STATUS.COMPLETED)) {
+    return db.quoteRequest.update({
+      where: { id },
+      data: {
+        ...data,
+        events: {
+          create: {
+            ...event,
+            message: `Order ${name ?? orderId} was placed for a ${QUOTE_STATUS_LABELS[quote.status].toLowerCase()} quote`,
+          },
+        },
+      },
+    });
+  }
+
+  return transitionQuote(id, QUOTE_STATUS.COMPLETED, {
+    data,
+    events: [event],
+    source: TRANSITION_SOURCE.WEBHOOK,
+  });
+}
+
+/**
+ * Cancels a quote whose draft order was deleted in Shopify
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object|null>} - The updated QuoteRequest, or null if the quote was already final
+ */
+export async function recordDraftOrderDeleted(id) {
+  const quote = await db.quoteRequest.findUniqueOrThrow({ where: { id } });
+  if (!canTransition(quote.status, QUOTE_STATUS.CANCELLED)) return null;
+
+  return transitionQuote(id, QUOTE_STATUS.CANCELLED, {
+    events: [
+      {
+        type: QUOTE_EVENT.DRAFT_DELETED,
+        message: "The draft order was deleted in Shopify",
+      },
+    ],
+    source: TRANSITION_SOURCE.WEBHOOK,
+  });
+}
+
+/**
+ * Finds the quote request a draft order was created for
+ * @param {string} shop - The shop domain
+ * @param {string} draftOrderId - The draft order's global ID
+ * @returns {Promise<Object|null>} - The QuoteRequest record, or null if none matches
+ */
+export async function findQuoteByDraftOrderId(shop, draftOrderId) {
+  return db.quoteRequest.findFirst({ where: { shop, draftOrderId } });
+}
+
+/**
+ * Cancels a quote at staff request. The draft order is left in Shopify.
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote is already final
+ */
+export async function cancelQuoteRequest(id) {
+  return transitionQuote(id, QUOTE_STATUS.CANCELLED, {
+    data: { nextAttemptAt: null },
+    source: TRANSITION_SOURCE.ADMIN,
+  });
+}
+
+/**
+ * Takes the submission lock on a quote request that still needs a draft order.
+ * The conditional update makes sure only one caller can create the draft.
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} [options]
+ * @param {boolean} [options.manual] - Whether staff requested this attempt
+ * @returns {Promise<Object|null>} - The locked record, or null if it is not claimable
+ */
+export async function claimQuoteRequest(id, { manual = false } = {}) {
+  const now = new Date();
+
+  const { count } = await db.quoteRequest.updateMany({
+    where: {
+      id,
+      draftOrderId: null,
+      status: { in: [QUOTE_STATUS.RECEIVED, QUOTE_STATUS.FAILED] },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: {
+      attempts: { increment: 1 },
+      lockedUntil: new Date(now.getTime() + SUBMISSION_LOCK_MS),
+      nextAttemptAt: null,
+    },
+  });
+
+  if (!count) return null;
+
+  if (manual) {
+    await recordQuoteEvent(
+      id,
+      QUOTE_EVENT.RETRY_REQUESTED,
+      "Retry requested from the admin",
+    );
+  }
+
+  return db.quoteRequest.findUnique({ where: { id } });
+}
+
+/**
+ * Notes that a draft order is about to be requested for a claimed quote. From
+ * then on every attempt first looks for a draft an earlier request created,
+ * in case its response was lost. The first request's time is kept.
+ * @param {Object} quoteRequest - The claimed QuoteRequest record
+ * @returns {Promise<void>}
+ */
+export async function markDraftRequested(quoteRequest) {
+  if (quoteRequest.draftRequestedAt) return;
+
+  await db.quoteRequest.update({
+    where: { id: quoteRequest.id },
+    data: { draftRequestedAt: new Date() },
+  });
+}
+
+/**
+ * Lists quote requests whose automatic retry is due, including requests whose
+ * attempt was interrupted before it finished
+ * @param {number} limit - The maximum number of records to return
+ * @returns {Promise<Object[]>} - QuoteRequest records, oldest first
+ */
+export async function getQuoteRequestsDueForRetry(limit) {
+  const now = new Date();
+
+  return db.quoteRequest.findMany({
+    where: {
+      draftOrderId: null,
+      OR: [
+        { status: QUOTE_STATUS.FAILED, nextAttemptAt: { lte: now } },
+        {
+          status: QUOTE_STATUS.FAILED,
+          lockedUntil: { lt: now },
+          attempts: { lt: MAX_DRAFT_ATTEMPTS },
+        },
+        {
+          status: QUOTE_STATUS.RECEIVED,
+          updatedAt: { lt: new Date(now.getTime() - STALE_RECEIVED_MS) },
+          attempts: { lt: MAX_DRAFT_ATTEMPTS },
+        },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Lists invoiced quotes whose expiry reminder is due and not yet sent
+ * @param {number} limit - The maximum number of records to return
+ * @returns {Promise<Object[]>} - QuoteRequest records, earliest reminder first
+ */
+export async function getQuoteRequestsDueForReminder(limit) {
+  const now = new Date();
+
+  return db.quoteRequest.findMany({
+    where: {
+      status: QUOTE_STATUS.INVOICE_SENT,
+      reminderSentAt: null,
+      remindAt: { lte: now },
+      expiresAt: { gt: now },
+    },
+    orderBy: { remindAt: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Takes the expiry reminder for a quote, so it is sent at most once even if
+ * the job runs again before the send finishes. Claiming also marks the
+ * invoice send as started, as the reminder is an invoice resend.
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<boolean>} - True when this caller should send the reminder
+ */
+export async function claimExpiryReminder(id) {
+  const now = new Date();
+  const { count } = await db.quoteRequest.updateMany({
+    where: { id, reminderSentAt: null, status: QUOTE_STATUS.INVOICE_SENT },
+    data: { reminderSentAt: now, invoiceSendStartedAt: now },
+  });
+  return count > 0;
+}
+
+/**
+ * Records that the customer was reminded their quote is about to expire.
+ * The reminder is an invoice resend, so invoiceSentAt moves with it.
+ * @param {string} id - The QuoteRequest ID
+ * @param {Object} details
+ * @param {string} details.to - The address the reminder was sent to
+ * @param {string} details.subject - The email subject
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ */
+export async function recordExpiryReminderSent(id, { to, subject }) {
+  return db.quoteRequest.update({
+    where: { id },
+    data: {
+      invoiceSentAt: new Date(),
+      events: {
+        create: {
+          type: QUOTE_EVENT.EXPIRY_REMINDER_SENT,
+          message: "Reminded the customer that the quote expires soon",
+          data: toJson({ to, subject }),
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Records a failed expiry reminder. It is not retried: the quote still
+ * expires on time, and the customer already has the invoice.
+ * @param {string} id - The QuoteRequest ID
+ * @param {string} error - Why the reminder could not be sent
+ * @returns {Promise<Object>} - The created QuoteEvent record
+ */
+export async function recordExpiryReminderFailed(id, error) {
+  return recordQuoteEvent(
+    id,
+    QUOTE_EVENT.EXPIRY_REMINDER_FAILED,
+    `Expiry reminder failed: ${error}`,
+  );
+}
+
+/**
+ * Lists open quotes whose validity window has passed
+ * @param {number} limit - The maximum number of records to return
+ * @returns {Promise<Object[]>} - QuoteRequest records, longest expired first
+ */
+export async function getExpiredQuoteRequests(limit) {
+  return db.quoteRequest.findMany({
+    where: {
+      status: {
+        in: [
+          QUOTE_STATUS.DRAFT_CREATED,
+          QUOTE_STATUS.PRICED,
+          QUOTE_STATUS.INVOICE_SENT,
+        ],
+      },
+      expiresAt: { lte: new Date() },
+    },
+    orderBy: { expiresAt: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Marks a quote as expired once its validity window has passed
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - The updated QuoteRequest record
+ * @throws {IllegalTransitionError} - When the quote was paid or cancelled meanwhile
+ */
+export async function recordQuoteExpired(id) {
+  return transitionQuote(id, QUOTE_STATUS.EXPIRED, {
+    data: { remindAt: null },
+    events: [
+      {
+        type: QUOTE_EVENT.EXPIRED,
+        message: "The quote's validity window passed",
+      },
+    ],
+    source: TRANSITION_SOURCE.JOB,
+  });
+}
+
+/**
+ * Appends an event to a quote request's timeline
+ * @param {string} id - The QuoteRequest ID
+ * @param {string} type - One of QUOTE_EVENT
+ * @param {string} message - A human-readable description
+ * @param {*} [data] - Extra JSON-serializable details
+ * @returns {Promise<Object>} - The created QuoteEvent record
+ */
+export async function recordQuoteEvent(id, type, message, data) {
+  return db.quoteEvent.create({
+    data: { quoteRequestId: id, type, message, data: toJson(data) },
+  });
+}
+
+/**
+ * Builds the Prisma where clause for a shop's quote list
+ * @param {string} shop - The shop domain
+ * @param {Object} filters - The list filters
+ * @param {string[]} [filters.status] - Statuses to include
+ * @param {string[]} [filters.country] - Destination countries to include
+ * @param {Date} [filters.from] - Only quotes received at or after this time
+ * @param {Date} [filters.to] - Only quotes received before this time
+ * @returns {Object} - The Prisma where clause
+ */
+export function buildQuoteWhere(
+  shop,
+  { status = [], country = [], from, to } = {},
+) {
+  const where = { shop };
+  if (status.length) where.status = { in: status };
+  if (country.length) where.shippingCountry = { in: country };
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+  return where;
+}
+
+/**
+ * Parses a "field direction" sort value into a Prisma orderBy clause
+ * @param {string} sort - The sort value, e.g. "createdAt desc"
+ * @returns {Object} - The Prisma orderBy clause
+ */
+function parseSort(sort) {
+  const [field, direction] = (sort || "").split(" ");
+  if (!SORTABLE_FIELDS.includes(field)) return { createdAt: "desc" };
+  return { [field]: direction === "asc" ? "asc" : "desc" };
+}
+
+/**
+ * Lists a page of quote requests for a shop
+ * @param {string} shop - The shop domain
+ * @param {Object} options - Filter, sort and pagination options
+ * @param {string[]} [options.status] - Statuses to include
+ * @param {string[]} [options.country] - Destination countries to include
+ * @param {string} [options.sort] - The sort value, e.g. "createdAt desc"
+ * @param {number} [options.page] - The 1-based page number
+ * @returns {Promise<Object>} - The quote requests and pagination state
+ */
+export async function getQuoteRequests(shop, options = {}) {
+  const page = Math.max(1, options.page || 1);
+  const where = buildQuoteWhere(shop, options);
+
+  const [quoteRequests, total] = await Promise.all([
+    db.quoteRequest.findMany({
+      where,
+      orderBy: [parseSort(options.sort), { id: "desc" }],
+      skip: (page - 1) * QUOTE_PAGE_SIZE,
+      take: QUOTE_PAGE_SIZE,
+    }),
+    db.quoteRequest.count({ where }),
+  ]);
+
+  return {
+    quoteRequests,
+    total,
+    page,
+    hasPrevious: page > 1,
+    hasNext: page * QUOTE_PAGE_SIZE < total,
+  };
+}
+
+/**
+ * Loads the fields the reports page aggregates for a shop's filtered quotes
+ * @param {string} shop - The shop domain
+ * @param {Object} filters - The list filters, as for buildQuoteWhere
+ * @param {number} limit - The maximum number of records to return
+ * @returns {Promise<Object[]>} - Partial QuoteRequest records, newest first
+ */
+export async function getQuoteReportRows(shop, filters, limit) {
+  return db.quoteRequest.findMany({
+    where: buildQuoteWhere(shop, filters),
+    select: {
+      createdAt: true,
+      status: true,
+      shippingCountry: true,
+      shippingCountryCode: true,
+      lineItems: true,
+      invoiceSentAt: true,
+      completedAt: true,
+    },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Walks through every quote matching the list filters in batches, oldest
+ * first, so an export does not load the whole table at once
+ * @param {string} shop - The shop domain
+ * @param {Object} filters - The list filters, as for buildQuoteWhere
+ * @param {number} [batchSize] - The number of records loaded per query
+ * @yields {Object} - QuoteRequest records
+ */
+export async function* iterateQuoteRequests(shop, filters, batchSize = 500) {
+  const where = buildQuoteWhere(shop, filters);
+  let cursor;
+
+  for (;;) {
+    const batch = await db.quoteRequest.findMany({
+      where,
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+      take: batchSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    yield* batch;
+
+    if (batch.length < batchSize) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Lists the distinct destination countries a shop has received quotes for
+ * @param {string} shop - The shop domain
+ * @returns {Promise<string[]>} - The destination countries, sorted
+ */
+export async function getQuoteCountries(shop) {
+  const rows = await db.quoteRequest.findMany({
+    where: { shop, shippingCountry: { not: null } },
+    distinct: ["shippingCountry"],
+    select: { shippingCountry: true },
+    orderBy: { shippingCountry: "asc" },
+  });
+
+  return rows.map((row) => row.shippingCountry);
+}
+
+/**
+ * Counts a shop's quote requests in each status
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - Counts keyed by status; statuses without quotes are 0
+ */
+export async function getQuoteStatusCounts(shop) {
+  const groups = await db.quoteRequest.groupBy({
+    by: ["status"],
+    where: { shop },
+    _count: { _all: true },
+  });
+
+  return Object.fromEntries(
+    Object.values(QUOTE_STATUS).map((status) => [
+      status,
+      groups.find((group) => group.status === status)?._count._all ?? 0,
+    ]),
+  );
+}
+
+/**
+ * Loads one quote request of a shop with its event timeline
+ * @param {string} shop - The shop domain
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object|null>} - The QuoteRequest record, or null if not found
+ */
+export async function getQuoteRequest(shop, id) {
+  return db.quoteRequest.findFirst({
+    where: { id, shop },
+    include: { events: { orderBy: { createdAt: "asc" } } },
+  });
+}
+
+/**
+ * Loads a quote request by the token in its customer status page URL
+ * @param {string} shop - The shop domain
+ * @param {string} accessToken - The quote's access token
+ * @returns {Promise<Object|null>} - The QuoteRequest record, or null if not found
+ */
+export async function getQuoteRequestByAccessToken(shop, accessToken) {
+  return db.quoteRequest.findFirst({ where: { accessToken, shop } });
+}
+
+/**
+ * Finds a shop's quote requests by ID, email or customer name
+ * @param {string} shop - The shop domain
+ * @param {string} query - The search term
+ * @returns {Promise<Object[]>} - Matching QuoteRequest records, newest first
+ */
+export async function searchQuoteRequests(shop, query) {
+  const term = query.trim();
+  if (!term) return [];
+
+  return db.quoteRequest.findMany({
+    where: {
+      shop,
+      OR: [
+        { id: term },
+        { email: { contains: term } },
+        { fullName: { contains: term } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+    take: QUOTE_PAGE_SIZE,
+  });
+}
+
+/**
+ * Counts a shop's quote requests since a point in time, for rate limiting
+ * @param {Object} filters
+ * @param {string} filters.shop - The shop domain
+ * @param {string} [filters.email] - Only count requests from this email
+ * @param {string} [filters.ip] - Only count requests from this client IP
+ * @param {Date} filters.since - The start of the window
+ * @returns {Promise<number>} - The number of matching requests
+ */
+export async function countRecentQuoteRequests({ shop, email, ip, since }) {
+  return db.quoteRequest.count({
+    where: {
+      shop,
+      ...(email ? { email: normalizeEmail(email) } : {}),
+      ...(ip ? { clientIp: ip } : {}),
+      createdAt: { gte: since },
+    },
+  });
+}
+
+/**
+ * Builds the Prisma where clause matching a customer's quote requests
+ * @param {string} shop - The shop domain
+ * @param {Object} customer
+ * @param {string} [customer.customerId] - The customer's global ID
+ * @param {string} [customer.email] - The customer's email
+ * @param {string[]} [customer.orderIds] - Global IDs of the customer's orders
+ * @returns {Object|null} - The where clause, or null when nothing identifies the customer
+ */
+function customerQuoteWhere(shop, { customerId, email, orderIds = [] }) {
+  const OR = [];
+  if (customerId) OR.push({ customerId });
+  if (email) OR.push({ email: normalizeEmail(email) });
+  if (orderIds.length) OR.push({ orderId: { in: orderIds } });
+
+  return OR.length ? { shop, OR } : null;
+}
+
+/**
+ * Finds every quote request belonging to a customer, with their timelines
+ * @param {string} shop - The shop domain
+ * @param {Object} customer - { customerId, email, orderIds }
+ * @returns {Promise<Object[]>} - QuoteRequest records, oldest first
+ */
+export async function findCustomerQuoteRequests(shop, customer) {
+  const where = customerQuoteWhere(shop, customer);
+  if (!where) return [];
+
+  return db.quoteRequest.findMany({
+    where,
+    include: { events: { orderBy: { createdAt: "asc" } } },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Deletes every quote request belonging to a customer. Their events are
+ * removed with them.
+ * @param {string} shop - The shop domain
+ * @param {Object} customer - { customerId, email, orderIds }
+ * @returns {Promise<number>} - The number of deleted quote requests
+ */
+export async function deleteCustomerQuoteRequests(shop, customer) {
+  const where = customerQuoteWhere(shop, customer);
+  if (!where) return 0;
+
+  const { count } = await db.quoteRequest.deleteMany({ where });
+  return count;
+}
+
+/**
+ * Cancels a shop's quote requests that are still waiting for a draft order,
+ * e.g. once the app is uninstalled and its admin API can no longer be called,
+ * so the retry job stops picking them up
+ * @param {string} shop - The shop domain
+ * @returns {Promise<number>} - The number of cancelled quote requests
+ */
+export async function cancelUndraftedQuoteRequests(shop) {
+  const pending = await db.quoteRequest.findMany({
+    where: {
+      shop,
+      draftOrderId: null,
+      status: {
+        in: [
+          QUOTE_STATUS.QUARANTINED,
+          QUOTE_STATUS.RECEIVED,
+          QUOTE_STATUS.FAILED,
+        ],
+      },
+    },
+    select: { id: true },
+  });
+
+  let cancelled = 0;
+  for (const { id } of pending) {
+    try {
+      await transitionQuote(id, QUOTE_STATUS.CANCELLED, {
+        data: { nextAttemptAt: null },
+        events: [
+          {
+            type: QUOTE_EVENT.APP_UNINSTALLED,
+            message: "The app was uninstalled before a draft order was created",
+          },
+        ],
+        source: TRANSITION_SOURCE.WEBHOOK,
+      });
+      cancelled += 1;
+    } catch (error) {
+      // A submission finished in the meantime; leave that quote as it is
+      if (!(error instanceof IllegalTransitionError)) throw error;
+    }
+  }
+  return cancelled;
+}
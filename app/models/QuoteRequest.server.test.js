@@ -0,0 +1,92 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  getQuoteRequestsDueForRetry,
+  IllegalTransitionError,
+  QUOTE_EVENT,
+  QUOTE_STATUS,
+  transitionQuote,
+} from "./QuoteRequest.server";
+
+const { quoteRequest } = vi.hoisted(() => ({
+  quoteRequest: {
+    findMany: vi.fn(async () => []),
+    findUniqueOrThrow: vi.fn(),
+    findUnique: vi.fn(),
+    update: vi.fn(),
+  },
+}));
+
+vi.mock("../db.server", () => ({ default: { quoteRequest } }));
+
+describe("transitionQuote", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("moves the quote only if its status is unchanged, recording the move", async () => {
+    quoteRequest.findUniqueOrThrow.mockResolvedValue({
+      status: QUOTE_STATUS.DRAFT_CREATED,
+    });
+    quoteRequest.update.mockImplementation(async ({ data }) => data);
+
+    await transitionQuote("quote-1", QUOTE_STATUS.PRICED, {
+      data: { pricedAt: new Date() },
+    });
+
+    const [{ where, data }] = quoteRequest.update.mock.calls[0];
+    expect(where).toEqual({
+      id: "quote-1",
+      status: QUOTE_STATUS.DRAFT_CREATED,
+    });
+    expect(data.status).toBe(QUOTE_STATUS.PRICED);
+    expect(data.events.create).toEqual([
+      expect.objectContaining({ type: QUOTE_EVENT.STATUS_CHANGED }),
+    ]);
+  });
+
+  it("refuses moves the current status does not allow", async () => {
+    quoteRequest.findUniqueOrThrow.mockResolvedValue({
+      status: QUOTE_STATUS.CANCELLED,
+    });
+
+    const transition = transitionQuote("quote-1", QUOTE_STATUS.PRICED);
+
+    await expect(transition).rejects.toBeInstanceOf(IllegalTransitionError);
+    await expect(transition).rejects.toMatchObject({
+      from: QUOTE_STATUS.CANCELLED,
+      to: QUOTE_STATUS.PRICED,
+    });
+    expect(quoteRequest.update).not.toHaveBeenCalled();
+  });
+
+  it("reports the new status when another transition got there first", async () => {
+    quoteRequest.findUniqueOrThrow.mockResolvedValue({
+      status: QUOTE_STATUS.DRAFT_CREATED,
+    });
+    quoteRequest.update.mockRejectedValue(
+      Object.assign(new Error("Record not found"), { code: "P2025" }),
+    );
+    quoteRequest.findUnique.mockResolvedValue({
+      status: QUOTE_STATUS.CANCELLED,
+    });
+
+    await expect(
+      transitionQuote("quote-1", QUOTE_STATUS.PRICED),
+    ).rejects.toMatchObject({ from: QUOTE_STATUS.CANCELLED });
+  });
+});
+
+describe("getQuoteRequestsDueForRetry", () => {
+  it("sweeps received quotes by their last change, not their creation", async () => {
+    await getQuoteRequestsDueForRetry(10);
+
+    const [{ where }] = quoteRequest.findMany.mock.calls[0];
+    const received = where.OR.find(
+      (branch) => branch.status === QUOTE_STATUS.RECEIVED,
+    );
+    expect(received.updatedAt.lt.getTime()).toBeLessThanOrEqual(
+      Date.now() - 5 * 60 * 1000,
+    );
+    expect(received).not.toHaveProperty("createdAt");
+  });
+});
@@ -0,0 +1,113 @@
+import db from "../db.server";
+import { REJECTION_REASON } from "./rejectionReason";
+import { normalizeEmail } from "./QuoteRequest.server";
+
+export { REJECTION_REASON };
+
+// Rejections only show recent abuse, so they are not kept for long
+const REJECTION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Rejections are counted in memory and written by a job, one row per reason
+// and sender, so a flood of bad requests cannot grow the database. Once this
+// many senders are pending, further ones are only counted per reason and shop.
+const MAX_PENDING_REJECTIONS = 500;
+
+const pendingRejections = new Map();
+
+/**
+ * Counts a rejected storefront request so abuse attempts stay visible. The
+ * count is stored by flushRejections.
+ * @param {Object} rejection
+ * @param {string} rejection.reason - One of REJECTION_REASON
+ * @param {string} [rejection.shop] - The shop the request came from; only set once the signature is verified
+ * @param {string} [rejection.email] - The customer email, if the body was read
+ * @param {string} [rejection.ip] - The client IP forwarded by the proxy
+ * @param {string} [rejection.detail] - Extra context for staff, kept from the first request counted
+ */
+export function recordRejection({ reason, shop, email, ip, detail }) {
+  const sender = {
+    reason,
+    shop: shop ?? null,
+    email: normalizeEmail(email),
+    ip: ip ?? null,
+  };
+  let key = JSON.stringify(Object.values(sender));
+  if (
+    !pendingRejections.has(key) &&
+    pendingRejections.size >= MAX_PENDING_REJECTIONS
+  ) {
+    Object.assign(sender, { email: null, ip: null });
+    detail = "Too many senders to list separately";
+    key = JSON.stringify(Object.values(sender));
+  }
+
+  const pending = pendingRejections.get(key);
+  if (pending) {
+    pending.count += 1;
+  } else {
+    pendingRejections.set(key, {
+      ...sender,
+      detail: detail ?? null,
+      count: 1,
+      createdAt: new Date(),
+    });
+  }
+}
+
+/**
+ * Stores the rejections counted since the last flush
+ * @returns {Promise<number>} - The number of created records
+ */
+export async function flushRejections() {
+  if (pendingRejections.size === 0) return 0;
+
+  const data = [...pendingRejections.values()];
+  pendingRejections.clear();
+  const { count } = await db.requestRejection.createMany({ data });
+  return count;
+}
+
+/**
+ * Lists a shop's most recent rejected requests
+ * @param {string} shop - The shop domain
+ * @param {number} [limit] - The maximum number of records to return
+ * @returns {Promise<Object[]>} - RequestRejection records, newest first
+ */
+export async function getRecentRejections(shop, limit = 100) {
+  return db.requestRejection.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Deletes rejected requests older than the retention period
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function purgeOldRejections() {
+  const { count } = await db.requestRejection.deleteMany({
+    where: { createdAt: { lt: new Date(Date.now() - REJECTION_RETENTION_MS) } },
+  });
+  return count;
+}
+
+/**
+ * Deletes a shop's rejected requests for one email, for customer redaction
+ * @param {string} shop - The shop domain
+ * @param {string} email - The customer email
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function deleteRejectionsByEmail(shop, email) {
+  const normalized = normalizeEmail(email);
+  for (const [key, pending] of pendingRejections) {
+    if (pending.shop === shop && pending.email === normalized) {
+      pendingRejections.delete(key);
+    }
+  }
+
+  const { count } = await db.requestRejection.deleteMany({
+    where: { shop, email: normalized },
+  });
+  return count;
+}
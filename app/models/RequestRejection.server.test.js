@@ -0,0 +1,84 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  REJECTION_REASON,
+  deleteRejectionsByEmail,
+  flushRejections,
+  recordRejection,
+} from "./RequestRejection.server";
+
+const { created } = vi.hoisted(() => ({ created: [] }));
+
+vi.mock("../db.server", () => ({
+  default: {
+    requestRejection: {
+      createMany: async ({ data }) => {
+        created.push(...data);
+        return { count: data.length };
+      },
+      deleteMany: async () => ({ count: 0 }),
+    },
+  },
+}));
+
+describe("recordRejection", () => {
+  beforeEach(async () => {
+    await flushRejections();
+    created.length = 0;
+  });
+
+  it("writes one row per reason and sender with a count", async () => {
+    for (let i = 0; i < 3; i++) {
+      recordRejection({
+        reason: REJECTION_REASON.INVALID_SIGNATURE,
+        ip: "203.0.113.7",
+        detail: `attempt ${i}`,
+      });
+    }
+    recordRejection({
+      reason: REJECTION_REASON.INVALID_SIGNATURE,
+      ip: "203.0.113.8",
+    });
+
+    expect(await flushRejections()).toBe(2);
+    expect(created).toEqual([
+      expect.objectContaining({
+        ip: "203.0.113.7",
+        shop: null,
+        count: 3,
+        detail: "attempt 0",
+      }),
+      expect.objectContaining({ ip: "203.0.113.8", count: 1 }),
+    ]);
+    expect(await flushRejections()).toBe(0);
+  });
+
+  it("stops listing senders separately past the limit", async () => {
+    for (let i = 0; i < 2000; i++) {
+      recordRejection({
+        reason: REJECTION_REASON.STALE_TIMESTAMP,
+        ip: `198.51.${i >> 8}.${i & 255}`,
+      });
+    }
+
+    expect(await flushRejections()).toBe(501);
+    expect(created.at(-1)).toMatchObject({ ip: null, count: 1500 });
+  });
+
+  it("drops pending rejections for a redacted email", async () => {
+    recordRejection({
+      reason: REJECTION_REASON.BLOCKED,
+      shop: "a.myshopify.com",
+      email: "Customer@Example.com",
+    });
+    recordRejection({
+      reason: REJECTION_REASON.BLOCKED,
+      shop: "b.myshopify.com",
+      email: "customer@example.com",
+    });
+
+    await deleteRejectionsByEmail("a.myshopify.com", "customer@example.com");
+
+    expect(await flushRejections()).toBe(1);
+    expect(created[0].shop).toBe("b.myshopify.com");
+  });
+});
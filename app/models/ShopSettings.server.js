@@ -0,0 +1,180 @@
+import db from "../db.server";
+import { fromJson } from "./QuoteRequest.server";
+import { isCountryCode } from "../lib/countries.server";
+import { unknownPlaceholders } from "../lib/templates.server";
+import { isValidEmail } from "../lib/validation.server";
+
+// Storefront fields a shop may choose to require, on top of the email, name
+// and street address every quote needs
+export const OPTIONAL_REQUIRED_FIELDS = {
+  phone: "Phone",
+  shipping_company: "Company",
+  shipping_address2: "Apartment, suite, etc.",
+  shipping_province: "State / province",
+  shipping_zip: "Postal code",
+};
+
+// What happens to a quote's draft order when the quote expires
+export const EXPIRED_DRAFT_ACTIONS = {
+  tag: "Tag it Quote-Expired",
+  delete: "Delete it",
+};
+
+export const DEFAULT_SHOP_SETTINGS = {
+  extraTags: [],
+  noteTemplate: "{{note}}",
+  allowedCountries: [],
+  requiredFields: ["shipping_zip"],
+  autoInvoice: false,
+  invoiceSubject: "Your international shipping quote",
+  invoiceMessage:
+    "Hi {{full_name}},\n\nThanks for your quote request. Your invoice below includes shipping to {{country}}.",
+  notificationEmails: [],
+  quoteValidityDays: 0,
+  reminderDaysBefore: 3,
+  expiredDraftAction: "tag",
+  rejectMissingProducts: false,
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+const MAX_TEMPLATE_LENGTH = 5000;
+const MAX_SUBJECT_LENGTH = 255;
+const MAX_NOTIFICATION_EMAILS = 10;
+const MAX_VALIDITY_DAYS = 365;
+
+/**
+ * Loads a shop's quote settings, filling in defaults for anything unset
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object>} - The settings with JSON columns parsed
+ */
+export async function getShopSettings(shop) {
+  const record = await db.shopSettings.findUnique({ where: { shop } });
+  if (!record) return { ...DEFAULT_SHOP_SETTINGS };
+
+  return {
+    extraTags: fromJson(record.extraTags) ?? DEFAULT_SHOP_SETTINGS.extraTags,
+    noteTemplate: record.noteTemplate ?? DEFAULT_SHOP_SETTINGS.noteTemplate,
+    allowedCountries:
+      fromJson(record.allowedCountries) ??
+      DEFAULT_SHOP_SETTINGS.allowedCountries,
+    requiredFields:
+      fromJson(record.requiredFields) ?? DEFAULT_SHOP_SETTINGS.requiredFields,
+    autoInvoice: record.autoInvoice,
+    invoiceSubject:
+      record.invoiceSubject ?? DEFAULT_SHOP_SETTINGS.invoiceSubject,
+    invoiceMessage:
+      record.invoiceMessage ?? DEFAULT_SHOP_SETTINGS.invoiceMessage,
+    notificationEmails:
+      fromJson(record.notificationEmails) ??
+      DEFAULT_SHOP_SETTINGS.notificationEmails,
+    quoteValidityDays: record.quoteValidityDays,
+    reminderDaysBefore: record.reminderDaysBefore,
+    expiredDraftAction:
+      record.expiredDraftAction ?? DEFAULT_SHOP_SETTINGS.expiredDraftAction,
+    rejectMissingProducts: record.rejectMissingProducts,
+  };
+}
+
+/**
+ * Checks settings submitted from the admin before they are saved
+ * @param {Object} settings - The submitted settings
+ * @returns {Object} - Error messages keyed by setting name; empty when valid
+ */
+export function validateShopSettings(settings) {
+  const errors = {};
+
+  if (settings.extraTags.length > MAX_TAGS) {
+    errors.extraTags = `Add at most ${MAX_TAGS} tags`;
+  } else if (settings.extraTags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    errors.extraTags = `Tags must be ${MAX_TAG_LENGTH} characters or fewer`;
+  }
+
+  const templates = {
+    noteTemplate: MAX_TEMPLATE_LENGTH,
+    invoiceSubject: MAX_SUBJECT_LENGTH,
+    invoiceMessage: MAX_TEMPLATE_LENGTH,
+  };
+  for (const [key, maxLength] of Object.entries(templates)) {
+    const unknown = unknownPlaceholders(settings[key]);
+    if (settings[key].length > maxLength) {
+      errors[key] = `Must be ${maxLength} characters or fewer`;
+    } else if (unknown.length) {
+      errors[key] = `Unknown placeholder: {{${unknown[0]}}}`;
+    }
+  }
+
+  if (!settings.invoiceSubject.trim()) {
+    errors.invoiceSubject = "Enter a subject";
+  }
+
+  if (!settings.allowedCountries.every(isCountryCode)) {
+    errors.allowedCountries = "Choose countries from the list";
+  }
+
+  if (
+    !settings.requiredFields.every((field) => field in OPTIONAL_REQUIRED_FIELDS)
+  ) {
+    errors.requiredFields = "Choose fields from the list";
+  }
+
+  if (settings.notificationEmails.length > MAX_NOTIFICATION_EMAILS) {
+    errors.notificationEmails = `Add at most ${MAX_NOTIFICATION_EMAILS} addresses`;
+  } else {
+    const invalid = settings.notificationEmails.find(
+      (email) => !isValidEmail(email),
+    );
+    if (invalid) errors.notificationEmails = `${invalid} is not a valid email`;
+  }
+
+  const { quoteValidityDays, reminderDaysBefore } = settings;
+  if (
+    !Number.isInteger(quoteValidityDays) ||
+    quoteValidityDays < 0 ||
+    quoteValidityDays > MAX_VALIDITY_DAYS
+  ) {
+    errors.quoteValidityDays = `Enter a whole number of days up to ${MAX_VALIDITY_DAYS}`;
+  }
+
+  if (!Number.isInteger(reminderDaysBefore) || reminderDaysBefore < 0) {
+    errors.reminderDaysBefore = "Enter a whole number of days";
+  } else if (quoteValidityDays > 0 && reminderDaysBefore >= quoteValidityDays) {
+    errors.reminderDaysBefore =
+      "The reminder must be sent before the quote expires";
+  }
+
+  if (!(settings.expiredDraftAction in EXPIRED_DRAFT_ACTIONS)) {
+    errors.expiredDraftAction = "Choose an action from the list";
+  }
+
+  return errors;
+}
+
+/**
+ * Creates or replaces a shop's quote settings
+ * @param {string} shop - The shop domain
+ * @param {Object} settings - Validated settings
+ * @returns {Promise<Object>} - The saved ShopSettings record
+ */
+export async function saveShopSettings(shop, settings) {
+  const data = {
+    extraTags: JSON.stringify(settings.extraTags),
+    noteTemplate: settings.noteTemplate,
+    allowedCountries: JSON.stringify(settings.allowedCountries),
+    requiredFields: JSON.stringify(settings.requiredFields),
+    autoInvoice: settings.autoInvoice,
+    invoiceSubject: settings.invoiceSubject,
+    invoiceMessage: settings.invoiceMessage,
+    notificationEmails: JSON.stringify(settings.notificationEmails),
+    quoteValidityDays: settings.quoteValidityDays,
+    reminderDaysBefore: settings.reminderDaysBefore,
+    expiredDraftAction: settings.expiredDraftAction,
+    rejectMissingProducts: settings.rejectMissingProducts,
+  };
+
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
@@ -0,0 +1,207 @@
+import db from "../db.server";
+import { DELIVERY_STATUS } from "./webhookEvents";
+
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// How long a claimed delivery is reserved for the sender before another
+// worker may pick it up, e.g. after a crash mid-request
+const DELIVERY_LOCK_MS = 60 * 1000;
+
+// Finished deliveries are only kept for troubleshooting and redelivery, as
+// their payloads carry customer details
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Queues one delivery of an event per subscription
+ * @param {Object[]} subscriptions - The WebhookSubscription records to deliver to
+ * @param {Object} delivery
+ * @param {string} delivery.shop - The shop domain
+ * @param {string} delivery.event - One of QUOTE_WEBHOOK_EVENT
+ * @param {string} [delivery.quoteRequestId] - The quote the event is about
+ * @param {Object} delivery.payload - The JSON payload to send
+ * @returns {Promise<number>} - The number of queued deliveries
+ */
+export async function queueWebhookDeliveries(
+  subscriptions,
+  { shop, event, quoteRequestId, payload },
+) {
+  if (!subscriptions.length) return 0;
+
+  const { count } = await db.webhookDelivery.createMany({
+    data: subscriptions.map((subscription) => ({
+      subscriptionId: subscription.id,
+      shop,
+      event,
+      quoteRequestId,
+      payload: JSON.stringify(payload),
+    })),
+  });
+  return count;
+}
+
+/**
+ * Lists pending deliveries whose next attempt is due, for active endpoints
+ * @param {number} limit - The maximum number of records to return
+ * @returns {Promise<Object[]>} - WebhookDelivery records with their subscription, oldest first
+ */
+export async function getDueWebhookDeliveries(limit) {
+  const now = new Date();
+
+  return db.webhookDelivery.findMany({
+    where: {
+      status: DELIVERY_STATUS.PENDING,
+      nextAttemptAt: { lte: now },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+      subscription: { active: true },
+    },
+    include: { subscription: true },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+}
+
+/**
+ * Takes the lock on a due delivery so only one worker sends it
+ * @param {string} id - The WebhookDelivery ID
+ * @returns {Promise<boolean>} - False if another worker claimed it first
+ */
+export async function claimWebhookDelivery(id) {
+  const now = new Date();
+
+  const { count } = await db.webhookDelivery.updateMany({
+    where: {
+      id,
+      status: DELIVERY_STATUS.PENDING,
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: {
+      attempts: { increment: 1 },
+      lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS),
+    },
+  });
+  return count === 1;
+}
+
+/**
+ * Marks a delivery as accepted by the endpoint
+ * @param {string} id - The WebhookDelivery ID
+ * @param {number} responseStatus - The endpoint's HTTP status
+ * @returns {Promise<Object>} - The updated WebhookDelivery record
+ */
+export async function recordWebhookDelivered(id, responseStatus) {
+  return db.webhookDelivery.update({
+    where: { id },
+    data: {
+      status: DELIVERY_STATUS.DELIVERED,
+      responseStatus,
+      error: null,
+      deliveredAt: new Date(),
+      lockedUntil: null,
+    },
+  });
+}
+
+/**
+ * Stores a failed attempt and schedules the next retry with exponential
+ * backoff, or gives up after MAX_DELIVERY_ATTEMPTS
+ * @param {string} id - The WebhookDelivery ID
+ * @param {Object} failure
+ * @param {string} failure.error - What went wrong
+ * @param {number} [failure.responseStatus] - The endpoint's HTTP status, if it answered
+ * @returns {Promise<Object>} - The updated WebhookDelivery record
+ */
+export async function recordWebhookFailed(id, { error, responseStatus }) {
+  const { attempts } = await db.webhookDelivery.findUniqueOrThrow({
+    where: { id },
+    select: { attempts: true },
+  });
+
+  const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+
+  return db.webhookDelivery.update({
+    where: { id },
+    data: {
+      status: exhausted ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING,
+      responseStatus: responseStatus ?? null,
+      error,
+      lockedUntil: null,
+      ...(exhausted
+        ? {}
+        : {
+            nextAttemptAt: new Date(
+              Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1),
+            ),
+          }),
+    },
+  });
+}
+
+/**
+ * Queues a delivery again at staff request, with a fresh set of attempts
+ * @param {string} shop - The shop domain
+ * @param {string} id - The WebhookDelivery ID
+ * @returns {Promise<number>} - The number of updated records
+ */
+export async function requeueWebhookDelivery(shop, id) {
+  const { count } = await db.webhookDelivery.updateMany({
+    where: { id, shop },
+    data: {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lockedUntil: null,
+    },
+  });
+  return count;
+}
+
+/**
+ * Lists a shop's most recent deliveries, for the delivery log
+ * @param {string} shop - The shop domain
+ * @param {number} [limit] - The maximum number of records to return
+ * @returns {Promise<Object[]>} - WebhookDelivery records with their endpoint URL, newest first
+ */
+export async function getRecentWebhookDeliveries(shop, limit = 50) {
+  return db.webhookDelivery.findMany({
+    where: { shop },
+    include: { subscription: { select: { url: true } } },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+}
+
+/**
+ * Deletes the deliveries queued for some quotes, e.g. when their customer
+ * is redacted, since payloads carry the customer's details
+ * @param {string} shop - The shop domain
+ * @param {string[]} quoteRequestIds - The QuoteRequest IDs
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function deleteQuoteWebhookDeliveries(shop, quoteRequestIds) {
+  if (!quoteRequestIds.length) return 0;
+
+  const { count } = await db.webhookDelivery.deleteMany({
+    where: { shop, quoteRequestId: { in: quoteRequestIds } },
+  });
+  return count;
+}
+
+/**
+ * Deletes deliveries that succeeded or gave up longer ago than the retention
+ * period. Redelivering a failed delivery starts its period again.
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function purgeFinishedWebhookDeliveries() {
+  const cutoff = new Date(Date.now() - DELIVERY_RETENTION_MS);
+
+  const { count } = await db.webhookDelivery.deleteMany({
+    where: {
+      OR: [
+        { status: DELIVERY_STATUS.DELIVERED, deliveredAt: { lt: cutoff } },
+        { status: DELIVERY_STATUS.FAILED, updatedAt: { lt: cutoff } },
+      ],
+    },
+  });
+  return count;
+}
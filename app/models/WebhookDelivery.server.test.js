@@ -0,0 +1,26 @@
+import { describe, expect, it, vi } from "vitest";
+import { purgeFinishedWebhookDeliveries } from "./WebhookDelivery.server";
+import { DELIVERY_STATUS } from "./webhookEvents";
+
+const { deleteMany } = vi.hoisted(() => ({
+  deleteMany: vi.fn(async () => ({ count: 3 })),
+}));
+
+vi.mock("../db.server", () => ({
+  default: { webhookDelivery: { deleteMany } },
+}));
+
+describe("purgeFinishedWebhookDeliveries", () => {
+  it("purges failed deliveries alongside delivered ones", async () => {
+    expect(await purgeFinishedWebhookDeliveries()).toBe(3);
+
+    const [{ where }] = deleteMany.mock.calls[0];
+    expect(where.OR.map((branch) => branch.status)).toEqual([
+      DELIVERY_STATUS.DELIVERED,
+      DELIVERY_STATUS.FAILED,
+    ]);
+    expect(where.OR[1].updatedAt.lt.getTime()).toBeLessThanOrEqual(
+      Date.now() - 30 * 24 * 60 * 60 * 1000,
+    );
+  });
+});
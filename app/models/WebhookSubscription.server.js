@@ -0,0 +1,141 @@
+import { randomBytes } from "node:crypto";
+import db from "../db.server";
+import { fromJson } from "./QuoteRequest.server";
+import { QUOTE_WEBHOOK_EVENT } from "./webhookEvents";
+import { checkPublicEndpoint } from "../lib/endpointAddress.server";
+
+const MAX_SUBSCRIPTIONS = 5;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Parses the events column of a subscription record
+ * @param {Object} subscription - The WebhookSubscription record
+ * @returns {Object} - The subscription with events as an array
+ */
+function withEvents(subscription) {
+  return { ...subscription, events: fromJson(subscription.events) ?? [] };
+}
+
+/**
+ * Checks an endpoint submitted from the admin before it is saved. Endpoints
+ * must use HTTPS outside development, since payloads carry customer details,
+ * and must be on the public internet.
+ * @param {Object} subscription
+ * @param {string} subscription.url - The endpoint URL
+ * @param {string[]} subscription.events - The events to send
+ * @param {number} existingCount - How many endpoints the shop already has
+ * @returns {Promise<Object>} - Error messages keyed by field; empty when valid
+ */
+export async function validateWebhookSubscription(
+  { url, events },
+  existingCount,
+) {
+  const errors = {};
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+
+  const allowHttp = process.env.NODE_ENV !== "production";
+  if (!parsed || url.length > MAX_URL_LENGTH) {
+    errors.url = "Enter a valid URL";
+  } else if (
+    parsed.protocol !== "https:" &&
+    !(allowHttp && parsed.protocol === "http:")
+  ) {
+    errors.url = "The URL must start with https://";
+  } else {
+    const hostError = await checkPublicEndpoint(url);
+    if (hostError) errors.url = hostError;
+  }
+
+  const knownEvents = Object.values(QUOTE_WEBHOOK_EVENT);
+  if (!events.length) {
+    errors.events = "Choose at least one event";
+  } else if (!events.every((event) => knownEvents.includes(event))) {
+    errors.events = "Choose events from the list";
+  }
+
+  if (existingCount >= MAX_SUBSCRIPTIONS) {
+    errors.url = `A shop can have at most ${MAX_SUBSCRIPTIONS} endpoints`;
+  }
+
+  return errors;
+}
+
+/**
+ * Lists a shop's webhook subscriptions
+ * @param {string} shop - The shop domain
+ * @returns {Promise<Object[]>} - WebhookSubscription records, oldest first
+ */
+export async function getWebhookSubscriptions(shop) {
+  const subscriptions = await db.webhookSubscription.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+  return subscriptions.map(withEvents);
+}
+
+/**
+ * Lists the active subscriptions of a shop that want an event
+ * @param {string} shop - The shop domain
+ * @param {string} event - One of QUOTE_WEBHOOK_EVENT
+ * @returns {Promise<Object[]>} - WebhookSubscription records
+ */
+export async function getSubscriptionsForEvent(shop, event) {
+  const subscriptions = await db.webhookSubscription.findMany({
+    where: { shop, active: true },
+  });
+  return subscriptions
+    .map(withEvents)
+    .filter((subscription) => subscription.events.includes(event));
+}
+
+/**
+ * Adds a webhook endpoint with a new signing secret
+ * @param {string} shop - The shop domain
+ * @param {Object} subscription - Validated { url, events }
+ * @returns {Promise<Object>} - The created WebhookSubscription record
+ */
+export async function createWebhookSubscription(shop, { url, events }) {
+  const subscription = await db.webhookSubscription.create({
+    data: {
+      shop,
+      url,
+      events: JSON.stringify(events),
+      secret: randomBytes(32).toString("hex"),
+    },
+  });
+  return withEvents(subscription);
+}
+
+/**
+ * Pauses or resumes deliveries to a webhook endpoint
+ * @param {string} shop - The shop domain
+ * @param {string} id - The WebhookSubscription ID
+ * @param {boolean} active - Whether new events should be sent
+ * @returns {Promise<number>} - The number of updated records
+ */
+export async function setWebhookSubscriptionActive(shop, id, active) {
+  const { count } = await db.webhookSubscription.updateMany({
+    where: { id, shop },
+    data: { active },
+  });
+  return count;
+}
+
+/**
+ * Removes a webhook endpoint together with its delivery log
+ * @param {string} shop - The shop domain
+ * @param {string} id - The WebhookSubscription ID
+ * @returns {Promise<number>} - The number of deleted records
+ */
+export async function deleteWebhookSubscription(shop, id) {
+  const { count } = await db.webhookSubscription.deleteMany({
+    where: { id, shop },
+  });
+  return count;
+}
@@ -0,0 +1,12 @@
+// What a blocklist entry matches against
+export const BLOCKED_SENDER_TYPE = {
+  EMAIL: "email",
+  DOMAIN: "domain",
+  IP: "ip",
+};
+
+export const BLOCKED_SENDER_TYPE_LABELS = {
+  [BLOCKED_SENDER_TYPE.EMAIL]: "Email address",
+  [BLOCKED_SENDER_TYPE.DOMAIN]: "Email domain",
+  [BLOCKED_SENDER_TYPE.IP]: "IP address",
+};
@@ -0,0 +1,100 @@
+export const QUOTE_STATUS = {
+  QUARANTINED: "quarantined",
+  RECEIVED: "received",
+  DRAFT_CREATED: "draft_created",
+  PRICED: "priced",
+  INVOICE_SENT: "invoice_sent",
+  COMPLETED: "completed",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+  REJECTED: "rejected",
+  FAILED: "failed",
+};
+
+export const INVOICE_STATUS = {
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+export const QUOTE_STATUS_LABELS = {
+  [QUOTE_STATUS.QUARANTINED]: "Quarantined",
+  [QUOTE_STATUS.RECEIVED]: "Received",
+  [QUOTE_STATUS.DRAFT_CREATED]: "Draft created",
+  [QUOTE_STATUS.PRICED]: "Priced",
+  [QUOTE_STATUS.INVOICE_SENT]: "Invoice sent",
+  [QUOTE_STATUS.COMPLETED]: "Completed",
+  [QUOTE_STATUS.EXPIRED]: "Expired",
+  [QUOTE_STATUS.CANCELLED]: "Cancelled",
+  [QUOTE_STATUS.REJECTED]: "Rejected",
+  [QUOTE_STATUS.FAILED]: "Failed",
+};
+
+export const QUOTE_STATUS_TONES = {
+  [QUOTE_STATUS.QUARANTINED]: "attention",
+  [QUOTE_STATUS.RECEIVED]: "info",
+  [QUOTE_STATUS.DRAFT_CREATED]: "info",
+  [QUOTE_STATUS.PRICED]: "attention",
+  [QUOTE_STATUS.INVOICE_SENT]: "warning",
+  [QUOTE_STATUS.COMPLETED]: "success",
+  [QUOTE_STATUS.EXPIRED]: "read-only",
+  [QUOTE_STATUS.CANCELLED]: "read-only",
+  [QUOTE_STATUS.REJECTED]: "read-only",
+  [QUOTE_STATUS.FAILED]: "critical",
+};
+
+// The statuses a quote may move to from each status. Completed, expired,
+// cancelled and rejected quotes are final. Pricing and invoices can be
+// redone until the customer pays, so those statuses may repeat. Quarantined
+// quotes wait for staff to approve or reject them.
+export const QUOTE_TRANSITIONS = {
+  [QUOTE_STATUS.QUARANTINED]: [
+    QUOTE_STATUS.RECEIVED,
+    QUOTE_STATUS.REJECTED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.RECEIVED]: [
+    QUOTE_STATUS.DRAFT_CREATED,
+    QUOTE_STATUS.FAILED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.FAILED]: [
+    QUOTE_STATUS.DRAFT_CREATED,
+    QUOTE_STATUS.FAILED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.DRAFT_CREATED]: [
+    QUOTE_STATUS.PRICED,
+    QUOTE_STATUS.INVOICE_SENT,
+    QUOTE_STATUS.COMPLETED,
+    QUOTE_STATUS.EXPIRED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.PRICED]: [
+    QUOTE_STATUS.PRICED,
+    QUOTE_STATUS.INVOICE_SENT,
+    QUOTE_STATUS.COMPLETED,
+    QUOTE_STATUS.EXPIRED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.INVOICE_SENT]: [
+    QUOTE_STATUS.PRICED,
+    QUOTE_STATUS.INVOICE_SENT,
+    QUOTE_STATUS.COMPLETED,
+    QUOTE_STATUS.EXPIRED,
+    QUOTE_STATUS.CANCELLED,
+  ],
+  [QUOTE_STATUS.COMPLETED]: [],
+  [QUOTE_STATUS.EXPIRED]: [],
+  [QUOTE_STATUS.CANCELLED]: [],
+  [QUOTE_STATUS.REJECTED]: [],
+};
+
+/**
+ * Checks whether a quote may move from one status to another
+ * @param {string} from - The current status
+ * @param {string} to - The requested status
+ * @returns {boolean} - True when the transition is allowed
+ */
+export function canTransition(from, to) {
+  return QUOTE_TRANSITIONS[from]?.includes(to) ?? false;
+}
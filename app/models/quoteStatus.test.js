@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { canTransition, QUOTE_STATUS, QUOTE_TRANSITIONS } from "./quoteStatus";
+
+describe("canTransition", () => {
+  it.each([
+    [QUOTE_STATUS.QUARANTINED, QUOTE_STATUS.RECEIVED],
+    [QUOTE_STATUS.RECEIVED, QUOTE_STATUS.DRAFT_CREATED],
+    [QUOTE_STATUS.FAILED, QUOTE_STATUS.FAILED],
+    [QUOTE_STATUS.DRAFT_CREATED, QUOTE_STATUS.PRICED],
+    [QUOTE_STATUS.INVOICE_SENT, QUOTE_STATUS.PRICED],
+    [QUOTE_STATUS.INVOICE_SENT, QUOTE_STATUS.COMPLETED],
+  ])("allows %s to %s", (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  it.each([
+    [QUOTE_STATUS.QUARANTINED, QUOTE_STATUS.DRAFT_CREATED],
+    [QUOTE_STATUS.RECEIVED, QUOTE_STATUS.PRICED],
+    [QUOTE_STATUS.DRAFT_CREATED, QUOTE_STATUS.RECEIVED],
+    [QUOTE_STATUS.CANCELLED, QUOTE_STATUS.RECEIVED],
+    ["unknown", QUOTE_STATUS.RECEIVED],
+  ])("refuses %s to %s", (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  it("keeps completed, expired, cancelled and rejected quotes final", () => {
+    const final = [
+      QUOTE_STATUS.COMPLETED,
+      QUOTE_STATUS.EXPIRED,
+      QUOTE_STATUS.CANCELLED,
+      QUOTE_STATUS.REJECTED,
+    ];
+    for (const from of final) {
+      for (const to of Object.values(QUOTE_STATUS)) {
+        expect(canTransition(from, to)).toBe(false);
+      }
+    }
+  });
+
+  it("lists transitions for every status", () => {
+    expect(Object.keys(QUOTE_TRANSITIONS).sort()).toEqual(
+      Object.values(QUOTE_STATUS).sort(),
+    );
+  });
+});
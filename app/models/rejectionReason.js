@@ -0,0 +1,19 @@
+export const REJECTION_REASON = {
+  INVALID_SIGNATURE: "invalid_signature",
+  STALE_TIMESTAMP: "stale_timestamp",
+  REPLAYED: "replayed",
+  RATE_LIMITED_SHOP: "rate_limited_shop",
+  RATE_LIMITED_EMAIL: "rate_limited_email",
+  RATE_LIMITED_IP: "rate_limited_ip",
+  BLOCKED: "blocked",
+};
+
+export const REJECTION_REASON_LABELS = {
+  [REJECTION_REASON.INVALID_SIGNATURE]: "Invalid signature",
+  [REJECTION_REASON.STALE_TIMESTAMP]: "Expired timestamp",
+  [REJECTION_REASON.REPLAYED]: "Replayed request",
+  [REJECTION_REASON.RATE_LIMITED_SHOP]: "Shop rate limit",
+  [REJECTION_REASON.RATE_LIMITED_EMAIL]: "Email rate limit",
+  [REJECTION_REASON.RATE_LIMITED_IP]: "IP address rate limit",
+  [REJECTION_REASON.BLOCKED]: "Blocklist",
+};
@@ -0,0 +1,14 @@
+// Why a storefront submission looked automated and was quarantined
+export const SPAM_SIGNAL = {
+  HONEYPOT: "honeypot",
+  TOO_FAST: "too_fast",
+  NO_START_TIME: "no_start_time",
+  DISPOSABLE_EMAIL: "disposable_email",
+};
+
+export const SPAM_SIGNAL_LABELS = {
+  [SPAM_SIGNAL.HONEYPOT]: "Filled in the hidden honeypot field",
+  [SPAM_SIGNAL.TOO_FAST]: "Submitted faster than a person could type",
+  [SPAM_SIGNAL.NO_START_TIME]: "Did not say when the form was opened",
+  [SPAM_SIGNAL.DISPOSABLE_EMAIL]: "Uses a disposable email address",
+};
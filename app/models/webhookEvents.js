@@ -0,0 +1,31 @@
+export const QUOTE_WEBHOOK_EVENT = {
+  RECEIVED: "quote.received",
+  DRAFT_CREATED: "quote.draft_created",
+  FAILED: "quote.failed",
+  COMPLETED: "quote.completed",
+};
+
+export const QUOTE_WEBHOOK_EVENT_LABELS = {
+  [QUOTE_WEBHOOK_EVENT.RECEIVED]: "Quote received",
+  [QUOTE_WEBHOOK_EVENT.DRAFT_CREATED]: "Draft order created",
+  [QUOTE_WEBHOOK_EVENT.FAILED]: "Draft order failed",
+  [QUOTE_WEBHOOK_EVENT.COMPLETED]: "Quote paid",
+};
+
+export const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+export const DELIVERY_STATUS_LABELS = {
+  [DELIVERY_STATUS.PENDING]: "Pending",
+  [DELIVERY_STATUS.DELIVERED]: "Delivered",
+  [DELIVERY_STATUS.FAILED]: "Failed",
+};
+
+export const DELIVERY_STATUS_TONES = {
+  [DELIVERY_STATUS.PENDING]: "info",
+  [DELIVERY_STATUS.DELIVERED]: "success",
+  [DELIVERY_STATUS.FAILED]: "critical",
+};
@@ -1,16 +1,285 @@
-import { Page, Layout, Text, Card, BlockStack, List } from "@shopify/polaris";
-import { TitleBar } from "@shopify/app-bridge-react";
+import { useState } from "react";
+import {
+  useLoaderData,
+  useNavigation,
+  useSearchParams,
+} from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  ChoiceList,
+  IndexFilters,
+  IndexTable,
+  InlineStack,
+  Link,
+  Page,
+  Text,
+  useSetIndexFiltersMode,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import {
+  getQuoteCountries,
+  getQuoteRequests,
+  getQuoteStatusCounts,
+} from "../models/QuoteRequest.server";
+import { QUOTE_STATUS_LABELS, QUOTE_STATUS_TONES } from "../models/quoteStatus";
+import { downloadFile } from "../utils/download";
+import { draftOrderAdminUrl } from "../utils/shopifyAdmin";
+
+const DEFAULT_SORT = "createdAt desc";
+
+const SORT_OPTIONS = [
+  { label: "Received", value: "createdAt asc", directionLabel: "Oldest" },
+  { label: "Received", value: "createdAt desc", directionLabel: "Newest" },
+  { label: "Customer", value: "fullName asc", directionLabel: "A-Z" },
+  { label: "Customer", value: "fullName desc", directionLabel: "Z-A" },
+  { label: "Country", value: "shippingCountry asc", directionLabel: "A-Z" },
+  { label: "Country", value: "shippingCountry desc", directionLabel: "Z-A" },
+  { label: "Items", value: "itemCount asc", directionLabel: "Fewest" },
+  { label: "Items", value: "itemCount desc", directionLabel: "Most" },
+];
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  return null;
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const [list, countries, statusCounts] = await Promise.all([
+    getQuoteRequests(session.shop, {
+      status: url.searchParams.getAll("status"),
+      country: url.searchParams.getAll("country"),
+      sort: url.searchParams.get("sort") || DEFAULT_SORT,
+      page: parseInt(url.searchParams.get("page"), 10) || 1,
+    }),
+    getQuoteCountries(session.shop),
+    getQuoteStatusCounts(session.shop),
+  ]);
+
+  return { ...list, countries, statusCounts };
 };
 
 export default function Index() {
+  const { quoteRequests, page, hasNext, hasPrevious, countries, statusCounts } =
+    useLoaderData();
+  const navigation = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { mode, setMode } = useSetIndexFiltersMode();
+  const shopify = useAppBridge();
+  const [exporting, setExporting] = useState(false);
+
+  const status = searchParams.getAll("status");
+  const country = searchParams.getAll("country");
+  const sort = searchParams.get("sort") || DEFAULT_SORT;
+
+  // Every filter or sort change starts over from the first page
+  const updateParams = (key, values) => {
+    setSearchParams((params) => {
+      params.delete(key);
+      params.delete("page");
+      [].concat(values).forEach((value) => params.append(key, value));
+      return params;
+    });
+  };
+
+  const goToPage = (nextPage) => {
+    setSearchParams((params) => {
+      params.set("page", String(nextPage));
+      return params;
+    });
+  };
+
+  // Exports every quote matching the filters, not just the current page
+  const exportCsv = async () => {
+    const params = new URLSearchParams();
+    status.forEach((value) => params.append("status", value));
+    country.forEach((value) => params.append("country", value));
+
+    setExporting(true);
+    try {
+      await downloadFile(`/app/quotes/export?${params}`, "quote-requests.csv");
+    } catch {
+      shopify.toast.show("The export failed", { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const filters = [
+    {
+      key: "status",
+      label: "Status",
+      filter: (
+        <ChoiceList
+          title="Status"
+          titleHidden
+          allowMultiple
+          choices={Object.entries(QUOTE_STATUS_LABELS).map(
+            ([value, label]) => ({ label, value }),
+          )}
+          selected={status}
+          onChange={(values) => updateParams("status", values)}
+        />
+      ),
+      shortcut: true,
+    },
+    {
+      key: "country",
+      label: "Country",
+      filter: (
+        <ChoiceList
+          title="Country"
+          titleHidden
+          allowMultiple
+          choices={countries.map((value) => ({ label: value, value }))}
+          selected={country}
+          onChange={(values) => updateParams("country", values)}
+        />
+      ),
+      shortcut: true,
+    },
+  ];
+
+  const appliedFilters = [];
+  if (status.length) {
+    appliedFilters.push({
+      key: "status",
+      label: `Status: ${status.map((s) => QUOTE_STATUS_LABELS[s] ?? s).join(", ")}`,
+      onRemove: () => updateParams("status", []),
+    });
+  }
+  if (country.length) {
+    appliedFilters.push({
+      key: "country",
+      label: `Country: ${country.join(", ")}`,
+      onRemove: () => updateParams("country", []),
+    });
+  }
+
+  const rowMarkup = quoteRequests.map((quote, index) => (
+    <IndexTable.Row id={quote.id} key={quote.id} position={index}>
+      <IndexTable.Cell>
+        <Link
+          url={`/app/quotes/${quote.id}`}
+          monochrome
+          removeUnderline
+          dataPrimaryLink
+        >
+          <Text variant="bodyMd" fontWeight="semibold" as="span">
+            {quote.fullName || quote.email || "—"}
+          </Text>
+        </Link>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{quote.email || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{quote.shippingCountry || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>
+          {quote.itemCount}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{quote.cartTotal || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="100">
+          <Badge tone={QUOTE_STATUS_TONES[quote.status]}>
+            {QUOTE_STATUS_LABELS[quote.status] ?? quote.status}
+          </Badge>
+          {quote.needsReview && <Badge tone="attention">Needs review</Badge>}
+          {quote.hasUnavailableItems && (
+            <Badge tone="critical">Unavailable items</Badge>
+          )}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {new Date(quote.createdAt).toLocaleString()}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {quote.draftOrderId ? (
+          <Link
+            url={draftOrderAdminUrl(quote.draftOrderId)}
+            target="_top"
+            removeUnderline
+          >
+            View draft order
+          </Link>
+        ) : (
+          "—"
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
   return (
-    <Page>
+    <Page
+      fullWidth
+      secondaryActions={[
+        { content: "Export CSV", loading: exporting, onAction: exportCsv },
+      ]}
+    >
       <TitleBar title="International Quote Requests" />
+      <BlockStack gap="400">
+        <Card>
+          <InlineStack gap="200" wrap>
+            {Object.entries(QUOTE_STATUS_LABELS).map(([value, label]) => (
+              <Button
+                key={value}
+                variant="tertiary"
+                pressed={status.length === 1 && status[0] === value}
+                onClick={() => updateParams("status", [value])}
+              >
+                {`${label}: ${statusCounts[value]}`}
+              </Button>
+            ))}
+          </InlineStack>
+        </Card>
+        <Card padding="0">
+          <IndexFilters
+            tabs={[{ id: "all", content: "All" }]}
+            selected={0}
+            onSelect={() => {}}
+            sortOptions={SORT_OPTIONS}
+            sortSelected={[sort]}
+            onSort={(value) => updateParams("sort", value)}
+            filters={filters}
+            appliedFilters={appliedFilters}
+            onClearAll={() => setSearchParams({})}
+            queryValue=""
+            onQueryChange={() => {}}
+            onQueryClear={() => {}}
+            hideQueryField
+            canCreateNewView={false}
+            mode={mode}
+            setMode={setMode}
+            loading={navigation.state === "loading"}
+          />
+          <IndexTable
+            resourceName={{
+              singular: "quote request",
+              plural: "quote requests",
+            }}
+            itemCount={quoteRequests.length}
+            selectable={false}
+            headings={[
+              { title: "Customer" },
+              { title: "Email" },
+              { title: "Destination" },
+              { title: "Items", alignment: "end" },
+              { title: "Cart total" },
+              { title: "Status" },
+              { title: "Received" },
+              { title: "Draft order" },
+            ]}
+            pagination={{
+              hasPrevious,
+              hasNext,
+              onPrevious: () => goToPage(page - 1),
+              onNext: () => goToPage(page + 1),
+            }}
+          >
+            {rowMarkup}
+          </IndexTable>
+        </Card>
+      </BlockStack>
     </Page>
   );
 }
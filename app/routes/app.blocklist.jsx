@@ -0,0 +1,199 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  BlockStack,
+  Button,
+  Card,
+  IndexTable,
+  InlineStack,
+  Layout,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  addBlockedSender,
+  getBlockedSenders,
+  normalizeBlockedValue,
+  removeBlockedSender,
+  validateBlockedSender,
+} from "../models/BlockedSender.server";
+import {
+  BLOCKED_SENDER_TYPE,
+  BLOCKED_SENDER_TYPE_LABELS,
+} from "../models/blockedSender";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { blockedSenders: await getBlockedSenders(session.shop) };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { intent, ...values } = await request.json();
+
+  if (intent === "add") {
+    const type = String(values.type ?? "");
+    const entry = {
+      type,
+      value: normalizeBlockedValue(type, values.value),
+      note: String(values.note ?? "").trim(),
+    };
+    const errors = validateBlockedSender(entry);
+    if (Object.keys(errors).length) {
+      return { errors };
+    }
+
+    await addBlockedSender(session.shop, entry);
+    return { added: true };
+  }
+
+  if (intent === "remove") {
+    await removeBlockedSender(session.shop, values.id);
+    return { removed: true };
+  }
+
+  return null;
+};
+
+const TYPE_OPTIONS = Object.entries(BLOCKED_SENDER_TYPE_LABELS).map(
+  ([value, label]) => ({ value, label }),
+);
+
+const PLACEHOLDERS = {
+  [BLOCKED_SENDER_TYPE.EMAIL]: "spammer@example.com",
+  [BLOCKED_SENDER_TYPE.DOMAIN]: "example.com",
+  [BLOCKED_SENDER_TYPE.IP]: "203.0.113.7",
+};
+
+export default function Blocklist() {
+  const { blockedSenders } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+
+  const [type, setType] = useState(BLOCKED_SENDER_TYPE.EMAIL);
+  const [value, setValue] = useState("");
+  const [note, setNote] = useState("");
+  const errors = actionData?.errors ?? {};
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.json?.intent : null;
+
+  useEffect(() => {
+    if (actionData?.added) {
+      setValue("");
+      setNote("");
+      shopify.toast.show("Sender blocked");
+    }
+    if (actionData?.removed) shopify.toast.show("Sender unblocked");
+  }, [actionData, shopify]);
+
+  const send = (values) =>
+    submit(values, { method: "post", encType: "application/json" });
+
+  const rowMarkup = blockedSenders.map((blocked, index) => (
+    <IndexTable.Row id={blocked.id} key={blocked.id} position={index}>
+      <IndexTable.Cell>
+        {BLOCKED_SENDER_TYPE_LABELS[blocked.type] ?? blocked.type}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" fontWeight="semibold" breakWord>
+          {blocked.value}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" tone="subdued">
+          {blocked.note || ""}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {new Date(blocked.createdAt).toLocaleString()}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Button
+          tone="critical"
+          onClick={() => send({ intent: "remove", id: blocked.id })}
+        >
+          Remove
+        </Button>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Blocklist" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Block a sender"
+          description="Quote requests from blocked senders are turned away and listed under Rejected requests. Blocking a domain also blocks its subdomains."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <Select
+                label="Block by"
+                options={TYPE_OPTIONS}
+                value={type}
+                onChange={setType}
+                error={errors.type}
+              />
+              <TextField
+                label="Value"
+                value={value}
+                onChange={setValue}
+                error={errors.value}
+                placeholder={PLACEHOLDERS[type]}
+                autoComplete="off"
+              />
+              <TextField
+                label="Note"
+                value={note}
+                onChange={setNote}
+                error={errors.note}
+                helpText="Only shown here, e.g. why the sender was blocked."
+                autoComplete="off"
+              />
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  loading={pendingIntent === "add"}
+                  onClick={() => send({ intent: "add", type, value, note })}
+                >
+                  Block sender
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "sender", plural: "senders" }}
+              itemCount={blockedSenders.length}
+              selectable={false}
+              headings={[
+                { title: "Type" },
+                { title: "Value" },
+                { title: "Note" },
+                { title: "Added" },
+                { title: "" },
+              ]}
+            >
+              {rowMarkup}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,88 @@
+import { useLoaderData } from "@remix-run/react";
+import {
+  BlockStack,
+  Box,
+  Card,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fromJson } from "../models/QuoteRequest.server";
+import { getCustomerDataRequests } from "../models/CustomerDataRequest.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const dataRequests = await getCustomerDataRequests(session.shop);
+
+  return {
+    dataRequests: dataRequests.map((dataRequest) => ({
+      ...dataRequest,
+      data: fromJson(dataRequest.data),
+    })),
+  };
+};
+
+export default function DataRequests() {
+  const { dataRequests } = useLoaderData();
+
+  return (
+    <Page>
+      <TitleBar title="Customer data requests" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Text as="p" tone="subdued">
+              When a customer asks for their data, Shopify notifies the app and
+              the quotes stored for them are collected here. Send the export to
+              the customer along with the rest of their store data.
+            </Text>
+            {dataRequests.length === 0 ? (
+              <Card>
+                <Text as="p">No customer has requested their data yet.</Text>
+              </Card>
+            ) : (
+              dataRequests.map((dataRequest) => (
+                <Card key={dataRequest.id}>
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="h2" variant="headingMd">
+                        {dataRequest.email || dataRequest.customerId}
+                      </Text>
+                      <Text as="span" tone="subdued">
+                        {new Date(dataRequest.createdAt).toLocaleString()}
+                      </Text>
+                    </InlineStack>
+                    <Text as="p">
+                      {dataRequest.quoteCount === 1
+                        ? "1 quote"
+                        : `${dataRequest.quoteCount} quotes`}
+                    </Text>
+                    {dataRequest.quoteCount > 0 && (
+                      <Box
+                        padding="400"
+                        background="bg-surface-active"
+                        borderWidth="025"
+                        borderRadius="200"
+                        borderColor="border"
+                        overflowX="scroll"
+                      >
+                        <pre style={{ margin: 0 }}>
+                          <code>
+                            {JSON.stringify(dataRequest.data, null, 2)}
+                          </code>
+                        </pre>
+                      </Box>
+                    )}
+                  </BlockStack>
+                </Card>
+              ))
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
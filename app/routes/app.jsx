@@ -22,6 +22,13 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/quotes">Find a quote</Link>
+        <Link to="/app/reports">Reports</Link>
+        <Link to="/app/rejections">Rejected requests</Link>
+        <Link to="/app/blocklist">Blocklist</Link>
+        <Link to="/app/webhooks">Webhooks</Link>
+        <Link to="/app/data-requests">Data requests</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
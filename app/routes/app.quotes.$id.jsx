@@ -0,0 +1,654 @@
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Badge,
+  Banner,
+  BlockStack,
+  Box,
+  Card,
+  InlineStack,
+  Layout,
+  Link,
+  List,
+  Page,
+  Text,
+  Thumbnail,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  approveQuoteRequest,
+  cancelQuoteRequest,
+  fromJson,
+  getQuoteRequest,
+  IllegalTransitionError,
+  MAX_DRAFT_ATTEMPTS,
+  rejectQuoteRequest,
+} from "../models/QuoteRequest.server";
+import {
+  addBlockedSender,
+  BLOCKED_SENDER_TYPE,
+  normalizeBlockedValue,
+} from "../models/BlockedSender.server";
+import { getVariantsByIds } from "../lib/catalog.server";
+import { sendQuoteInvoice } from "../lib/invoices.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import {
+  queueQuoteWebhook,
+  submissionWebhookEvent,
+} from "../lib/outboundWebhooks.server";
+import { submitQuoteRequest } from "../lib/quoteSubmission.server";
+import {
+  canTransition,
+  INVOICE_STATUS,
+  QUOTE_STATUS,
+  QUOTE_STATUS_LABELS,
+  QUOTE_STATUS_TONES,
+} from "../models/quoteStatus";
+import { SPAM_SIGNAL_LABELS } from "../models/spamSignal";
+import { QUOTE_WEBHOOK_EVENT } from "../models/webhookEvents";
+import {
+  customerAdminUrl,
+  draftOrderAdminUrl,
+  orderAdminUrl,
+} from "../utils/shopifyAdmin";
+import { formatTotal } from "../utils/money";
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const quote = await getQuoteRequest(session.shop, params.id);
+  if (!quote) {
+    throw new Response("Quote request not found", { status: 404 });
+  }
+
+  const lineItems = fromJson(quote.lineItems) ?? [];
+
+  // Product data is only decoration here, so a lookup failure should not
+  // hide the stored submission
+  let variants = new Map();
+  try {
+    variants = await getVariantsByIds(
+      admin,
+      lineItems.map((item) => item.variantId),
+    );
+  } catch (error) {
+    createLogger("quotes", { requestId: requestId(request) }).warn(
+      "Failed to resolve line item variants",
+      { quoteRequestId: quote.id, error },
+    );
+  }
+
+  return {
+    maxAttempts: MAX_DRAFT_ATTEMPTS,
+    quote: {
+      ...quote,
+      payload: fromJson(quote.payload),
+      draftOrderResponse: fromJson(quote.draftOrderResponse),
+      userErrors: fromJson(quote.userErrors) ?? [],
+      cartAttributes: fromJson(quote.cartAttributes) ?? [],
+      billingAddress: fromJson(quote.billingAddress),
+      quotedTotals: fromJson(quote.quotedTotals),
+      spamSignals: fromJson(quote.spamSignals) ?? [],
+      events: quote.events.map((event) => ({
+        ...event,
+        data: fromJson(event.data),
+      })),
+    },
+    lineItems: lineItems.map((item) => {
+      const variant = variants.get(item.variantId);
+      const image =
+        variant?.image ?? variant?.product?.featuredMedia?.preview?.image;
+
+      return {
+        ...item,
+        found: Boolean(variant),
+        title: variant?.product?.title ?? item.title ?? item.variantId,
+        variantTitle: variant?.title,
+        sku: variant?.sku,
+        price: variant?.price ?? item.price,
+        image: image ?? null,
+      };
+    }),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const quote = await getQuoteRequest(session.shop, params.id);
+  if (!quote) {
+    throw new Response("Quote request not found", { status: 404 });
+  }
+
+  if (formData.get("intent") === "retry") {
+    const result = await submitQuoteRequest(quote.id, { admin, manual: true });
+    if (!result) {
+      return {
+        error:
+          "This quote request already has a draft order or is being submitted right now.",
+      };
+    }
+    await queueQuoteWebhook(submissionWebhookEvent(result), result);
+    return { status: result.status };
+  }
+
+  if (formData.get("intent") === "send-invoice") {
+    const result = await sendQuoteInvoice(quote, { admin });
+    if (result.invoiceStatus !== INVOICE_STATUS.SENT) {
+      return { error: `The invoice was not sent: ${result.invoiceError}` };
+    }
+    return { invoiceSent: true };
+  }
+
+  if (formData.get("intent") === "approve") {
+    let approved;
+    try {
+      approved = await approveQuoteRequest(quote.id);
+    } catch (error) {
+      if (error instanceof IllegalTransitionError) {
+        return { error: error.message };
+      }
+      throw error;
+    }
+
+    // Carry on where the storefront request stopped
+    await queueQuoteWebhook(QUOTE_WEBHOOK_EVENT.RECEIVED, approved);
+    const result = await submitQuoteRequest(quote.id, { admin });
+    if (result) {
+      await queueQuoteWebhook(submissionWebhookEvent(result), result);
+    }
+    return { status: result?.status ?? QUOTE_STATUS.RECEIVED };
+  }
+
+  if (formData.get("intent") === "reject") {
+    try {
+      await rejectQuoteRequest(quote.id);
+    } catch (error) {
+      if (error instanceof IllegalTransitionError) {
+        return { error: error.message };
+      }
+      throw error;
+    }
+
+    if (formData.get("block") && quote.email) {
+      await addBlockedSender(session.shop, {
+        type: BLOCKED_SENDER_TYPE.EMAIL,
+        value: normalizeBlockedValue(BLOCKED_SENDER_TYPE.EMAIL, quote.email),
+        note: `Rejected quote ${quote.id}`,
+      });
+    }
+    return { status: QUOTE_STATUS.REJECTED };
+  }
+
+  if (formData.get("intent") === "cancel") {
+    try {
+      await cancelQuoteRequest(quote.id);
+    } catch (error) {
+      if (error instanceof IllegalTransitionError) {
+        return { error: error.message };
+      }
+      throw error;
+    }
+    return { status: QUOTE_STATUS.CANCELLED };
+  }
+
+  return null;
+};
+
+function JsonBlock({ value }) {
+  return (
+    <Box
+      padding="400"
+      background="bg-surface-active"
+      borderWidth="025"
+      borderRadius="200"
+      borderColor="border"
+      overflowX="scroll"
+    >
+      <pre style={{ margin: 0 }}>
+        <code>{JSON.stringify(value, null, 2)}</code>
+      </pre>
+    </Box>
+  );
+}
+
+function Field({ label, value }) {
+  return (
+    <BlockStack gap="100">
+      <Text as="span" variant="bodySm" tone="subdued">
+        {label}
+      </Text>
+      <Text as="span">{value || "—"}</Text>
+    </BlockStack>
+  );
+}
+
+export default function QuoteRequestDetail() {
+  const { quote, lineItems, maxAttempts } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const draftOrderUrl = draftOrderAdminUrl(quote.draftOrderId);
+  const customerUrl = customerAdminUrl(quote.customerId);
+  const orderUrl = orderAdminUrl(quote.orderId);
+
+  const isQuarantined = quote.status === QUOTE_STATUS.QUARANTINED;
+  const isApproving =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("intent") === "approve";
+  const canRetry =
+    !quote.draftOrderId &&
+    [QUOTE_STATUS.RECEIVED, QUOTE_STATUS.FAILED].includes(quote.status);
+  const isRetrying =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("intent") === "retry";
+  const isSendingInvoice =
+    navigation.state === "submitting" &&
+    navigation.formData?.get("intent") === "send-invoice";
+  const canPrice =
+    quote.draftOrderId && canTransition(quote.status, QUOTE_STATUS.PRICED);
+  const canInvoice =
+    quote.draftOrderId &&
+    canTransition(quote.status, QUOTE_STATUS.INVOICE_SENT);
+
+  return (
+    <Page
+      backAction={{ content: "Quote requests", url: "/app" }}
+      title={quote.fullName || quote.email || "Quote request"}
+      titleMetadata={
+        <Badge tone={QUOTE_STATUS_TONES[quote.status]}>
+          {QUOTE_STATUS_LABELS[quote.status] ?? quote.status}
+        </Badge>
+      }
+      subtitle={`Received ${new Date(quote.createdAt).toLocaleString()}`}
+      primaryAction={
+        isQuarantined
+          ? {
+              content: "Approve",
+              loading: isApproving,
+              onAction: () => submit({ intent: "approve" }, { method: "post" }),
+            }
+          : canRetry
+            ? {
+                content: "Retry draft order",
+                loading: isRetrying,
+                onAction: () => submit({ intent: "retry" }, { method: "post" }),
+              }
+            : canPrice
+              ? {
+                  content: "Set pricing",
+                  url: `/app/quotes/${quote.id}/pricing`,
+                }
+              : undefined
+      }
+      secondaryActions={[
+        ...(canInvoice
+          ? [
+              {
+                content: quote.invoiceSentAt
+                  ? "Resend invoice"
+                  : "Send invoice",
+                loading: isSendingInvoice,
+                onAction: () =>
+                  submit({ intent: "send-invoice" }, { method: "post" }),
+              },
+            ]
+          : []),
+        ...(isQuarantined
+          ? [
+              {
+                content: "Reject",
+                destructive: true,
+                onAction: () =>
+                  submit({ intent: "reject" }, { method: "post" }),
+              },
+              ...(quote.email
+                ? [
+                    {
+                      content: "Reject and block email",
+                      destructive: true,
+                      onAction: () =>
+                        submit(
+                          { intent: "reject", block: "1" },
+                          { method: "post" },
+                        ),
+                    },
+                  ]
+                : []),
+            ]
+          : []),
+        ...(!isQuarantined &&
+        canTransition(quote.status, QUOTE_STATUS.CANCELLED)
+          ? [
+              {
+                content: "Cancel quote",
+                destructive: true,
+                onAction: () =>
+                  submit({ intent: "cancel" }, { method: "post" }),
+              },
+            ]
+          : []),
+      ]}
+    >
+      <TitleBar title="Quote request" />
+      <Layout>
+        {isQuarantined && (
+          <Layout.Section>
+            <Banner tone="warning" title="Quarantined as possible spam">
+              <BlockStack gap="200">
+                <p>
+                  No draft order is created until you approve this request.
+                  {quote.clientIp ? ` It was sent from ${quote.clientIp}.` : ""}
+                </p>
+                <List>
+                  {quote.spamSignals.map((signal) => (
+                    <List.Item key={signal}>
+                      {SPAM_SIGNAL_LABELS[signal] ?? signal}
+                    </List.Item>
+                  ))}
+                </List>
+              </BlockStack>
+            </Banner>
+          </Layout.Section>
+        )}
+        {actionData?.invoiceSent && (
+          <Layout.Section>
+            <Banner tone="success" title="Invoice sent">
+              <p>The invoice was emailed to {quote.email}.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="warning">
+              <p>{actionData.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Line items
+                </Text>
+                {quote.needsReview && (
+                  <Banner tone="warning" title="Line items need review">
+                    <p>
+                      Some cart lines could not be matched to a product and were
+                      added to the draft order as custom line items.
+                    </p>
+                  </Banner>
+                )}
+                {quote.hasUnavailableItems && (
+                  <Banner tone="critical" title="Some items were unavailable">
+                    <p>
+                      When the quote was received, some products were out of
+                      stock, inactive or no longer existed. Products that no
+                      longer exist were left off the draft order.
+                    </p>
+                  </Banner>
+                )}
+                {lineItems.length === 0 && (
+                  <Text as="p" tone="subdued">
+                    No line items could be parsed from this request.
+                  </Text>
+                )}
+                {lineItems.map((item, index) => (
+                  <InlineStack key={index} gap="300" blockAlign="center">
+                    {item.image && (
+                      <Thumbnail
+                        source={item.image.url}
+                        alt={item.image.altText || item.title}
+                        size="small"
+                      />
+                    )}
+                    <BlockStack gap="100">
+                      <Text as="span" fontWeight="semibold">
+                        {item.title}
+                      </Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {[item.variantTitle, item.sku && `SKU ${item.sku}`]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </Text>
+                      {!item.found && item.variantId && !item.unavailable && (
+                        <Badge tone="warning">Variant not found</Badge>
+                      )}
+                      {item.unavailable && (
+                        <Badge tone="critical">
+                          {`Unavailable: ${item.unavailable.message}`}
+                        </Badge>
+                      )}
+                      {item.needsReview && (
+                        <Badge tone="attention">
+                          {`Needs review: ${item.reviewReason}`}
+                        </Badge>
+                      )}
+                      {item.line && (
+                        <Text as="span" variant="bodySm" tone="subdued">
+                          Cart text: {item.line}
+                        </Text>
+                      )}
+                      {item.customAttributes?.map((attribute) => (
+                        <Text
+                          key={attribute.key}
+                          as="span"
+                          variant="bodySm"
+                          tone="subdued"
+                        >
+                          {attribute.key}: {attribute.value}
+                        </Text>
+                      ))}
+                    </BlockStack>
+                    <Text as="span">
+                      {item.quantity} × {item.price ?? "—"}
+                    </Text>
+                  </InlineStack>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">
+                    Draft order
+                  </Text>
+                  {draftOrderUrl && (
+                    <Link url={draftOrderUrl} target="_top">
+                      Open in Shopify
+                    </Link>
+                  )}
+                </InlineStack>
+                {quote.error && (
+                  <Banner tone="critical" title="Draft order creation failed">
+                    <p>{quote.error}</p>
+                  </Banner>
+                )}
+                {quote.userErrors.length > 0 && (
+                  <Banner tone="warning" title="Shopify returned userErrors">
+                    <List>
+                      {quote.userErrors.map((userError, index) => (
+                        <List.Item key={index}>
+                          {userError.field?.join(".") ?? "input"}:{" "}
+                          {userError.message}
+                        </List.Item>
+                      ))}
+                    </List>
+                  </Banner>
+                )}
+                {orderUrl && (
+                  <BlockStack gap="100">
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      Order
+                    </Text>
+                    <InlineStack gap="200">
+                      <Link url={orderUrl} target="_top">
+                        {quote.orderName ?? "View order"}
+                      </Link>
+                      {quote.completedAt && (
+                        <Text as="span" tone="subdued">
+                          {`paid ${new Date(quote.completedAt).toLocaleString()}`}
+                        </Text>
+                      )}
+                    </InlineStack>
+                  </BlockStack>
+                )}
+                {quote.quotedTotals && (
+                  <Field
+                    label="Quoted total"
+                    value={formatTotal(quote.quotedTotals, "total")}
+                  />
+                )}
+                {quote.invoiceUrl && (
+                  <Field label="Invoice URL" value={quote.invoiceUrl} />
+                )}
+                {quote.expiresAt && (
+                  <Field
+                    label="Valid until"
+                    value={`${new Date(quote.expiresAt).toLocaleString()}${
+                      quote.reminderSentAt
+                        ? ` · reminder sent ${new Date(quote.reminderSentAt).toLocaleString()}`
+                        : ""
+                    }`}
+                  />
+                )}
+                {quote.draftOrderId && (
+                  <Field
+                    label="Invoice email"
+                    value={
+                      quote.invoiceSentAt
+                        ? `Sent ${new Date(quote.invoiceSentAt).toLocaleString()}`
+                        : "Not sent"
+                    }
+                  />
+                )}
+                {quote.invoiceStatus === INVOICE_STATUS.FAILED && (
+                  <Banner tone="warning" title="The last invoice email failed">
+                    <p>{quote.invoiceError}</p>
+                  </Banner>
+                )}
+                <Field
+                  label="Attempts"
+                  value={`${quote.attempts} of ${maxAttempts}${
+                    quote.nextAttemptAt
+                      ? ` · next retry ${new Date(quote.nextAttemptAt).toLocaleString()}`
+                      : ""
+                  }`}
+                />
+                {quote.draftOrderResponse ? (
+                  <JsonBlock value={quote.draftOrderResponse} />
+                ) : (
+                  <Text as="p" tone="subdued">
+                    No draftOrderCreate response has been recorded.
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Raw payload
+                </Text>
+                <JsonBlock value={quote.payload} />
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Customer
+                </Text>
+                <Field label="Name" value={quote.fullName} />
+                <Field label="Email" value={quote.email} />
+                <Field label="Phone" value={quote.phone} />
+                <Field
+                  label="Shipping address"
+                  value={[
+                    quote.shippingCompany,
+                    quote.shippingAddress1,
+                    quote.shippingAddress2,
+                    quote.shippingCity,
+                    quote.shippingProvince,
+                    quote.shippingZip,
+                    quote.shippingCountryCode
+                      ? `${quote.shippingCountry} (${quote.shippingCountryCode})`
+                      : quote.shippingCountry,
+                  ]
+                    .filter(Boolean)
+                    .join(", ")}
+                />
+                <Field
+                  label="Billing address"
+                  value={
+                    quote.billingAddress
+                      ? Object.values(quote.billingAddress)
+                          .filter(Boolean)
+                          .join(", ")
+                      : "Not provided"
+                  }
+                />
+                {customerUrl && (
+                  <Link url={customerUrl} target="_top">
+                    View customer in Shopify
+                  </Link>
+                )}
+                <Field label="Cart total" value={quote.cartTotal} />
+                {quote.presentmentCurrency && (
+                  <Field
+                    label="Customer currency"
+                    value={[
+                      quote.presentmentCurrency,
+                      quote.presentmentCountryCode &&
+                        `${quote.presentmentCountryCode} market`,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  />
+                )}
+                <Field label="Cart note" value={quote.note} />
+                {quote.cartAttributes.map((attribute) => (
+                  <Field
+                    key={attribute.key}
+                    label={attribute.key}
+                    value={attribute.value}
+                  />
+                ))}
+                <Field label="Quote ID" value={quote.id} />
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">
+                  Timeline
+                </Text>
+                {quote.events.map((event) => (
+                  <BlockStack key={event.id} gap="100">
+                    <Text as="span">{event.message}</Text>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {new Date(event.createdAt).toLocaleString()}
+                    </Text>
+                    {event.data && <JsonBlock value={event.data} />}
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
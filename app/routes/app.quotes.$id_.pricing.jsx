@@ -0,0 +1,498 @@
+import { useEffect, useState } from "react";
+import { redirect } from "@remix-run/node";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Card,
+  InlineGrid,
+  InlineStack,
+  Layout,
+  List,
+  Page,
+  Select,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getQuoteRequest,
+  IllegalTransitionError,
+  recordQuotePricing,
+} from "../models/QuoteRequest.server";
+import { sendQuoteInvoice } from "../lib/invoices.server";
+import {
+  buildPricingInput,
+  calculateDraftOrder,
+  getDraftOrderForPricing,
+  readDraftOrderTotals,
+  updateDraftOrderPricing,
+  validatePricing,
+} from "../lib/pricing.server";
+import {
+  canTransition,
+  INVOICE_STATUS,
+  QUOTE_STATUS,
+  QUOTE_STATUS_LABELS,
+} from "../models/quoteStatus";
+import { formatMoney, formatTotal } from "../utils/money";
+
+/**
+ * Reads the pricing form values from a draft order
+ * @param {Object} draftOrder - The draft order from getDraftOrderForPricing
+ * @returns {Object} - { lines, shipping, duties, orderDiscount }
+ */
+function toPricingForm(draftOrder) {
+  const toDiscount = (appliedDiscount) => ({
+    title: appliedDiscount?.title ?? "",
+    value: appliedDiscount ? String(appliedDiscount.value) : "",
+    valueType: appliedDiscount?.valueType ?? "PERCENTAGE",
+  });
+
+  return {
+    lines: Object.fromEntries(
+      draftOrder.lineItems.map((lineItem) => [
+        lineItem.id,
+        toDiscount(lineItem.appliedDiscount),
+      ]),
+    ),
+    shipping: {
+      title: draftOrder.shippingLine?.title ?? "International shipping",
+      price: draftOrder.shippingLine?.originalPriceSet.shopMoney.amount ?? "",
+    },
+    duties: {
+      title: draftOrder.dutiesLine?.title ?? "Duties & handling",
+      amount:
+        draftOrder.dutiesLine?.originalUnitPriceSet.shopMoney.amount ?? "",
+    },
+    orderDiscount: toDiscount(draftOrder.appliedDiscount),
+  };
+}
+
+/**
+ * Loads the quote and its draft order, or throws the matching response
+ * @param {Object} admin - The Shopify admin GraphQL client
+ * @param {string} shop - The shop domain
+ * @param {string} id - The QuoteRequest ID
+ * @returns {Promise<Object>} - { quote, draftOrder }
+ */
+async function loadPricing(admin, shop, id) {
+  const quote = await getQuoteRequest(shop, id);
+  if (!quote) {
+    throw new Response("Quote request not found", { status: 404 });
+  }
+  if (!quote.draftOrderId) {
+    throw redirect(`/app/quotes/${quote.id}`);
+  }
+
+  const draftOrder = await getDraftOrderForPricing(admin, quote.draftOrderId);
+  if (!draftOrder) {
+    throw new Response("The draft order no longer exists in Shopify", {
+      status: 404,
+    });
+  }
+
+  return { quote, draftOrder };
+}
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { quote, draftOrder } = await loadPricing(
+    admin,
+    session.shop,
+    params.id,
+  );
+
+  return {
+    quote: {
+      id: quote.id,
+      fullName: quote.fullName,
+      email: quote.email,
+      invoiceSentAt: quote.invoiceSentAt,
+    },
+    draftOrder: {
+      name: draftOrder.name,
+      currencyCode: draftOrder.currencyCode,
+      presentmentCurrencyCode: draftOrder.presentmentCurrencyCode,
+      lineItems: draftOrder.lineItems,
+    },
+    pricing: toPricingForm(draftOrder),
+    totals: readDraftOrderTotals(draftOrder),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { intent, pricing } = await request.json();
+
+  const errors = validatePricing(pricing);
+  if (Object.keys(errors).length) {
+    return { errors };
+  }
+
+  const { quote, draftOrder } = await loadPricing(
+    admin,
+    session.shop,
+    params.id,
+  );
+  if (!canTransition(quote.status, QUOTE_STATUS.PRICED)) {
+    return {
+      error: `${QUOTE_STATUS_LABELS[quote.status]} quotes can no longer be priced`,
+    };
+  }
+
+  const input = buildPricingInput(draftOrder, pricing);
+
+  if (intent === "calculate") {
+    const { totals, userErrors } = await calculateDraftOrder(
+      admin,
+      draftOrder,
+      input,
+    );
+    return { totals, userErrors, preview: true };
+  }
+
+  const { totals, userErrors } = await updateDraftOrderPricing(
+    admin,
+    quote.draftOrderId,
+    input,
+  );
+  if (!totals) {
+    return { userErrors };
+  }
+
+  let priced;
+  try {
+    priced = await recordQuotePricing(quote.id, totals);
+  } catch (error) {
+    // The quote was paid or cancelled while the draft order was updated
+    if (error instanceof IllegalTransitionError) {
+      return {
+        totals,
+        saved: true,
+        error: `The draft order was updated, but the quote was not marked as priced: ${error.message}`,
+      };
+    }
+    throw error;
+  }
+
+  if (intent === "save-and-send") {
+    const result = await sendQuoteInvoice(priced, { admin });
+    if (result.invoiceStatus !== INVOICE_STATUS.SENT) {
+      return {
+        totals,
+        saved: true,
+        error: `Pricing saved, but the invoice was not sent: ${result.invoiceError}`,
+      };
+    }
+    return redirect(`/app/quotes/${quote.id}`);
+  }
+
+  return { totals, saved: true };
+};
+
+// Saving replaces the draft order's line items, so the form is reloaded
+// afterwards. Previews and rejected saves keep the staff's unsaved input.
+export const shouldRevalidate = ({ actionResult, defaultShouldRevalidate }) =>
+  actionResult && !actionResult.saved ? false : defaultShouldRevalidate;
+
+function DiscountField({ label, discount, currencyCode, error, onChange }) {
+  return (
+    <TextField
+      label={label}
+      type="number"
+      min={0}
+      value={discount.value}
+      onChange={(value) => onChange({ ...discount, value })}
+      error={error}
+      autoComplete="off"
+      connectedRight={
+        <Select
+          label="Discount type"
+          labelHidden
+          options={[
+            { label: "%", value: "PERCENTAGE" },
+            { label: currencyCode, value: "FIXED_AMOUNT" },
+          ]}
+          value={discount.valueType}
+          onChange={(valueType) => onChange({ ...discount, valueType })}
+        />
+      }
+    />
+  );
+}
+
+export default function QuotePricing() {
+  const { quote, draftOrder, pricing, totals } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+
+  const [form, setForm] = useState(pricing);
+  const errors = actionData?.errors ?? {};
+  const shownTotals = actionData?.totals ?? totals;
+  const { currencyCode, presentmentCurrencyCode } = draftOrder;
+
+  useEffect(() => setForm(pricing), [pricing]);
+
+  useEffect(() => {
+    if (actionData?.saved) shopify.toast.show("Pricing saved");
+  }, [actionData, shopify]);
+
+  const update = (key, value) =>
+    setForm((current) => ({ ...current, [key]: value }));
+
+  const submitIntent = (intent) =>
+    submit(
+      { intent, pricing: form },
+      { method: "post", encType: "application/json" },
+    );
+
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.json?.intent : null;
+
+  return (
+    <Page
+      backAction={{ content: "Quote request", url: `/app/quotes/${quote.id}` }}
+      title={`Price ${draftOrder.name}`}
+      subtitle={quote.fullName || quote.email}
+      primaryAction={{
+        content: quote.invoiceSentAt
+          ? "Save and resend invoice"
+          : "Save and send invoice",
+        loading: pendingIntent === "save-and-send",
+        onAction: () => submitIntent("save-and-send"),
+      }}
+      secondaryActions={[
+        {
+          content: "Save",
+          loading: pendingIntent === "save",
+          onAction: () => submitIntent("save"),
+        },
+        {
+          content: "Preview totals",
+          loading: pendingIntent === "calculate",
+          onAction: () => submitIntent("calculate"),
+        },
+      ]}
+    >
+      <TitleBar title="Price quote" />
+      <Layout>
+        {actionData?.error && (
+          <Layout.Section>
+            <Banner tone="warning">
+              <p>{actionData.error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {actionData?.userErrors?.length > 0 && (
+          <Layout.Section>
+            <Banner tone="critical" title="Shopify rejected the pricing">
+              <List>
+                {actionData.userErrors.map((userError, index) => (
+                  <List.Item key={index}>{userError.message}</List.Item>
+                ))}
+              </List>
+            </Banner>
+          </Layout.Section>
+        )}
+        {presentmentCurrencyCode &&
+          presentmentCurrencyCode !== currencyCode && (
+            <Layout.Section>
+              <Banner tone="info">
+                <p>
+                  {`The customer is quoted in ${presentmentCurrencyCode}. Enter amounts in ${currencyCode}; the invoice converts them at the market's rate.`}
+                </p>
+              </Banner>
+            </Layout.Section>
+          )}
+        <Layout.Section>
+          <BlockStack gap="500">
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Line items
+                </Text>
+                {draftOrder.lineItems.map((lineItem) => (
+                  <InlineGrid
+                    key={lineItem.id}
+                    columns={2}
+                    gap="400"
+                    alignItems="center"
+                  >
+                    <BlockStack gap="100">
+                      <Text as="span" fontWeight="semibold">
+                        {lineItem.title}
+                      </Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {[
+                          lineItem.variantTitle,
+                          `${lineItem.quantity} × ${formatMoney(
+                            lineItem.originalUnitPriceSet.shopMoney.amount,
+                            currencyCode,
+                          )}`,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ")}
+                      </Text>
+                    </BlockStack>
+                    <DiscountField
+                      label="Line discount"
+                      discount={form.lines[lineItem.id]}
+                      currencyCode={currencyCode}
+                      error={errors[`lines.${lineItem.id}`]}
+                      onChange={(discount) =>
+                        update("lines", {
+                          ...form.lines,
+                          [lineItem.id]: discount,
+                        })
+                      }
+                    />
+                  </InlineGrid>
+                ))}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  International shipping
+                </Text>
+                <InlineGrid columns={2} gap="400">
+                  <TextField
+                    label="Shipping title"
+                    value={form.shipping.title}
+                    onChange={(title) =>
+                      update("shipping", { ...form.shipping, title })
+                    }
+                    error={errors["shipping.title"]}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Shipping price"
+                    type="number"
+                    min={0}
+                    suffix={currencyCode}
+                    value={form.shipping.price}
+                    onChange={(price) =>
+                      update("shipping", { ...form.shipping, price })
+                    }
+                    error={errors["shipping.price"]}
+                    helpText="Leave empty to remove the shipping line."
+                    autoComplete="off"
+                  />
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Duties and handling
+                </Text>
+                <InlineGrid columns={2} gap="400">
+                  <TextField
+                    label="Line item title"
+                    value={form.duties.title}
+                    onChange={(title) =>
+                      update("duties", { ...form.duties, title })
+                    }
+                    error={errors["duties.title"]}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Amount"
+                    type="number"
+                    min={0}
+                    suffix={currencyCode}
+                    value={form.duties.amount}
+                    onChange={(amount) =>
+                      update("duties", { ...form.duties, amount })
+                    }
+                    error={errors["duties.amount"]}
+                    helpText="Added as an untaxed custom line item that does not require shipping."
+                    autoComplete="off"
+                  />
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">
+                  Order discount
+                </Text>
+                <InlineGrid columns={2} gap="400">
+                  <TextField
+                    label="Reason"
+                    value={form.orderDiscount.title}
+                    onChange={(title) =>
+                      update("orderDiscount", { ...form.orderDiscount, title })
+                    }
+                    autoComplete="off"
+                  />
+                  <DiscountField
+                    label="Discount"
+                    discount={form.orderDiscount}
+                    currencyCode={currencyCode}
+                    error={errors.orderDiscount}
+                    onChange={(discount) => update("orderDiscount", discount)}
+                  />
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                {actionData?.preview ? "Preview totals" : "Totals"}
+              </Text>
+              {shownTotals ? (
+                [
+                  ["Subtotal", "subtotal"],
+                  ["Discounts", "discounts"],
+                  ["Shipping", "shipping"],
+                  ["Tax", "tax"],
+                ].map(([label, key]) => (
+                  <InlineStack key={label} align="space-between">
+                    <Text as="span">{label}</Text>
+                    <Text as="span">{formatTotal(shownTotals, key)}</Text>
+                  </InlineStack>
+                ))
+              ) : (
+                <Text as="p" tone="subdued">
+                  Totals could not be calculated.
+                </Text>
+              )}
+              {shownTotals && (
+                <InlineStack align="space-between">
+                  <Text as="span" fontWeight="bold">
+                    Total
+                  </Text>
+                  <Text as="span" fontWeight="bold">
+                    {formatTotal(shownTotals, "total")}
+                  </Text>
+                </InlineStack>
+              )}
+              {actionData?.preview && (
+                <Text as="p" variant="bodySm" tone="subdued">
+                  Not saved yet. Save to update the draft order.
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
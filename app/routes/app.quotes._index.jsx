@@ -0,0 +1,107 @@
+import { redirect } from "@remix-run/node";
+import { Form, Link, useLoaderData } from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  InlineStack,
+  Page,
+  ResourceItem,
+  ResourceList,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { useState } from "react";
+import { authenticate } from "../shopify.server";
+import { searchQuoteRequests } from "../models/QuoteRequest.server";
+import { QUOTE_STATUS_LABELS, QUOTE_STATUS_TONES } from "../models/quoteStatus";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const query = new URL(request.url).searchParams.get("q") ?? "";
+
+  const quoteRequests = await searchQuoteRequests(session.shop, query);
+
+  // A pasted quote ID goes straight to the detail page
+  if (quoteRequests.length === 1 && quoteRequests[0].id === query.trim()) {
+    throw redirect(`/app/quotes/${quoteRequests[0].id}`);
+  }
+
+  return { query, quoteRequests };
+};
+
+export default function QuoteLookup() {
+  const { query, quoteRequests } = useLoaderData();
+  const [value, setValue] = useState(query);
+
+  return (
+    <Page>
+      <TitleBar title="Find a quote request" />
+      <BlockStack gap="500">
+        <Card>
+          <Form method="get">
+            <InlineStack gap="300" blockAlign="end">
+              <div style={{ flexGrow: 1 }}>
+                <TextField
+                  label="Customer email, name or quote ID"
+                  name="q"
+                  value={value}
+                  onChange={setValue}
+                  autoComplete="off"
+                />
+              </div>
+              <Button submit variant="primary">
+                Search
+              </Button>
+            </InlineStack>
+          </Form>
+        </Card>
+        {query && (
+          <Card padding="0">
+            <ResourceList
+              resourceName={{
+                singular: "quote request",
+                plural: "quote requests",
+              }}
+              items={quoteRequests}
+              emptyState={
+                <BlockStack inlineAlign="center">
+                  <Text as="p" tone="subdued">
+                    No quote requests match “{query}”.
+                  </Text>
+                </BlockStack>
+              }
+              renderItem={(quote) => (
+                <ResourceItem
+                  id={quote.id}
+                  url={`/app/quotes/${quote.id}`}
+                  accessibilityLabel={`View quote request ${quote.id}`}
+                >
+                  <InlineStack align="space-between" blockAlign="center">
+                    <BlockStack gap="100">
+                      <Text as="span" fontWeight="semibold">
+                        {quote.fullName || quote.email || quote.id}
+                      </Text>
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {quote.email} · {quote.shippingCountry || "—"} ·{" "}
+                        {new Date(quote.createdAt).toLocaleString()}
+                      </Text>
+                    </BlockStack>
+                    <Badge tone={QUOTE_STATUS_TONES[quote.status]}>
+                      {QUOTE_STATUS_LABELS[quote.status] ?? quote.status}
+                    </Badge>
+                  </InlineStack>
+                </ResourceItem>
+              )}
+            />
+          </Card>
+        )}
+        <Text as="p" tone="subdued">
+          Browse every request from the <Link to="/app">inbox</Link>.
+        </Text>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,68 @@
+import { authenticate } from "../shopify.server";
+import { fromJson, iterateQuoteRequests } from "../models/QuoteRequest.server";
+import { QUOTE_STATUS_LABELS } from "../models/quoteStatus";
+import { toCsvRow } from "../lib/csv.server";
+import { readQuoteFilters } from "../lib/reports.server";
+
+// Column headings and how each is read from a QuoteRequest record
+const COLUMNS = [
+  ["Quote ID", (quote) => quote.id],
+  ["Received", (quote) => quote.createdAt],
+  ["Status", (quote) => QUOTE_STATUS_LABELS[quote.status] ?? quote.status],
+  ["Customer", (quote) => quote.fullName],
+  ["Email", (quote) => quote.email],
+  ["Company", (quote) => quote.shippingCompany],
+  ["City", (quote) => quote.shippingCity],
+  ["Country", (quote) => quote.shippingCountry],
+  ["Country code", (quote) => quote.shippingCountryCode],
+  ["Items", (quote) => quote.itemCount],
+  ["Cart total", (quote) => quote.cartTotal],
+  ["Customer currency", (quote) => quote.presentmentCurrency],
+  ["Quoted total", (quote) => fromJson(quote.quotedTotals)?.total],
+  ["Quoted currency", (quote) => fromJson(quote.quotedTotals)?.currencyCode],
+  [
+    "Quoted total (customer currency)",
+    (quote) => fromJson(quote.quotedTotals)?.presentment?.total,
+  ],
+  ["Draft order ID", (quote) => quote.draftOrderId],
+  ["Invoice sent", (quote) => quote.invoiceSentAt],
+  ["Order", (quote) => quote.orderName],
+  ["Paid", (quote) => quote.completedAt],
+];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const filters = readQuoteFilters(new URL(request.url).searchParams);
+  const quotes = iterateQuoteRequests(session.shop, filters);
+  const encoder = new TextEncoder();
+
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(
+        encoder.encode(toCsvRow(COLUMNS.map(([heading]) => heading))),
+      );
+    },
+    async pull(controller) {
+      const { value: quote, done } = await quotes.next();
+      if (done) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(
+        encoder.encode(toCsvRow(COLUMNS.map(([, read]) => read(quote)))),
+      );
+    },
+    async cancel() {
+      await quotes.return();
+    },
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="quote-requests-${date}.csv"`,
+      "Cache-Control": "no-store",
+    },
+  });
+};
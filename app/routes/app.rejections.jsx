@@ -0,0 +1,64 @@
+import { useLoaderData } from "@remix-run/react";
+import { Badge, Card, IndexTable, Page, Text } from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getRecentRejections } from "../models/RequestRejection.server";
+import { REJECTION_REASON_LABELS } from "../models/rejectionReason";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { rejections: await getRecentRejections(session.shop) };
+};
+
+export default function Rejections() {
+  const { rejections } = useLoaderData();
+
+  const rowMarkup = rejections.map((rejection, index) => (
+    <IndexTable.Row id={rejection.id} key={rejection.id} position={index}>
+      <IndexTable.Cell>
+        {new Date(rejection.createdAt).toLocaleString()}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone="critical">
+          {REJECTION_REASON_LABELS[rejection.reason] ?? rejection.reason}
+        </Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{rejection.email || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{rejection.ip || "—"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" numeric>
+          {rejection.count}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" tone="subdued">
+          {rejection.detail || ""}
+        </Text>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Rejected requests" />
+      <Card padding="0">
+        <IndexTable
+          resourceName={{ singular: "rejection", plural: "rejections" }}
+          itemCount={rejections.length}
+          selectable={false}
+          headings={[
+            { title: "Time" },
+            { title: "Reason" },
+            { title: "Email" },
+            { title: "IP address" },
+            { title: "Requests", alignment: "end" },
+            { title: "Detail" },
+          ]}
+        >
+          {rowMarkup}
+        </IndexTable>
+      </Card>
+    </Page>
+  );
+}
@@ -0,0 +1,262 @@
+import { useState } from "react";
+import { useLoaderData, useSearchParams } from "@remix-run/react";
+import {
+  Banner,
+  BlockStack,
+  Box,
+  Card,
+  DataTable,
+  InlineGrid,
+  InlineStack,
+  Layout,
+  Page,
+  ProgressBar,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getVariantsByIds } from "../lib/catalog.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import {
+  getQuoteReport,
+  MAX_REPORT_QUOTES,
+  readQuoteFilters,
+} from "../lib/reports.server";
+import { downloadFile } from "../utils/download";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const filters = readQuoteFilters(new URL(request.url).searchParams);
+  const report = await getQuoteReport(session.shop, filters);
+
+  // Product names are only decoration, so the report is still shown with
+  // variant IDs if the lookup fails
+  let variants = new Map();
+  try {
+    variants = await getVariantsByIds(
+      admin,
+      report.topProducts.map((product) => product.variantId),
+    );
+  } catch (error) {
+    createLogger("reports", { requestId: requestId(request) }).warn(
+      "Failed to resolve report products",
+      { error },
+    );
+  }
+
+  return {
+    ...report,
+    maxQuotes: MAX_REPORT_QUOTES,
+    topProducts: report.topProducts.map((product) => ({
+      ...product,
+      title:
+        variants.get(product.variantId)?.displayName ??
+        product.title ??
+        product.variantId,
+    })),
+  };
+};
+
+const INTERVAL_LABELS = { day: "Day", week: "Week of", month: "Month" };
+
+/**
+ * Formats a share as a percentage
+ * @param {number|null} rate - A value between 0 and 1
+ * @returns {string} - e.g. "12.5%", or "—" without data
+ */
+function formatRate(rate) {
+  return rate === null ? "—" : `${(rate * 100).toFixed(1)}%`;
+}
+
+function Metric({ label, value, help }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="span" variant="bodySm" tone="subdued">
+          {label}
+        </Text>
+        <Text as="span" variant="headingLg">
+          {value}
+        </Text>
+        {help && (
+          <Text as="span" variant="bodySm" tone="subdued">
+            {help}
+          </Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Reports() {
+  const {
+    from,
+    to,
+    truncated,
+    maxQuotes,
+    totals,
+    volume,
+    topCountries,
+    topProducts,
+  } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const shopify = useAppBridge();
+  const [exporting, setExporting] = useState(false);
+
+  const setDate = (key) => (value) =>
+    setSearchParams((params) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+      return params;
+    });
+
+  const exportCsv = async () => {
+    const params = new URLSearchParams(searchParams);
+    params.set("from", from);
+    params.set("to", to);
+
+    setExporting(true);
+    try {
+      await downloadFile(
+        `/app/quotes/export?${params}`,
+        `quote-requests-${from}-to-${to}.csv`,
+      );
+    } catch {
+      shopify.toast.show("The export failed", { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const busiestPeriod = Math.max(1, ...volume.periods.map((p) => p.quotes));
+
+  return (
+    <Page
+      title="Reports"
+      primaryAction={{
+        content: "Export CSV",
+        loading: exporting,
+        onAction: exportCsv,
+      }}
+    >
+      <TitleBar title="Reports" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <InlineGrid columns={2} gap="400">
+              <TextField
+                label="From"
+                type="date"
+                value={from}
+                onChange={setDate("from")}
+                autoComplete="off"
+              />
+              <TextField
+                label="To"
+                type="date"
+                value={to}
+                onChange={setDate("to")}
+                autoComplete="off"
+              />
+            </InlineGrid>
+          </Card>
+        </Layout.Section>
+        {truncated && (
+          <Layout.Section>
+            <Banner tone="warning">
+              <p>
+                {`More than ${maxQuotes.toLocaleString()} quotes match, so only the newest ${maxQuotes.toLocaleString()} are counted. Choose a shorter range for exact figures.`}
+              </p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+            <Metric label="Quote requests" value={totals.quotes} />
+            <Metric label="Invoiced" value={totals.invoiced} />
+            <Metric label="Paid" value={totals.completed} />
+            <Metric
+              label="Conversion rate"
+              value={formatRate(totals.conversionRate)}
+              help={`${formatRate(totals.invoiceConversionRate)} of invoiced quotes`}
+            />
+          </InlineGrid>
+        </Layout.Section>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">
+                Quote requests over time
+              </Text>
+              {volume.periods.map((period) => (
+                <InlineGrid
+                  key={period.start}
+                  columns={["oneThird", "twoThirds"]}
+                  gap="400"
+                  alignItems="center"
+                >
+                  <Text as="span" tone="subdued">
+                    {`${INTERVAL_LABELS[volume.interval]} ${
+                      volume.interval === "month"
+                        ? period.start.slice(0, 7)
+                        : period.start
+                    }`}
+                  </Text>
+                  <InlineStack gap="200" wrap={false} blockAlign="center">
+                    <div style={{ flexGrow: 1 }}>
+                      <ProgressBar
+                        progress={(period.quotes / busiestPeriod) * 100}
+                        size="small"
+                      />
+                    </div>
+                    <Text as="span" numeric>
+                      {`${period.quotes} (${period.completed} paid)`}
+                    </Text>
+                  </InlineStack>
+                </InlineGrid>
+              ))}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneHalf">
+          <Card padding="0">
+            <Box padding="400">
+              <Text as="h2" variant="headingMd">
+                Top destination countries
+              </Text>
+            </Box>
+            <DataTable
+              columnContentTypes={["text", "numeric", "numeric", "numeric"]}
+              headings={["Country", "Quotes", "Paid", "Conversion"]}
+              rows={topCountries.map((country) => [
+                country.country,
+                country.quotes,
+                country.completed,
+                formatRate(country.completed / country.quotes),
+              ])}
+            />
+          </Card>
+        </Layout.Section>
+        <Layout.Section variant="oneHalf">
+          <Card padding="0">
+            <Box padding="400">
+              <Text as="h2" variant="headingMd">
+                Most requested products
+              </Text>
+            </Box>
+            <DataTable
+              columnContentTypes={["text", "numeric", "numeric"]}
+              headings={["Product", "Quotes", "Quantity"]}
+              rows={topProducts.map((product) => [
+                product.title,
+                product.quotes,
+                product.quantity,
+              ])}
+            />
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,330 @@
+import { useEffect, useMemo, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Autocomplete,
+  Banner,
+  BlockStack,
+  Card,
+  Checkbox,
+  ChoiceList,
+  InlineStack,
+  Layout,
+  Page,
+  Tag,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  EXPIRED_DRAFT_ACTIONS,
+  getShopSettings,
+  OPTIONAL_REQUIRED_FIELDS,
+  saveShopSettings,
+  validateShopSettings,
+} from "../models/ShopSettings.server";
+import { getCountryOptions } from "../lib/countries.server";
+import { TEMPLATE_PLACEHOLDERS } from "../lib/templates.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return {
+    settings: await getShopSettings(session.shop),
+    countries: getCountryOptions(),
+    requiredFieldOptions: Object.entries(OPTIONAL_REQUIRED_FIELDS).map(
+      ([value, label]) => ({ label, value }),
+    ),
+    expiredDraftActionOptions: Object.entries(EXPIRED_DRAFT_ACTIONS).map(
+      ([value, label]) => ({ label, value }),
+    ),
+    placeholders: TEMPLATE_PLACEHOLDERS,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const values = await request.json();
+
+  const settings = {
+    extraTags: String(values.extraTags ?? "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+    noteTemplate: String(values.noteTemplate ?? ""),
+    allowedCountries: [].concat(values.allowedCountries ?? []),
+    requiredFields: [].concat(values.requiredFields ?? []),
+    autoInvoice: Boolean(values.autoInvoice),
+    invoiceSubject: String(values.invoiceSubject ?? ""),
+    invoiceMessage: String(values.invoiceMessage ?? ""),
+    notificationEmails: String(values.notificationEmails ?? "")
+      .split(",")
+      .map((email) => email.trim())
+      .filter(Boolean),
+    quoteValidityDays: Number(values.quoteValidityDays || 0),
+    reminderDaysBefore: Number(values.reminderDaysBefore || 0),
+    expiredDraftAction: String(values.expiredDraftAction ?? ""),
+    rejectMissingProducts: Boolean(values.rejectMissingProducts),
+  };
+
+  const errors = validateShopSettings(settings);
+  if (Object.keys(errors).length) {
+    return { errors };
+  }
+
+  await saveShopSettings(session.shop, settings);
+  return { saved: true };
+};
+
+export default function Settings() {
+  const {
+    settings,
+    countries,
+    requiredFieldOptions,
+    expiredDraftActionOptions,
+    placeholders,
+  } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+
+  const [form, setForm] = useState({
+    ...settings,
+    extraTags: settings.extraTags.join(", "),
+    notificationEmails: settings.notificationEmails.join(", "),
+    quoteValidityDays: String(settings.quoteValidityDays),
+    reminderDaysBefore: String(settings.reminderDaysBefore),
+  });
+  const [countryQuery, setCountryQuery] = useState("");
+  const errors = actionData?.errors ?? {};
+
+  const setField = (key) => (value) =>
+    setForm((current) => ({ ...current, [key]: value }));
+
+  useEffect(() => {
+    if (actionData?.saved) shopify.toast.show("Settings saved");
+  }, [actionData, shopify]);
+
+  const countryLabels = useMemo(
+    () =>
+      Object.fromEntries(countries.map(({ value, label }) => [value, label])),
+    [countries],
+  );
+  const countryMatches = useMemo(() => {
+    const query = countryQuery.trim().toLowerCase();
+    return countries.filter(
+      ({ value, label }) =>
+        !query ||
+        label.toLowerCase().includes(query) ||
+        value.toLowerCase() === query,
+    );
+  }, [countries, countryQuery]);
+
+  const save = () =>
+    submit(form, { method: "post", encType: "application/json" });
+
+  return (
+    <Page
+      title="Settings"
+      primaryAction={{
+        content: "Save",
+        loading: navigation.state === "submitting",
+        onAction: save,
+      }}
+    >
+      <TitleBar title="Settings" />
+      <Layout>
+        {Object.keys(errors).length > 0 && (
+          <Layout.Section>
+            <Banner tone="critical" title="Settings were not saved">
+              <p>Fix the highlighted settings and save again.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.AnnotatedSection
+          title="Draft orders"
+          description="How quote requests are turned into draft orders."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <TextField
+                label="Extra tags"
+                value={form.extraTags}
+                onChange={setField("extraTags")}
+                error={errors.extraTags}
+                helpText="Comma-separated. Added alongside the International-Quote tag."
+                autoComplete="off"
+              />
+              <TextField
+                label="Draft order note"
+                value={form.noteTemplate}
+                onChange={setField("noteTemplate")}
+                error={errors.noteTemplate}
+                multiline={4}
+                autoComplete="off"
+              />
+              <BlockStack gap="100">
+                <Text as="span" variant="bodySm" tone="subdued">
+                  Available placeholders:
+                </Text>
+                {Object.entries(placeholders).map(([name, description]) => (
+                  <Text key={name} as="span" variant="bodySm" tone="subdued">
+                    <code>{`{{${name}}}`}</code> — {description}
+                  </Text>
+                ))}
+              </BlockStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Invoice email"
+          description="The email Shopify sends with the draft order invoice link."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <Checkbox
+                label="Email the invoice to the customer automatically"
+                helpText="Send the invoice as soon as the draft order is created. Leave this off to send it from the quote page after setting the shipping rate."
+                checked={form.autoInvoice}
+                onChange={setField("autoInvoice")}
+              />
+              <TextField
+                label="Subject"
+                value={form.invoiceSubject}
+                onChange={setField("invoiceSubject")}
+                error={errors.invoiceSubject}
+                autoComplete="off"
+              />
+              <TextField
+                label="Message"
+                value={form.invoiceMessage}
+                onChange={setField("invoiceMessage")}
+                error={errors.invoiceMessage}
+                helpText="Both fields accept the same placeholders as the draft order note."
+                multiline={5}
+                autoComplete="off"
+              />
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Quote expiry"
+          description="How long an invoiced quote stays valid. The window starts each time the invoice is sent, and quotes invoiced before a change keep their old window."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <TextField
+                label="Valid for"
+                type="number"
+                min={0}
+                suffix="days"
+                value={form.quoteValidityDays}
+                onChange={setField("quoteValidityDays")}
+                error={errors.quoteValidityDays}
+                helpText="Enter 0 to keep quotes open until they are paid or cancelled."
+                autoComplete="off"
+              />
+              <TextField
+                label="Remind the customer"
+                type="number"
+                min={0}
+                suffix="days before expiry"
+                value={form.reminderDaysBefore}
+                onChange={setField("reminderDaysBefore")}
+                error={errors.reminderDaysBefore}
+                helpText="The invoice is sent again with the expiry date. Enter 0 to skip the reminder."
+                autoComplete="off"
+              />
+              <ChoiceList
+                title="When a quote expires, its draft order is"
+                choices={expiredDraftActionOptions}
+                selected={[form.expiredDraftAction]}
+                onChange={([value]) => setField("expiredDraftAction")(value)}
+                error={errors.expiredDraftAction}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Staff notifications"
+          description="Who is emailed when a customer sends a quote request."
+        >
+          <Card>
+            <TextField
+              label="Staff email addresses"
+              value={form.notificationEmails}
+              onChange={setField("notificationEmails")}
+              error={errors.notificationEmails}
+              helpText="Comma-separated. Leave empty to turn notifications off."
+              autoComplete="off"
+            />
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Storefront form"
+          description="What customers must provide before a quote is accepted."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <ChoiceList
+                title="Also require"
+                allowMultiple
+                choices={requiredFieldOptions}
+                selected={form.requiredFields}
+                onChange={setField("requiredFields")}
+                error={errors.requiredFields}
+              />
+              <Autocomplete
+                allowMultiple
+                options={countryMatches}
+                selected={form.allowedCountries}
+                onSelect={setField("allowedCountries")}
+                textField={
+                  <Autocomplete.TextField
+                    label="Allowed destination countries"
+                    value={countryQuery}
+                    onChange={setCountryQuery}
+                    placeholder="Search countries"
+                    helpText="Leave empty to accept quotes for every country."
+                    error={errors.allowedCountries}
+                    autoComplete="off"
+                  />
+                }
+              />
+              {form.allowedCountries.length > 0 && (
+                <InlineStack gap="200">
+                  {form.allowedCountries.map((code) => (
+                    <Tag
+                      key={code}
+                      onRemove={() =>
+                        setField("allowedCountries")(
+                          form.allowedCountries.filter(
+                            (selected) => selected !== code,
+                          ),
+                        )
+                      }
+                    >
+                      {countryLabels[code] ?? code}
+                    </Tag>
+                  ))}
+                </InlineStack>
+              )}
+              <Checkbox
+                label="Reject quotes for products that no longer exist"
+                helpText="Customers are asked to update their cart. When this is off, the quote is accepted without them and staff are told which products were missing."
+                checked={form.rejectMissingProducts}
+                onChange={setField("rejectMissingProducts")}
+              />
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,291 @@
+import { useEffect, useState } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useNavigation,
+  useSubmit,
+} from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  ChoiceList,
+  IndexTable,
+  InlineStack,
+  Layout,
+  Page,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  createWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookSubscriptions,
+  setWebhookSubscriptionActive,
+  validateWebhookSubscription,
+} from "../models/WebhookSubscription.server";
+import {
+  getRecentWebhookDeliveries,
+  requeueWebhookDelivery,
+} from "../models/WebhookDelivery.server";
+import {
+  DELIVERY_STATUS,
+  DELIVERY_STATUS_LABELS,
+  DELIVERY_STATUS_TONES,
+  QUOTE_WEBHOOK_EVENT_LABELS,
+} from "../models/webhookEvents";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [subscriptions, deliveries] = await Promise.all([
+    getWebhookSubscriptions(session.shop),
+    getRecentWebhookDeliveries(session.shop),
+  ]);
+
+  return { subscriptions, deliveries };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { intent, ...values } = await request.json();
+
+  if (intent === "create") {
+    const subscription = {
+      url: String(values.url ?? "").trim(),
+      events: [].concat(values.events ?? []),
+    };
+    const existing = await getWebhookSubscriptions(session.shop);
+    const errors = await validateWebhookSubscription(
+      subscription,
+      existing.length,
+    );
+    if (Object.keys(errors).length) {
+      return { errors };
+    }
+
+    await createWebhookSubscription(session.shop, subscription);
+    return { created: true };
+  }
+
+  if (intent === "toggle") {
+    await setWebhookSubscriptionActive(
+      session.shop,
+      values.id,
+      Boolean(values.active),
+    );
+    return { updated: true };
+  }
+
+  if (intent === "delete") {
+    await deleteWebhookSubscription(session.shop, values.id);
+    return { deleted: true };
+  }
+
+  if (intent === "redeliver") {
+    await requeueWebhookDelivery(session.shop, values.id);
+    return { requeued: true };
+  }
+
+  return null;
+};
+
+const EVENT_CHOICES = Object.entries(QUOTE_WEBHOOK_EVENT_LABELS).map(
+  ([value, label]) => ({ value, label: `${label} (${value})` }),
+);
+
+export default function Webhooks() {
+  const { subscriptions, deliveries } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const submit = useSubmit();
+  const shopify = useAppBridge();
+
+  const [url, setUrl] = useState("");
+  const [events, setEvents] = useState([]);
+  const errors = actionData?.errors ?? {};
+  const pendingIntent =
+    navigation.state === "submitting" ? navigation.json?.intent : null;
+
+  useEffect(() => {
+    if (actionData?.created) {
+      setUrl("");
+      setEvents([]);
+      shopify.toast.show("Endpoint added");
+    }
+    if (actionData?.requeued) shopify.toast.show("Delivery queued");
+  }, [actionData, shopify]);
+
+  const send = (values) =>
+    submit(values, { method: "post", encType: "application/json" });
+
+  const subscriptionRows = subscriptions.map((subscription, index) => (
+    <IndexTable.Row id={subscription.id} key={subscription.id} position={index}>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span" fontWeight="semibold" breakWord>
+            {subscription.url}
+          </Text>
+          <Text as="span" variant="bodySm" tone="subdued" breakWord>
+            Secret: <code>{subscription.secret}</code>
+          </Text>
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="100">
+          {subscription.events.map((event) => (
+            <Badge key={event}>{event}</Badge>
+          ))}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={subscription.active ? "success" : "read-only"}>
+          {subscription.active ? "Active" : "Paused"}
+        </Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <InlineStack gap="200" wrap={false}>
+          <Button
+            onClick={() =>
+              send({
+                intent: "toggle",
+                id: subscription.id,
+                active: !subscription.active,
+              })
+            }
+          >
+            {subscription.active ? "Pause" : "Resume"}
+          </Button>
+          <Button
+            tone="critical"
+            onClick={() => send({ intent: "delete", id: subscription.id })}
+          >
+            Delete
+          </Button>
+        </InlineStack>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  const deliveryRows = deliveries.map((delivery, index) => (
+    <IndexTable.Row id={delivery.id} key={delivery.id} position={index}>
+      <IndexTable.Cell>
+        {new Date(delivery.createdAt).toLocaleString()}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{delivery.event}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" truncate>
+          {delivery.subscription.url}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={DELIVERY_STATUS_TONES[delivery.status]}>
+          {DELIVERY_STATUS_LABELS[delivery.status] ?? delivery.status}
+        </Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{delivery.attempts}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" tone="subdued">
+          {delivery.error ?? delivery.responseStatus ?? "—"}
+        </Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {delivery.status === DELIVERY_STATUS.FAILED && (
+          <Button
+            variant="plain"
+            onClick={() => send({ intent: "redeliver", id: delivery.id })}
+          >
+            Redeliver
+          </Button>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page>
+      <TitleBar title="Webhooks" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Add an endpoint"
+          description="Quote events are POSTed as JSON and signed with the endpoint's secret. Failed deliveries are retried with increasing delays."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <TextField
+                label="Endpoint URL"
+                value={url}
+                onChange={setUrl}
+                error={errors.url}
+                placeholder="https://erp.example.com/hooks/quotes"
+                autoComplete="off"
+              />
+              <ChoiceList
+                title="Events"
+                allowMultiple
+                choices={EVENT_CHOICES}
+                selected={events}
+                onChange={setEvents}
+                error={errors.events}
+              />
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  loading={pendingIntent === "create"}
+                  onClick={() => send({ intent: "create", url, events })}
+                >
+                  Add endpoint
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "endpoint", plural: "endpoints" }}
+              itemCount={subscriptions.length}
+              selectable={false}
+              headings={[
+                { title: "Endpoint" },
+                { title: "Events" },
+                { title: "Status" },
+                { title: "" },
+              ]}
+            >
+              {subscriptionRows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+        <Layout.Section>
+          <BlockStack gap="200">
+            <Text as="h2" variant="headingMd">
+              Recent deliveries
+            </Text>
+            <Card padding="0">
+              <IndexTable
+                resourceName={{ singular: "delivery", plural: "deliveries" }}
+                itemCount={deliveries.length}
+                selectable={false}
+                headings={[
+                  { title: "Time" },
+                  { title: "Event" },
+                  { title: "Endpoint" },
+                  { title: "Status" },
+                  { title: "Attempts" },
+                  { title: "Last result" },
+                  { title: "" },
+                ]}
+              >
+                {deliveryRows}
+              </IndexTable>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,301 +1,336 @@
 import { json } from "@remix-run/node";
-import crypto from "crypto";
 import { unauthenticated } from "../shopify.server";
+import { createQuoteRequest, fromJson } from "../models/QuoteRequest.server";
+import { getShopSettings } from "../models/ShopSettings.server";
+import {
+  checkBlockedSender,
+  checkQuoteRateLimits,
+  clientIp,
+  guardProxyRequest,
+} from "../lib/appProxy.server";
+import {
+  checkLineItemAvailability,
+  UNAVAILABLE_REASON,
+} from "../lib/catalog.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { parseOrderData } from "../lib/orderData.server";
+import { submitQuoteRequest } from "../lib/quoteSubmission.server";
+import { notifyStaffOfQuote } from "../lib/notifications.server";
+import {
+  queueQuoteWebhook,
+  submissionWebhookEvent,
+} from "../lib/outboundWebhooks.server";
+import { quoteStatusPath } from "../lib/statusPage.server";
+import { findSpamSignals } from "../lib/spamChecks.server";
+import { QUOTE_STATUS } from "../models/quoteStatus";
+import { QUOTE_WEBHOOK_EVENT } from "../models/webhookEvents";
+import {
+  MAX_PAYLOAD_BYTES,
+  validateQuotePayload,
+} from "../lib/validation.server";
 
 /**
- * Verifies that a request comes from Shopify by validating the signature
- * @param {URLSearchParams} searchParams - The query parameters from the request
- * @param {string} sharedSecret - The app's shared secret
- * @returns {boolean} - True if the request is verified, false otherwise
+ * Builds the 422 response the storefront form uses to show inline errors
+ * @param {Object} errors - Error messages keyed by form field name
+ * @returns {Response} - The JSON error response
  */
-function verifyShopifyRequest(searchParams, sharedSecret) {
-  if (!sharedSecret) {
-    console.warn(
-      "SHOPIFY_API_SECRET not configured - skipping signature verification",
-    );
-    return false;
-  }
-
-  const signature = searchParams.get("signature");
-  if (!signature) {
-    console.log(`[VERIFY] No signature parameter found in request`);
-    return false;
-  }
-
-  // Create a copy of searchParams without the signature
-  const params = new URLSearchParams(searchParams);
-  params.delete("signature");
-
-  // Sort parameters alphabetically by key
-  const sortedParams = Array.from(params.entries())
-    .sort(([a], [b]) => a.localeCompare(b))
-    .map(([key, value]) => `${key}=${value}`)
-    .join("");
-
-  // Compute HMAC-SHA256 signature
-  const computedSignature = crypto
-    .createHmac("sha256", sharedSecret)
-    .update(sortedParams)
-    .digest("hex");
-
-  const isValid = computedSignature === signature;
-
-  console.log(`[VERIFY] Signature verification details:`, {
-    receivedSignature: signature,
-    computedSignature: computedSignature,
-    sortedParams: sortedParams,
-    isValid: isValid,
-  });
-
-  return isValid;
+function validationError(errors) {
+  return json(
+    {
+      success: false,
+      error: "Validation failed",
+      message: "Please correct the highlighted fields and try again",
+      errors,
+    },
+    {
+      status: 422,
+      headers: {
+        "Content-Type": "application/json",
+      },
+    },
+  );
 }
 
 /**
- * Creates a draft order using the Shopify GraphQL API
- * @param {Object} admin - The Shopify admin GraphQL client
- * @param {Object} orderData - The parsed order data from the payload
- * @returns {Promise<Object>} - The draft order creation result
+ * Builds the JSON response for a request stopped by the proxy guards
+ * @param {Object} rejection - { status, error, message, retryAfter }
+ * @returns {Response} - The JSON error response
  */
-async function createDraftOrder(admin, orderData) {
-  const DRAFT_ORDER_MUTATION = `
-    mutation draftOrderCreate($input: DraftOrderInput!) {
-      draftOrderCreate(input: $input) {
-        draftOrder {
-          id
-          invoiceUrl
-          status
-          lineItems(first: 5) {
-            edges {
-              node {
-                title
-                quantity
-                variant {
-                  id
-                  price
-                }
-              }
-            }
-          }
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `;
-
-  const variables = {
-    input: {
-      email: orderData.email,
-      shippingAddress: {
-        address1: orderData.shipping_address1,
-        city: orderData.shipping_city,
-        province: orderData.shipping_province,
-        country: orderData.shipping_country,
-        zip: orderData.shipping_zip,
+function rejectionResponse({ status, error, message, retryAfter }) {
+  return json(
+    {
+      success: false,
+      error,
+      message,
+    },
+    {
+      status,
+      headers: {
+        "Content-Type": "application/json",
+        ...(retryAfter ? { "Retry-After": String(retryAfter) } : {}),
       },
-      lineItems: orderData.lineItems,
-      tags: ["International-Quote"],
     },
-  };
-
-  try {
-    const response = await admin.graphql(DRAFT_ORDER_MUTATION, { variables });
-    return response;
-  } catch (error) {
-    console.error("[DRAFT_ORDER] Error creating draft order:", error);
-    throw error;
-  }
+  );
 }
 
 /**
- * Parse order data from the payload
- * @param {Object} payload - The request payload
- * @returns {Object} - Parsed order data
+ * Queues a quote webhook once the quote is stored. A failure is only logged:
+ * the quote is already saved, so the customer must not be told it was lost.
+ * @param {Object} log - The request's logger
+ * @param {string|null} event - One of QUOTE_WEBHOOK_EVENT; null is ignored
+ * @param {Object} quoteRequest - The QuoteRequest record
  */
-function parseOrderData(payload) {
-  // Extract customer information - handle both quote[] and contact[] prefixes
-  const orderData = {
-    email: payload["quote[email]"],
-    full_name: payload["quote[full_name]"],
-    shipping_address1: payload["quote[shipping_address1]"],
-    shipping_city: payload["quote[shipping_city]"],
-    shipping_province: payload["quote[shipping_province]"],
-    shipping_country: payload["quote[shipping_country]"],
-    shipping_zip: payload["quote[shipping_zip]"],
-    cart: payload["quote[Cart]"],
-    cart_line_items: payload["quote[cart_line_items]"],
-    cart_total: payload["quote[cart_total]"],
-  };
-
-  // Parse cart line items from JSON if available
-  if (orderData.cart_line_items) {
-    try {
-      const lineItems = JSON.parse(orderData.cart_line_items);
-      orderData.lineItems = lineItems.map((item) => ({
-        variantId: item.variantId,
-        quantity: item.quantity,
-      }));
-    } catch (error) {
-      console.warn("[ORDERS] Failed to parse cart_line_items JSON:", error);
-      // Fall back to cart text parsing
-      orderData.lineItems = parseCartText(orderData.cart);
-    }
-  } else if (orderData.cart) {
-    // Fall back to parsing cart text
-    orderData.lineItems = parseCartText(orderData.cart);
+async function queueStoredQuoteWebhook(log, event, quoteRequest) {
+  try {
+    await queueQuoteWebhook(event, quoteRequest);
+  } catch (error) {
+    log.error("Failed to queue quote webhook", {
+      quoteRequestId: quoteRequest.id,
+      event,
+      error,
+    });
   }
-
-  return orderData;
-}
-
-/**
- * Parse cart text to extract line items
- * @param {string} cartText - The cart text content
- * @returns {Array} - Array of line items
- */
-function parseCartText(cartText) {
-  if (!cartText) return [];
-
-  const cartLines = cartText
-    .split("\n")
-    .filter((line) => line.includes("×") && line.includes("$"));
-
-  return cartLines.map((line, index) => {
-    const quantityMatch = line.match(/(\d+)\s*×/);
-    const quantity = quantityMatch ? parseInt(quantityMatch[1]) : 1;
-
-    return {
-      variantId: `gid://shopify/ProductVariant/49457743036715`, // Default variant ID
-      quantity: quantity,
-    };
-  });
 }
 
 export const action = async ({ request }) => {
   const url = new URL(request.url);
 
-  console.log(`[ORDERS] POST request received at:`, new Date().toISOString());
-
   // Get query parameters for signature verification
   const searchParams = url.searchParams;
 
-  console.log(`[ORDERS] Request details:`, {
+  const log = createLogger("orders", {
+    requestId: requestId(request),
     shop: searchParams.get("shop"),
-    timestamp: new Date().toISOString(),
+  });
+  log.info("Quote request received", {
     userAgent: request.headers.get("user-agent"),
   });
 
-  // Verify the request comes from Shopify
-  const sharedSecret = process.env.SHOPIFY_API_SECRET;
-  const isVerified = verifyShopifyRequest(searchParams, sharedSecret);
+  // Verify the request comes from Shopify and has not been used before
+  const rejection = await guardProxyRequest(request);
 
-  console.log(`[ORDERS] Signature verification result:`, {
-    verified: isVerified,
-    shop: searchParams.get("shop"),
-    hasSignature: !!searchParams.get("signature"),
-    hasSecret: !!sharedSecret,
-  });
-
-  if (!isVerified) {
-    return json(
-      {
-        error: "Unauthorized",
-        message: "Request signature verification failed",
-      },
-      {
-        status: 401,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      },
-    );
+  if (rejection) {
+    log.warn("Proxy request rejected", {
+      status: rejection.status,
+      reason: rejection.message,
+    });
+    return rejectionResponse(rejection);
   }
 
   try {
-    // Get the request body
+    // Get shop from verified query parameters
+    const shop = searchParams.get("shop");
+    if (!shop) {
+      log.warn("No shop parameter found, rejecting request");
+      return json(
+        {
+          success: false,
+          error: "Bad Request",
+          message: "Missing shop parameter",
+        },
+        {
+          status: 400,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
+    }
+
+    // Required fields and accepted destinations are configured per shop
+    const settings = await getShopSettings(shop);
+
+    // Get the request body, enforcing the size limit before parsing
     const contentType = request.headers.get("content-type");
-    let payload;
+    const body = await request.text();
 
+    if (Buffer.byteLength(body) > MAX_PAYLOAD_BYTES) {
+      return validationError({
+        payload: `The quote request must be smaller than ${MAX_PAYLOAD_BYTES / 1024} KB`,
+      });
+    }
+
+    let payload;
     if (contentType?.includes("application/json")) {
-      payload = await request.json();
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        return validationError({
+          payload: "The request body is not valid JSON",
+        });
+      }
     } else if (contentType?.includes("application/x-www-form-urlencoded")) {
-      const formData = await request.formData();
-      payload = Object.fromEntries(formData);
+      payload = Object.fromEntries(new URLSearchParams(body));
     } else {
       // Try to get as text
-      payload = await request.text();
+      payload = body;
     }
 
-    // Log the payload
-    console.log(`[ORDERS] Payload received:`, {
+    // Only the shape of the payload is logged; its values are customer data
+    log.debug("Payload received", {
       contentType,
-      payload,
-      timestamp: new Date().toISOString(),
-      userAgent: request.headers.get("user-agent"),
-      contentLength: request.headers.get("content-length"),
+      contentLength: Buffer.byteLength(body),
+      fields: typeof payload === "object" ? Object.keys(payload) : [],
     });
 
+    const errors = validateQuotePayload(payload, settings);
+    if (Object.keys(errors).length) {
+      log.warn("Rejected invalid payload", { fields: Object.keys(errors) });
+      return validationError(errors);
+    }
+
     // Parse order data from payload
     const orderData = parseOrderData(payload);
-    console.log(`[ORDERS] Parsed order data:`, orderData);
+    log.debug("Parsed order data", {
+      lineItems: orderData.lineItems?.length ?? 0,
+      countryCode: orderData.shipping_country_code,
+      payloadVersion: orderData.payload_version,
+    });
 
-    // Create draft order
-    let draftOrderResult = null;
-    try {
-      // Get shop from verified query parameters
-      const shop = searchParams.get("shop");
+    const ip = clientIp(request);
+    const blocked = await checkBlockedSender({
+      shop,
+      email: orderData.email,
+      ip,
+    });
+    if (blocked) {
+      log.warn("Rejected blocked sender");
+      return rejectionResponse(blocked);
+    }
 
-      if (shop) {
-        console.log(`[ORDERS] Creating draft order for shop: ${shop}`);
+    const rateLimited = await checkQuoteRateLimits({
+      shop,
+      email: orderData.email,
+      ip,
+    });
+    if (rateLimited) {
+      return rejectionResponse(rateLimited);
+    }
 
-        // Use unauthenticated method for external requests
-        const { admin } = await unauthenticated.admin(shop);
+    // Deleted, unpublished and sold-out products are caught before a draft
+    // is attempted. A failed lookup lets the quote through unchecked rather
+    // than turning the customer away.
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      orderData.lineItems = await checkLineItemAvailability(
+        admin,
+        orderData.lineItems ?? [],
+      );
+    } catch (error) {
+      log.warn("Availability check failed", { error });
+    }
 
-        // Create the draft order
-        const draftOrderResponse = await createDraftOrder(admin, orderData);
-        draftOrderResult = draftOrderResponse;
+    const missing = (orderData.lineItems ?? []).filter(
+      (item) => item.unavailable?.reason === UNAVAILABLE_REASON.NOT_FOUND,
+    );
+    if (missing.length && settings.rejectMissingProducts) {
+      log.warn("Rejected quote for missing products", {
+        variantIds: missing.map((item) => item.variantId),
+      });
+      return validationError({
+        "quote[cart_line_items]":
+          "Some products in your cart are no longer available. Please update your cart and try again.",
+      });
+    }
 
-        console.log(`[ORDERS] Draft order created successfully:`, {
-          draftOrderId:
-            draftOrderResponse.data?.draftOrderCreate?.draftOrder?.id,
-          status: draftOrderResponse.data?.draftOrderCreate?.draftOrder?.status,
-          invoiceUrl:
-            draftOrderResponse.data?.draftOrderCreate?.draftOrder?.invoiceUrl,
-          userErrors: draftOrderResponse.data?.draftOrderCreate?.userErrors,
-        });
-      } else {
-        console.warn(
-          `[ORDERS] No shop parameter found, skipping draft order creation`,
-        );
-      }
-    } catch (error) {
-      console.error(`[ORDERS] Failed to create draft order:`, error);
-      draftOrderResult = {
-        error: error.message,
-        success: false,
-      };
+    // Persist the request before calling Shopify so it can be recovered if
+    // draft order creation fails
+    const spamSignals = findSpamSignals(payload, orderData);
+    const quoteRequest = await createQuoteRequest(shop, payload, orderData, {
+      clientIp: ip,
+      spamSignals,
+    });
+
+    // Suspicious requests wait for staff; the response looks like any
+    // accepted request so bots cannot tell they were caught
+    if (quoteRequest.status === QUOTE_STATUS.QUARANTINED) {
+      log.warn("Quote request quarantined", {
+        quoteRequestId: quoteRequest.id,
+        spamSignals,
+      });
+      return json(
+        {
+          success: true,
+          message: "Order payload received",
+          timestamp: new Date().toISOString(),
+          quoteRequestId: quoteRequest.id,
+          status: QUOTE_STATUS.RECEIVED,
+          statusUrl: quoteStatusPath(
+            searchParams.get("path_prefix"),
+            quoteRequest.accessToken,
+          ),
+        },
+        {
+          status: 202,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        },
+      );
     }
 
-    // Return success response with draft order info
+    await queueStoredQuoteWebhook(
+      log,
+      QUOTE_WEBHOOK_EVENT.RECEIVED,
+      quoteRequest,
+    );
+
+    log.info("Creating draft order", { quoteRequestId: quoteRequest.id });
+    const submitted =
+      (await submitQuoteRequest(quoteRequest.id)) ?? quoteRequest;
+    const draftCreated = Boolean(submitted.draftOrderId);
+
+    log.info("Draft order attempt finished", {
+      quoteRequestId: submitted.id,
+      status: submitted.status,
+      draftOrderId: submitted.draftOrderId,
+      userErrors: fromJson(submitted.userErrors)?.length ?? 0,
+      error: submitted.error,
+    });
+    await queueStoredQuoteWebhook(
+      log,
+      submissionWebhookEvent(submitted),
+      submitted,
+    );
+
+    // Not awaited: a slow mail server should not hold up the storefront
+    notifyStaffOfQuote(submitted).catch((error) =>
+      log.error("Staff notification failed", {
+        quoteRequestId: submitted.id,
+        error,
+      }),
+    );
+
+    // A failed draft order is kept and retried in the background, so the
+    // request itself is accepted either way
     return json(
       {
-        success: true,
-        message: "Order payload received and draft order created",
+        success: draftCreated,
+        message: draftCreated
+          ? "Order payload received and draft order created"
+          : "Order payload received; draft order creation failed and will be retried",
         timestamp: new Date().toISOString(),
+        quoteRequestId: submitted.id,
+        status: submitted.status,
+        statusUrl: quoteStatusPath(
+          searchParams.get("path_prefix"),
+          submitted.accessToken,
+        ),
         orderData: orderData,
-        draftOrder: draftOrderResult,
+        draftOrder: draftCreated
+          ? { id: submitted.draftOrderId, invoiceUrl: submitted.invoiceUrl }
+          : null,
+        userErrors: fromJson(submitted.userErrors) ?? [],
       },
       {
-        status: 200,
+        status: draftCreated ? 200 : 202,
         headers: {
           "Content-Type": "application/json",
         },
       },
     );
   } catch (error) {
-    console.error(`[ORDERS] Error processing request:`, error);
+    log.error("Error processing request", { error });
 
     return json(
       {
@@ -0,0 +1,92 @@
+import { unauthenticated } from "../shopify.server";
+import {
+  fromJson,
+  getQuoteRequestByAccessToken,
+} from "../models/QuoteRequest.server";
+import { guardProxyPageRequest } from "../lib/appProxy.server";
+import { getVariantsByIds } from "../lib/catalog.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { renderQuoteStatusPage } from "../lib/statusPage.server";
+
+const TOKEN_PATTERN = /^[\w-]{20,64}$/;
+
+/**
+ * Builds a page response for the app proxy. Liquid responses are rendered
+ * inside the shop's theme; they are private to the customer with the link.
+ * @param {string} body - The Liquid page
+ * @param {number} [status] - The HTTP status
+ * @returns {Response} - The page response
+ */
+function liquidResponse(body, status = 200) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": "application/liquid",
+      "Cache-Control": "private, no-store",
+      "X-Robots-Tag": "noindex",
+    },
+  });
+}
+
+/**
+ * Names the requested items. Product titles are looked up from the catalog;
+ * a failed lookup falls back to the stored cart text or a generic name.
+ * @param {Object} quote - The QuoteRequest record
+ * @param {Object} log - The request logger
+ * @returns {Promise<Object[]>} - { title, quantity } for each item
+ */
+async function describeItems(quote, log) {
+  const lineItems = fromJson(quote.lineItems) ?? [];
+
+  let variants = new Map();
+  try {
+    const { admin } = await unauthenticated.admin(quote.shop);
+    variants = await getVariantsByIds(
+      admin,
+      lineItems.map((item) => item.variantId).filter(Boolean),
+    );
+  } catch (error) {
+    log.warn("Failed to resolve status page line items", {
+      quoteRequestId: quote.id,
+      error,
+    });
+  }
+
+  return lineItems.map((item) => ({
+    title: variants.get(item.variantId)?.displayName ?? item.title ?? "Product",
+    quantity: item.quantity,
+  }));
+}
+
+export const loader = async ({ request, params }) => {
+  const { searchParams } = new URL(request.url);
+  const shop = searchParams.get("shop");
+  const log = createLogger("status-page", {
+    requestId: requestId(request),
+    shop,
+  });
+
+  // Verify the request comes from Shopify; the token alone only proves the
+  // customer has the link
+  const rejection = await guardProxyPageRequest(request);
+  if (rejection) {
+    log.warn("Proxy request rejected", {
+      status: rejection.status,
+      reason: rejection.message,
+    });
+    return new Response(rejection.message, { status: rejection.status });
+  }
+
+  const quote = TOKEN_PATTERN.test(params.token)
+    ? await getQuoteRequestByAccessToken(shop, params.token)
+    : null;
+  if (!quote) {
+    return liquidResponse(
+      `<div class="page-width" style="margin: 4rem auto"><h1>Quote not found</h1><p>Check the link in your email, or contact us for help.</p></div>`,
+      404,
+    );
+  }
+
+  const items = await describeItems(quote, log);
+  return liquidResponse(renderQuoteStatusPage(quote, items));
+};
@@ -1,10 +1,14 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { createLogger, requestId } from "../lib/logger.server";
 
 export const action = async ({ request }) => {
   const { payload, session, topic, shop } = await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  createLogger("webhooks", { requestId: requestId(request), shop }).info(
+    "Webhook received",
+    { topic },
+  );
   const current = payload.current;
 
   if (session) {
@@ -1,16 +1,15 @@
 import { authenticate } from "../shopify.server";
-import db from "../db.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { cleanUpUninstalledShop } from "../lib/privacy.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
-
-  console.log(`Received ${topic} webhook for ${shop}`);
+  const { shop, topic } = await authenticate.webhook(request);
+  const log = createLogger("webhooks", { requestId: requestId(request), shop });
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
-  // If this webhook already ran, the session may have been deleted previously.
-  if (session) {
-    await db.session.deleteMany({ where: { shop } });
-  }
+  // The cleanup only deletes or cancels what is still there, so running it again is harmless.
+  const changed = await cleanUpUninstalledShop(shop);
+  log.info("Webhook received", { topic, changed });
 
   return new Response();
 };
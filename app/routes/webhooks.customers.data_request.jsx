@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { exportCustomerData } from "../lib/privacy.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+  const log = createLogger("webhooks", { requestId: requestId(request), shop });
+
+  const dataRequest = await exportCustomerData(shop, payload);
+  log.info("Webhook received", {
+    topic,
+    customerDataRequestId: dataRequest.id,
+    quoteCount: dataRequest.quoteCount,
+  });
+
+  return new Response();
+};
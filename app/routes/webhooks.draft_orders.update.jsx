@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { syncDraftOrderUpdate } from "../lib/orderSync.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+  const log = createLogger("webhooks", { requestId: requestId(request), shop });
+
+  const quote = await syncDraftOrderUpdate(shop, payload);
+  log.info("Webhook received", {
+    topic,
+    quoteRequestId: quote?.id,
+    status: quote?.status,
+  });
+
+  return new Response();
+};
@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { createLogger, requestId } from "../lib/logger.server";
+import { purgeShopData } from "../lib/privacy.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+  const log = createLogger("webhooks", { requestId: requestId(request), shop });
+
+  const deleted = await purgeShopData(shop);
+  log.info("Webhook received", { topic, deleted });
+
+  return new Response();
+};
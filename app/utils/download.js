@@ -0,0 +1,23 @@
+/**
+ * Downloads a file from an app route. The embedded admin has no cookie
+ * session, so a plain link would not be authenticated; App Bridge adds the
+ * session token to fetch requests instead.
+ * @param {string} url - The app route to download
+ * @param {string} filename - The name the file is saved under
+ * @returns {Promise<void>}
+ */
+export async function downloadFile(url, filename) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Download failed with status ${response.status}`);
+  }
+
+  const objectUrl = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
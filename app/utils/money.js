@@ -0,0 +1,27 @@
+/**
+ * Formats an amount in the given currency
+ * @param {string} amount - The decimal amount
+ * @param {string} currencyCode - The ISO currency code
+ * @returns {string} - The formatted amount
+ */
+export function formatMoney(amount, currencyCode) {
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: currencyCode,
+  }).format(Number(amount));
+}
+
+/**
+ * Formats one of a draft order's totals in the shop's currency, followed by
+ * the customer's currency when they were quoted in another one
+ * @param {Object} totals - Totals from readDraftOrderTotals
+ * @param {string} key - e.g. "total" or "shipping"
+ * @returns {string} - e.g. "$100.00 (CA$136.20)"
+ */
+export function formatTotal(totals, key) {
+  const amount = formatMoney(totals[key], totals.currencyCode);
+  if (!totals.presentment) return amount;
+
+  const { currencyCode } = totals.presentment;
+  return `${amount} (${formatMoney(totals.presentment[key], currencyCode)})`;
+}
@@ -0,0 +1,51 @@
+/**
+ * Extracts the numeric ID from a Shopify GraphQL global ID
+ * @param {string} gid - e.g. "gid://shopify/DraftOrder/123"
+ * @returns {string|null} - e.g. "123"
+ */
+export function legacyResourceId(gid) {
+  if (!gid) return null;
+  return gid.split("/").pop();
+}
+
+/**
+ * Builds an App Bridge admin URL for a draft order
+ * @param {string} gid - The draft order's global ID
+ * @returns {string|null} - A shopify://admin URL, or null without an ID
+ */
+export function draftOrderAdminUrl(gid) {
+  const id = legacyResourceId(gid);
+  return id ? `shopify://admin/draft_orders/${id}` : null;
+}
+
+/**
+ * Builds an App Bridge admin URL for a customer
+ * @param {string} gid - The customer's global ID
+ * @returns {string|null} - A shopify://admin URL, or null without an ID
+ */
+export function customerAdminUrl(gid) {
+  const id = legacyResourceId(gid);
+  return id ? `shopify://admin/customers/${id}` : null;
+}
+
+/**
+ * Builds an App Bridge admin URL for an order
+ * @param {string} gid - The order's global ID
+ * @returns {string|null} - A shopify://admin URL, or null without an ID
+ */
+export function orderAdminUrl(gid) {
+  const id = legacyResourceId(gid);
+  return id ? `shopify://admin/orders/${id}` : null;
+}
+
+/**
+ * Builds a web admin URL for a draft order, for links outside the embedded
+ * app such as emails
+ * @param {string} shop - The shop domain
+ * @param {string} gid - The draft order's global ID
+ * @returns {string|null} - An https URL, or null without an ID
+ */
+export function draftOrderWebUrl(shop, gid) {
+  const id = legacyResourceId(gid);
+  return id ? `https://${shop}/admin/draft_orders/${id}` : null;
+}
@@ -0,0 +1,228 @@
+(() => {
+  // The app block and the app embed both load this file
+  if (window.intQuoterForm) return;
+  window.intQuoterForm = true;
+
+  const CART_ROUTE = `${window.Shopify?.routes?.root ?? "/"}cart.js`;
+
+  /**
+   * Converts a /cart.js response into the version 2 cart payload
+   * @param {Object} cart - The cart from /cart.js
+   * @returns {Object} - { version, lineItems, note, attributes }
+   */
+  function toCartPayload(cart) {
+    return {
+      version: 2,
+      lineItems: cart.items.map((item) => ({
+        variantId: `gid://shopify/ProductVariant/${item.variant_id}`,
+        quantity: item.quantity,
+        properties: Object.fromEntries(
+          Object.entries(item.properties ?? {}).filter(
+            ([, value]) => value !== null && value !== "",
+          ),
+        ),
+      })),
+      note: cart.note || undefined,
+      attributes: cart.attributes ?? {},
+    };
+  }
+
+  /**
+   * Formats the cart total for display in the quote
+   * @param {Object} cart - The cart from /cart.js
+   * @returns {string} - e.g. "129.00 CAD"
+   */
+  function formatTotal(cart) {
+    return `${(cart.total_price / 100).toFixed(2)} ${cart.currency}`;
+  }
+
+  class QuoteForm {
+    constructor(root) {
+      this.root = root;
+      this.form = root.querySelector("[data-quote-form-element]");
+      this.submitButton = this.form.querySelector("[type=submit]");
+      this.submitLabel = this.submitButton.textContent;
+      this.messages = JSON.parse(
+        root.querySelector("[data-quote-messages]").textContent,
+      );
+
+      const country = this.form.elements["quote[shipping_country]"];
+      if (country.dataset.default) country.value = country.dataset.default;
+
+      this.form.addEventListener("submit", (event) => {
+        event.preventDefault();
+        this.submit();
+      });
+      this.refreshCart();
+    }
+
+    /**
+     * Reads the current cart into the hidden cart fields
+     * @returns {Promise<boolean>} - False when the cart is empty or unreadable
+     */
+    async refreshCart() {
+      try {
+        const response = await fetch(CART_ROUTE, {
+          headers: { Accept: "application/json" },
+        });
+        const cart = await response.json();
+
+        this.form.elements["quote[cart_line_items]"].value = JSON.stringify(
+          toCartPayload(cart),
+        );
+        this.form.elements["quote[cart_total]"].value = formatTotal(cart);
+        this.form.elements["quote[presentment_currency]"].value = cart.currency;
+        this.setEmpty(cart.item_count === 0);
+        return cart.item_count > 0;
+      } catch {
+        this.showError(this.messages.cart);
+        return false;
+      }
+    }
+
+    setEmpty(empty) {
+      this.root.querySelector("[data-quote-empty]").hidden = !empty;
+      this.form.hidden = empty;
+    }
+
+    setSubmitting(submitting) {
+      this.submitButton.disabled = submitting;
+      this.submitButton.setAttribute("aria-busy", String(submitting));
+      this.submitButton.textContent = submitting
+        ? this.submitButton.dataset.submittingLabel
+        : this.submitLabel;
+    }
+
+    clearErrors() {
+      this.showError(null);
+      this.root.querySelectorAll("[data-error-for]").forEach((element) => {
+        element.hidden = true;
+        element.textContent = "";
+      });
+      this.form.querySelectorAll("[aria-invalid]").forEach((input) => {
+        input.removeAttribute("aria-invalid");
+      });
+    }
+
+    showError(message) {
+      const banner = this.root.querySelector("[data-quote-error]");
+      banner.textContent = message ?? "";
+      banner.hidden = !message;
+    }
+
+    /**
+     * Shows the endpoint's 422 errors next to their fields. Errors for fields
+     * the form does not show, such as the cart, go in the banner.
+     * @param {Object} errors - Messages keyed by form field name
+     * @param {string} fallback - The banner message when no field matches
+     */
+    showFieldErrors(errors, fallback) {
+      const unmatched = [];
+      let firstInvalid = null;
+
+      for (const [name, message] of Object.entries(errors)) {
+        const input = this.form.elements[name];
+        const element = this.root.querySelector(
+          `[data-error-for="${CSS.escape(name)}"]`,
+        );
+        if (input && element && input.type !== "hidden") {
+          input.setAttribute("aria-invalid", "true");
+          element.textContent = message;
+          element.hidden = false;
+          firstInvalid ??= input;
+        } else {
+          unmatched.push(message);
+        }
+      }
+
+      this.showError(unmatched.length ? unmatched.join(" ") : fallback);
+      firstInvalid?.focus();
+    }
+
+    showSuccess({ quoteRequestId, statusUrl }) {
+      const success = this.root.querySelector("[data-quote-success]");
+      const reference = success.querySelector("[data-quote-reference]");
+      reference.textContent = quoteRequestId
+        ? reference.dataset.template.replace("__ID__", quoteRequestId)
+        : "";
+
+      const statusLink = success.querySelector("[data-quote-status-link]");
+      if (statusUrl) statusLink.href = statusUrl;
+      statusLink.hidden = !statusUrl;
+
+      this.form.hidden = true;
+      success.hidden = false;
+      success.focus();
+    }
+
+    async submit() {
+      this.clearErrors();
+      this.setSubmitting(true);
+
+      try {
+        if (!(await this.refreshCart())) return;
+
+        const response = await fetch(this.form.action, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json",
+          },
+          body: new URLSearchParams(new FormData(this.form)),
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          this.showSuccess(result);
+        } else if (response.status === 422 && result.errors) {
+          this.showFieldErrors(result.errors, result.message);
+        } else if (response.status === 429) {
+          this.showError(this.messages.rateLimited);
+        } else {
+          this.showError(this.messages.generic);
+        }
+      } catch {
+        this.showError(this.messages.generic);
+      } finally {
+        this.setSubmitting(false);
+      }
+    }
+  }
+
+  /**
+   * Places the app embed's form on the page unless the theme already shows
+   * the app block
+   */
+  function mountEmbed() {
+    const embed = document.querySelector("[data-quote-form-embed]");
+    if (!embed) return;
+
+    const blocks = document.querySelectorAll("[data-quote-form]");
+    if (blocks.length > 1) {
+      embed.remove();
+      return;
+    }
+
+    let anchor = null;
+    try {
+      anchor = document.querySelector(embed.dataset.insertAfter);
+    } catch {
+      // An invalid selector leaves the form at the end of the page
+    }
+    if (anchor) anchor.after(embed);
+    embed.hidden = false;
+  }
+
+  function init() {
+    mountEmbed();
+    document
+      .querySelectorAll("[data-quote-form]")
+      .forEach((root) => new QuoteForm(root));
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "QuoteRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "email" TEXT,
+    "fullName" TEXT,
+    "shippingAddress1" TEXT,
+    "shippingCity" TEXT,
+    "shippingProvince" TEXT,
+    "shippingCountry" TEXT,
+    "shippingZip" TEXT,
+    "cartTotal" TEXT,
+    "payload" TEXT NOT NULL,
+    "lineItems" TEXT,
+    "draftOrderId" TEXT,
+    "invoiceUrl" TEXT,
+    "userErrors" TEXT,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_shop_createdAt_idx" ON "QuoteRequest"("shop", "createdAt");
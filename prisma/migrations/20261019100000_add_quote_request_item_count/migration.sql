@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "itemCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_shop_status_idx" ON "QuoteRequest"("shop", "status");
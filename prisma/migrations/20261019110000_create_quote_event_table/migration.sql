@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "draftOrderResponse" TEXT;
+
+-- CreateTable
+CREATE TABLE "QuoteEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "quoteRequestId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "data" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "QuoteEvent_quoteRequestId_fkey" FOREIGN KEY ("quoteRequestId") REFERENCES "QuoteRequest" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "QuoteEvent_quoteRequestId_createdAt_idx" ON "QuoteEvent"("quoteRequestId", "createdAt");
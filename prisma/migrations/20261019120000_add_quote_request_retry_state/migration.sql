@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "QuoteRequest" ADD COLUMN "nextAttemptAt" DATETIME;
+ALTER TABLE "QuoteRequest" ADD COLUMN "lockedUntil" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_status_nextAttemptAt_idx" ON "QuoteRequest"("status", "nextAttemptAt");
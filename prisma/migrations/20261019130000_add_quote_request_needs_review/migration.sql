@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "needsReview" BOOLEAN NOT NULL DEFAULT false;
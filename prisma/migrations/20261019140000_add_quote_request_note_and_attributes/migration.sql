@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "phone" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "note" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "cartAttributes" TEXT;
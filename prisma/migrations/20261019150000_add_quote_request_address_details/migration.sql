@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "customerId" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "shippingCompany" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "shippingAddress2" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "shippingCountryCode" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "billingAddress" TEXT;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "ProxyNonce" (
+    "signature" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "RequestRejection" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT,
+    "reason" TEXT NOT NULL,
+    "email" TEXT,
+    "ip" TEXT,
+    "detail" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ProxyNonce_expiresAt_idx" ON "ProxyNonce"("expiresAt");
+
+-- CreateIndex
+CREATE INDEX "RequestRejection_shop_createdAt_idx" ON "RequestRejection"("shop", "createdAt");
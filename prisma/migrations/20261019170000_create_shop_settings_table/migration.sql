@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "extraTags" TEXT,
+    "noteTemplate" TEXT,
+    "allowedCountries" TEXT,
+    "requiredFields" TEXT,
+    "autoInvoice" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
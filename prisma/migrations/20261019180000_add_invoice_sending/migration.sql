@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "invoiceStatus" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "invoiceSentAt" DATETIME;
+ALTER TABLE "QuoteRequest" ADD COLUMN "invoiceError" TEXT;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "invoiceSubject" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "invoiceMessage" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "pricedAt" DATETIME;
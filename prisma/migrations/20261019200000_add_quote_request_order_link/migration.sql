@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "orderId" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "orderName" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "completedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_shop_draftOrderId_idx" ON "QuoteRequest"("shop", "draftOrderId");
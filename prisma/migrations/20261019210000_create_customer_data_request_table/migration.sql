@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "CustomerDataRequest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "dataRequestId" TEXT,
+    "customerId" TEXT,
+    "email" TEXT,
+    "quoteCount" INTEGER NOT NULL DEFAULT 0,
+    "data" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerDataRequest_shop_createdAt_idx" ON "CustomerDataRequest"("shop", "createdAt");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "accessToken" TEXT;
+
+-- Give existing quotes a status page as well
+UPDATE "QuoteRequest" SET "accessToken" = lower(hex(randomblob(24))) WHERE "accessToken" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuoteRequest_accessToken_key" ON "QuoteRequest"("accessToken");
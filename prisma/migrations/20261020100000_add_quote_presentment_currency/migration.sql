@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "presentmentCountryCode" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "presentmentCurrency" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "quotedTotals" TEXT;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "expiresAt" DATETIME;
+ALTER TABLE "QuoteRequest" ADD COLUMN "remindAt" DATETIME;
+ALTER TABLE "QuoteRequest" ADD COLUMN "reminderSentAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "expiredDraftAction" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN "quoteValidityDays" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "ShopSettings" ADD COLUMN "reminderDaysBefore" INTEGER NOT NULL DEFAULT 3;
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_status_expiresAt_idx" ON "QuoteRequest"("status", "expiresAt");
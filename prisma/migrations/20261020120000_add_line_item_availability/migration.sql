@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "hasUnavailableItems" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "rejectMissingProducts" BOOLEAN NOT NULL DEFAULT false;
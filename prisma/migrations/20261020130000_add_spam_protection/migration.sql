@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "QuoteRequest" ADD COLUMN "clientIp" TEXT;
+ALTER TABLE "QuoteRequest" ADD COLUMN "spamSignals" TEXT;
+
+-- CreateTable
+CREATE TABLE "BlockedSender" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "QuoteRequest_shop_clientIp_createdAt_idx" ON "QuoteRequest"("shop", "clientIp", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BlockedSender_shop_type_value_key" ON "BlockedSender"("shop", "type", "value");
@@ -0,0 +1,4 @@
+-- Emails are now stored trimmed and lowercased so lookups can match them
+UPDATE "QuoteRequest" SET "email" = LOWER(TRIM("email")) WHERE "email" IS NOT NULL;
+UPDATE "RequestRejection" SET "email" = LOWER(TRIM("email")) WHERE "email" IS NOT NULL;
+UPDATE "CustomerDataRequest" SET "email" = LOWER(TRIM("email")) WHERE "email" IS NOT NULL;
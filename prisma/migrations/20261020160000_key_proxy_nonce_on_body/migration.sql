@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ProxyNonce" RENAME COLUMN "signature" TO "nonce";
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "RequestRejection" ADD COLUMN "count" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Tests run without the Remix plugin: they cover server modules, not routes
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+    env: { LOG_LEVEL: "error" },
+  },
+});